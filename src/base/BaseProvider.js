@@ -2,41 +2,158 @@ import { chromium } from 'playwright';
 import winston from 'winston';
 import fs from 'fs/promises';
 import { createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import path from 'path';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import { MetadataManager } from '../utils/MetadataManager.js';
 import { EmailService } from '../utils/EmailService.js';
+import { IntegrityChecker } from '../utils/IntegrityChecker.js';
+import { VersionComparator } from '../utils/VersionComparator.js';
+import { SessionStore } from '../utils/SessionStore.js';
+import { Totp } from '../utils/Totp.js';
+import { mfaBroker } from '../utils/MfaBroker.js';
+import { credentialVault } from '../utils/CredentialVault.js';
+import { DiagnosticsStore } from '../utils/DiagnosticsStore.js';
+import { runHistory, RunHistory } from '../utils/RunHistory.js';
+import { eventBus } from '../utils/EventBus.js';
+import { DownloadWindow } from '../utils/DownloadWindow.js';
+import { Logger } from '../utils/Logger.js';
 
 // Load environment variables
 dotenv.config();
 
+// Attempts and backoff per step, overridable with RETRY_<KIND>_* and per provider
+const RETRY_DEFAULTS = {
+  login: { attempts: 2, baseDelaySeconds: 30, maxDelaySeconds: 300 },
+  navigation: { attempts: 3, baseDelaySeconds: 10, maxDelaySeconds: 120 },
+  download: { attempts: parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS) || 3, baseDelaySeconds: 5, maxDelaySeconds: 300 }
+};
+
+// Network errors worth another attempt
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'ENETUNREACH', 'EHOSTUNREACH', 'ERR_STREAM_PREMATURE_CLOSE'
+];
+const RETRYABLE_ERROR_PATTERN = /timeout|timed out|net::ERR_|socket hang up|ECONNRESET|ETIMEDOUT/i;
+const FATAL_ERROR_PATTERN = /passwor[dt]|credentials|zugangsdaten|benutzername|unauthori[sz]ed|forbidden|account (locked|disabled)|gesperrt/i;
+
+// Collects the error log lines of a check run for the run history
+class RunErrorTransport extends winston.Transport {
+  constructor(run) {
+    super({ level: 'error' });
+    this.run = run;
+  }
+
+  log(info, callback) {
+    if (this.run.errors.length < 50) {
+      this.run.errors.push(credentialVault.redact(String(info.message)));
+    }
+    callback();
+  }
+}
+
 export class BaseProvider {
-  constructor(providerName) {
-    this.providerName = providerName;
+  // Provider description used by the ProviderRegistry, set by every subclass
+  static providerName = null;
+  static displayName = null;
+  static requiredEnv = [];
+  static categories = {};
+  // Providers defined in a config file register after the built-in ones and never replace them
+  static configDriven = false;
+
+  static getEnvPrefix(name) {
+    return name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  }
+
+  static getAccounts() {
+    // BMW_ACCOUNTS="dealer1,dealer2" runs one instance per dealer organisation
+    const accounts = (process.env[`${this.getEnvPrefix(this.providerName)}_ACCOUNTS`] || '')
+      .split(',').map(account => account.trim().toLowerCase()).filter(Boolean);
+    
+    // The account name ends up in directory, file and variable names
+    return accounts.filter(account => {
+      if (!/^[a-z0-9][a-z0-9_]*$/.test(account)) {
+        Logger.get('registry').warn(`⚠️ Ungültiger Account-Name '${account}' für ${this.providerName} wird ignoriert (erlaubt: a-z, 0-9 und _)`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  static async getDefinitions() {
+    const displayName = this.displayName || this.providerName.toUpperCase();
+    const accounts = this.getAccounts();
+    
+    if (accounts.length === 0) {
+      return [{
+        name: this.providerName,
+        displayName,
+        account: null,
+        requiredEnv: this.requiredEnv,
+        categories: this.categories,
+        ProviderClass: this,
+        options: {}
+      }];
+    }
+    
+    // Each account needs its own credentials, e.g. BMW_DEALER1_USERNAME instead of BMW_USERNAME
+    const providerPrefix = `${this.getEnvPrefix(this.providerName)}_`;
+    
+    return accounts.map(account => {
+      const accountPrefix = `${this.getEnvPrefix(`${this.providerName}-${account}`)}_`;
+      
+      return {
+        name: `${this.providerName}-${account}`,
+        displayName: `${displayName} (${account})`,
+        account,
+        requiredEnv: this.requiredEnv.map(key => key.startsWith(providerPrefix) ? accountPrefix + key.slice(providerPrefix.length) : key),
+        categories: this.categories,
+        ProviderClass: this,
+        options: { account }
+      };
+    });
+  }
+
+  constructor(providerName, options = {}) {
+    // Accounts run as separate instances (bmw-dealer1) with their own directory, metadata and logs
+    this.account = options.account || null;
+    this.baseProviderName = providerName;
+    this.providerName = this.account ? `${providerName}-${this.account}` : providerName;
+    this.displayName = this.constructor.displayName || providerName.toUpperCase();
+    if (this.account) {
+      this.displayName = `${this.displayName} (${this.account})`;
+    }
     this.browser = null;
     this.context = null;
     this.page = null;
     this.baseDownloadDir = process.env.DOWNLOAD_DIR || '/mnt/storagebox/providers';
-    this.downloadDir = path.join(this.baseDownloadDir, providerName);
+    this.downloadDir = path.join(this.baseDownloadDir, this.providerName);
     this.isLoggedIn = false;
     this.metadata = {};
     this.metadataManager = new MetadataManager(this.baseDownloadDir);
     this.emailService = new EmailService();
+    this.integrityChecker = new IntegrityChecker(this.baseDownloadDir);
+    this.versionComparator = new VersionComparator();
+    this.sessionStore = new SessionStore(this.providerName);
+    this.sessionRestored = false;
+    this.diagnosticsStore = new DiagnosticsStore();
+    this.consoleErrors = [];
+    this.tracing = false;
+    this.runTrace = null;
+    this.currentRun = null;
+    this.abortSignal = null;
+    this.progress = null;
+    this.progressListener = null;
+    this.transferStats = null;
+    this.progressLogSeconds = parseInt(process.env.DOWNLOAD_PROGRESS_LOG_SECONDS) || 60;
+    this.retryContext = null;
+    this.lastStepError = null;
+    this.pendingDownloadsChanged = false;
     
-    // Configure logger
-    this.logger = winston.createLogger({
-      level: process.env.DEBUG === 'true' ? 'debug' : 'info',
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.printf(({ timestamp, level, message }) => {
-          return `${timestamp} [${level.toUpperCase()}] [${providerName.toUpperCase()}]: ${message}`;
-        })
-      ),
-      transports: [
-        new winston.transports.Console(),
-        new winston.transports.File({ filename: `${providerName}-downloader.log` })
-      ]
-    });
+    // Console, <provider>-downloader.log and the dashboard log stream
+    this.logger = Logger.create(this.providerName);
   }
 
   async initialize() {
@@ -56,12 +173,23 @@ export class BaseProvider {
   async launchBrowser() {
     this.logger.info('🌐 Starte Browser...');
     
+    // A new browser has no login, only a restored session can bring it back
+    this.isLoggedIn = false;
+    
     this.browser = await chromium.launch({
       headless: process.env.HEADLESS === 'true',
       args: ['--disable-blink-features=AutomationControlled']
     });
 
+    // Restore cookies and local storage of the last session, login() probes them before logging in again
+    const storageState = await this.sessionStore.load();
+    this.sessionRestored = !!storageState;
+    if (storageState) {
+      this.logger.info('🔑 Gespeicherte Sitzung geladen');
+    }
+
     this.context = await this.browser.newContext({
+      storageState: storageState || undefined,
       userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
       viewport: { width: 1920, height: 1080 },
       locale: 'de-DE',
@@ -76,37 +204,123 @@ export class BaseProvider {
       }
     });
 
+    // Record a trace until the next capture, a failed login can then be replayed step by step
+    this.tracing = false;
+    if (this.diagnosticsStore.isEnabled() && process.env.DIAGNOSTICS_TRACE !== 'false') {
+      try {
+        await this.context.tracing.start({ screenshots: true, snapshots: true });
+        this.tracing = true;
+      } catch (error) {
+        this.logger.warn(`⚠️ Trace konnte nicht gestartet werden: ${error.message}`);
+      }
+    }
+
     this.page = await this.context.newPage();
+    this.consoleErrors = [];
+    
+    // Console errors are kept for the diagnostics of a failed login
+    this.page.on('console', msg => {
+      if (msg.type() === 'error') {
+        this.recordConsoleError(msg.text());
+        this.logger.debug(`Browser Console Error: ${msg.text()}`);
+      }
+    });
+    this.page.on('pageerror', error => {
+      this.recordConsoleError(error.message);
+    });
+  }
+
+  recordConsoleError(text) {
+    this.consoleErrors.push({ time: new Date().toISOString(), url: this.page?.url(), text });
+    
+    // Long running sessions would otherwise collect errors forever
+    if (this.consoleErrors.length > 100) {
+      this.consoleErrors.shift();
+    }
+  }
+
+  async captureDiagnostics(step, errorMessage) {
+    if (!this.diagnosticsStore.isEnabled() || !this.page) {
+      return null;
+    }
     
-    // Log console messages for debugging
-    if (process.env.DEBUG === 'true') {
-      this.page.on('console', msg => {
-        if (msg.type() === 'error') {
-          this.logger.debug(`Browser Console Error: ${msg.text()}`);
+    try {
+      const { id, entryDir } = await this.diagnosticsStore.createEntry(this.providerName, step);
+      const files = {};
+      
+      // Every artifact on its own, a crashed page may still deliver some of them
+      try {
+        files.screenshot = path.join(entryDir, 'screenshot.png');
+        await this.page.screenshot({ path: files.screenshot, fullPage: true, timeout: 15000 });
+      } catch (error) {
+        delete files.screenshot;
+        this.logger.warn(`⚠️ Screenshot konnte nicht erstellt werden: ${error.message}`);
+      }
+      
+      try {
+        files.html = path.join(entryDir, 'page.html');
+        await fs.writeFile(files.html, credentialVault.redact(await this.page.content()), { mode: 0o600 });
+      } catch (error) {
+        delete files.html;
+        this.logger.warn(`⚠️ HTML konnte nicht gespeichert werden: ${error.message}`);
+      }
+      
+      files.console = path.join(entryDir, 'console.json');
+      await fs.writeFile(files.console, credentialVault.redact(JSON.stringify(this.consoleErrors, null, 2)), { mode: 0o600 });
+      
+      // During a traced run the failure ends up in the trace of the whole run
+      if (this.tracing && !this.runTrace) {
+        try {
+          files.trace = path.join(entryDir, 'trace.zip');
+          await this.context.tracing.stopChunk({ path: files.trace });
+          await this.context.tracing.startChunk();
+        } catch (error) {
+          delete files.trace;
+          this.logger.warn(`⚠️ Trace konnte nicht gespeichert werden: ${error.message}`);
         }
+      }
+      
+      let url = null;
+      try {
+        url = this.page.url();
+      } catch (error) {
+        // Page already closed
+      }
+      
+      await this.diagnosticsStore.writeMeta(entryDir, {
+        provider: this.providerName,
+        step,
+        error: credentialVault.redact(errorMessage),
+        url,
+        runTraceId: this.runTrace?.id || null,
+        capturedAt: new Date().toISOString()
       });
+      await this.diagnosticsStore.prune(this.providerName);
+      
+      this.logger.info(`🩺 Diagnosedaten gespeichert: ${entryDir}`);
+      return { id, entryDir, files };
+    } catch (error) {
+      this.logger.warn(`⚠️ Diagnosedaten konnten nicht gespeichert werden: ${error.message}`);
+      return null;
     }
   }
 
   async loadMetadata() {
-    try {
-      const metadataPath = path.join(this.downloadDir, `${this.providerName}_metadata.json`);
-      const data = await fs.readFile(metadataPath, 'utf-8');
-      this.metadata = JSON.parse(data);
+    const metadata = await this.metadataManager.getProviderStatus(this.providerName);
+    if (metadata) {
+      this.metadata = metadata;
       this.logger.debug(`${this.providerName} Metadata geladen`);
-    } catch (error) {
+    } else {
       this.logger.debug(`Keine ${this.providerName} Metadata gefunden, starte mit leerem State`);
       this.metadata = {
         lastUpdate: null,
         downloads: {}
       };
     }
-    
-    // Also load global metadata
-    const globalMetadata = await this.metadataManager.loadGlobalMetadata();
-    if (globalMetadata.providers[this.providerName]) {
-      this.logger.debug(`Global metadata für ${this.providerName} geladen`);
-    }
+  }
+
+  async saveMetadata() {
+    await this.metadataManager.updateProviderData(this.providerName, this.metadata);
   }
 
   async updateMetadata(category, data) {
@@ -117,11 +331,9 @@ export class BaseProvider {
     
     this.metadata.downloads[category] = data;
     this.metadata.lastUpdate = new Date().toISOString();
-    const metadataPath = path.join(this.downloadDir, `${this.providerName}_metadata.json`);
-    await fs.writeFile(metadataPath, JSON.stringify(this.metadata, null, 2));
     
-    // Also update global metadata
-    await this.metadataManager.updateProviderMetadata(this.providerName, this.metadata);
+    // Single category in one transaction, a parallel provider run can not overwrite it
+    await this.metadataManager.updateArtifact(this.providerName, category, data);
     
     this.logger.debug(`${this.providerName} Metadata aktualisiert für ${category}`);
   }
@@ -129,58 +341,164 @@ export class BaseProvider {
   async updateLastCheck() {
     // Update lastUpdate timestamp even if no new downloads were found
     this.metadata.lastUpdate = new Date().toISOString();
-    const metadataPath = path.join(this.downloadDir, `${this.providerName}_metadata.json`);
-    await fs.writeFile(metadataPath, JSON.stringify(this.metadata, null, 2));
-    
-    // Also update global metadata
-    await this.metadataManager.updateProviderMetadata(this.providerName, this.metadata);
+    await this.metadataManager.touchProvider(this.providerName);
     
     this.logger.debug(`${this.providerName} Last check timestamp aktualisiert`);
   }
 
-  async cleanupOldVersions(category, newFileName) {
+  async cleanupOldVersions(category, newFileName, previousDownload) {
     try {
-      // Check if there's an existing file for this category
-      if (this.metadata.downloads && this.metadata.downloads[category]) {
-        const existingDownload = this.metadata.downloads[category];
-        const existingFileName = existingDownload.fileName;
+      const retention = this.getRetentionPolicy(category);
+      
+      // Remove or archive the file of the version that has just been superseded
+      const existingFileName = previousDownload?.fileName;
+      
+      // Only cleanup if the filename is different (new version)
+      if (existingFileName && existingFileName !== newFileName) {
+        const existingFilePath = path.join(this.downloadDir, existingFileName);
         
-        // Only cleanup if the filename is different (new version)
-        if (existingFileName && existingFileName !== newFileName) {
-          const existingFilePath = path.join(this.downloadDir, existingFileName);
+        try {
+          // Check if the old file exists
+          await fs.access(existingFilePath);
           
-          try {
-            // Check if the old file exists
-            await fs.access(existingFilePath);
-            
+          if (retention.enabled) {
+            await this.archiveFile(category, existingFileName, previousDownload);
+          } else {
             // Remove the old file
             await fs.unlink(existingFilePath);
+            await this.integrityChecker.removeSidecar(existingFilePath);
             this.logger.info(`🗑️ Alte Version entfernt: ${existingFileName}`);
-            
-            // Update metadata to remove the old file reference
-            delete this.metadata.downloads[category];
-            const metadataPath = path.join(this.downloadDir, `${this.providerName}_metadata.json`);
-            await fs.writeFile(metadataPath, JSON.stringify(this.metadata, null, 2));
-            
-            // Also update global metadata
-            await this.metadataManager.updateProviderMetadata(this.providerName, this.metadata);
-            
-          } catch (error) {
-            // File doesn't exist or couldn't be deleted - that's okay
-            this.logger.debug(`Alte Datei ${existingFileName} existiert nicht oder konnte nicht gelöscht werden: ${error.message}`);
           }
+          
+        } catch (error) {
+          // File doesn't exist or couldn't be deleted - that's okay
+          this.logger.debug(`Alte Datei ${existingFileName} existiert nicht oder konnte nicht gelöscht werden: ${error.message}`);
         }
       }
       
       // Also check for similar files in the directory that might be old versions
-      await this.cleanupSimilarFiles(category, newFileName);
+      await this.cleanupSimilarFiles(category, newFileName, retention);
+      
+      // Partial downloads of older versions are no longer needed either
+      await this.cleanupStagingDir(newFileName);
+      
+      if (retention.enabled) {
+        await this.pruneArchive(category, retention);
+      }
       
     } catch (error) {
       this.logger.warn(`Fehler beim Aufräumen alter Versionen für ${category}: ${error.message}`);
     }
   }
 
-  async cleanupSimilarFiles(category, newFileName) {
+  getRetentionPolicy(category) {
+    // Most specific setting wins: provider + category, provider, global
+    const categoryKey = BaseProvider.getEnvPrefix(category);
+    
+    const readSetting = (name) => {
+      const value = this.getConfig(`${categoryKey}_RETENTION_${name}`) ??
+        this.getConfig(`RETENTION_${name}`) ??
+        process.env[`RETENTION_${name}`];
+      
+      return parseInt(value) || 0;
+    };
+    
+    const keepVersions = readSetting('KEEP_VERSIONS');
+    const maxAgeDays = readSetting('MAX_AGE_DAYS');
+    
+    return {
+      keepVersions,
+      maxAgeDays,
+      enabled: keepVersions > 0 || maxAgeDays > 0
+    };
+  }
+
+  getArchiveDir(category) {
+    return path.join(this.downloadDir, 'archive', category);
+  }
+
+  async archiveFile(category, fileName, download = {}) {
+    const sourcePath = path.join(this.downloadDir, fileName);
+    const archiveDir = this.getArchiveDir(category);
+    const archivePath = path.join(archiveDir, fileName);
+    
+    await fs.mkdir(archiveDir, { recursive: true });
+    await fs.rename(sourcePath, archivePath);
+    
+    // Move the checksum along with the file
+    try {
+      await fs.rename(this.integrityChecker.getSidecarPath(sourcePath), this.integrityChecker.getSidecarPath(archivePath));
+    } catch (error) {
+      // No sidecar for this file
+    }
+    
+    await this.metadataManager.recordArchivedVersion(this.providerName, category, {
+      ...download,
+      fileName,
+      archivePath: path.relative(this.downloadDir, archivePath),
+      archivedAt: new Date().toISOString()
+    });
+    
+    this.logger.info(`📦 Alte Version archiviert: ${fileName}`);
+  }
+
+  async pruneArchive(category, retention) {
+    const archived = await this.metadataManager.getArchivedVersions(this.providerName, category);
+    const now = Date.now();
+    const removed = [];
+    
+    for (const [index, entry] of archived.entries()) {
+      const versionDate = new Date(entry.downloadedAt || entry.archivedAt);
+      const ageDays = (now - versionDate.getTime()) / (1000 * 60 * 60 * 24);
+      
+      const withinCount = index < retention.keepVersions;
+      const withinAge = retention.maxAgeDays > 0 && ageDays <= retention.maxAgeDays;
+      
+      if (withinCount || withinAge) {
+        continue;
+      }
+      
+      const archivedFilePath = path.join(this.downloadDir, entry.archivePath);
+      try {
+        await fs.unlink(archivedFilePath);
+        await this.integrityChecker.removeSidecar(archivedFilePath);
+        this.logger.info(`🗑️ Archivierte Version entfernt: ${entry.fileName}`);
+        removed.push(entry.id);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          removed.push(entry.id);
+        }
+        this.logger.debug(`Archivierte Datei ${entry.fileName} konnte nicht gelöscht werden: ${error.message}`);
+      }
+    }
+    
+    await this.metadataManager.removeArchivedVersions(removed);
+  }
+
+  getStagingDir() {
+    // Inside the download directory so the final rename stays on the same filesystem
+    return path.join(this.downloadDir, '.staging');
+  }
+
+  async cleanupStagingDir(newFileName) {
+    try {
+      const newBaseName = this.getBaseFileName(newFileName);
+      const files = await fs.readdir(this.getStagingDir());
+      
+      for (const file of files) {
+        const stagedFileName = file.replace(/\.part(\.json)?$/, '');
+        
+        if (stagedFileName !== newFileName && this.getBaseFileName(stagedFileName) === newBaseName) {
+          await fs.unlink(path.join(this.getStagingDir(), file));
+          this.logger.debug(`Veralteter Teil-Download entfernt: ${file}`);
+        }
+      }
+    } catch (error) {
+      this.logger.debug(`Fehler beim Aufräumen des Staging-Verzeichnisses: ${error.message}`);
+    }
+  }
+
+  async cleanupSimilarFiles(category, newFileName, retention = { enabled: false }) {
     try {
       // Get the base name without version and extension for comparison
       const newBaseName = this.getBaseFileName(newFileName);
@@ -190,8 +508,8 @@ export class BaseProvider {
       const files = await fs.readdir(this.downloadDir);
       
       for (const file of files) {
-        // Skip JSON metadata files and the new file itself
-        if (file.endsWith('.json') || file === newFileName) {
+        // Skip JSON metadata files, checksum sidecars, partial downloads and the new file itself
+        if (file.endsWith('.json') || this.integrityChecker.isSidecarFile(file) || file.endsWith('.part') || file === newFileName) {
           continue;
         }
         
@@ -203,9 +521,20 @@ export class BaseProvider {
           const filePath = path.join(this.downloadDir, file);
           
           try {
-            // Remove the similar file
-            await fs.unlink(filePath);
-            this.logger.info(`🗑️ Ähnliche alte Datei entfernt: ${file}`);
+            if (retention.enabled) {
+              const stats = await fs.stat(filePath);
+              await this.archiveFile(category, file, {
+                category,
+                version: this.extractVersion(file),
+                fileSize: stats.size,
+                downloadedAt: stats.mtime.toISOString()
+              });
+            } else {
+              // Remove the similar file
+              await fs.unlink(filePath);
+              await this.integrityChecker.removeSidecar(filePath);
+              this.logger.info(`🗑️ Ähnliche alte Datei entfernt: ${file}`);
+            }
           } catch (error) {
             this.logger.debug(`Ähnliche Datei ${file} konnte nicht gelöscht werden: ${error.message}`);
           }
@@ -229,191 +558,706 @@ export class BaseProvider {
     return baseName;
   }
 
+  resolveFileName(download) {
+    // Extract clean filename first
+    let fileName = this.extractCleanFilename(download.url);
+    this.logger.debug(`   Extracted filename: ${fileName}`);
+    
+    if (!fileName || fileName === 'download' || fileName.length < 5) {
+      const version = download.version !== 'unknown' ? `_${download.version}` : '';
+      const extension = this.getFileExtension(download.url);
+      fileName = `${download.category}${version}${extension}`;
+      this.logger.debug(`   Generated fallback filename: ${fileName}`);
+    }
+    
+    return fileName;
+  }
+
   async downloadFile(download) {
     this.logger.info(`⬇️ Lade herunter: ${download.displayName}`);
     this.logger.debug(`   URL: ${download.url}`);
     
     try {
-      // Extract clean filename first
-      let fileName = this.extractCleanFilename(download.url);
-      this.logger.debug(`   Extracted filename: ${fileName}`);
-      
-      if (!fileName || fileName === 'download' || fileName.length < 5) {
-        const version = download.version !== 'unknown' ? `_${download.version}` : '';
-        const extension = this.getFileExtension(download.url);
-        fileName = `${download.category}${version}${extension}`;
-        this.logger.debug(`   Generated fallback filename: ${fileName}`);
-      }
-      
-      // Clean up old versions before downloading new one
-      await this.cleanupOldVersions(download.category, fileName);
+      const fileName = this.resolveFileName(download);
       
-      // Set up file path
-      const filePath = path.join(this.downloadDir, fileName);
+      // Data is written to a .part file in the staging directory and only moved into place once verified
+      await fs.mkdir(this.getStagingDir(), { recursive: true });
+      const partPath = path.join(this.getStagingDir(), `${fileName}.part`);
       
-      // Use axios for direct download (more reliable)
-      this.logger.debug(`   Starte Download mit axios...`);
+      let result;
       try {
-        const axios = (await import('axios')).default;
-        
-        // Get cookies from the browser context
-        const cookies = await this.context.cookies();
-        const cookieHeader = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
-        
-        this.logger.debug(`   Cookies extrahiert: ${cookies.length} Cookies`);
-        
-        // Download with axios
-        const response = await axios({
-          method: 'GET',
-          url: download.url,
-          responseType: 'stream',
-          headers: {
-            'Cookie': cookieHeader,
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            'Accept': 'application/octet-stream,application/zip,application/x-msdownload,*/*',
-            'Accept-Encoding': 'gzip, deflate, br',
-            'Cache-Control': 'no-cache',
-            'Pragma': 'no-cache'
-          },
-          timeout: 300000 // 5 minutes
-        });
-        
-        this.logger.debug(`   HTTP Response erhalten: ${response.status} ${response.statusText}`);
-        
-        // Create write stream
-        const writer = createWriteStream(filePath);
-        response.data.pipe(writer);
-        
-        // Wait for download to complete
-        await new Promise((resolve, reject) => {
-          writer.on('finish', resolve);
-          writer.on('error', reject);
+        result = await this.withRetry('download', download.displayName, async attempt => {
+          try {
+            return await this.transferFile(download, partPath);
+          } catch (error) {
+            this.recordDownloadInterruption(download, attempt, error);
+            if (this.willRetry(error)) {
+              this.logger.warn(`⚠️ Download-Versuch ${attempt}/${this.retryContext.policy.attempts} fehlgeschlagen: ${error.message}`);
+            }
+            throw error;
+          }
         });
-        
-        this.logger.debug(`   Download-Stream abgeschlossen`);
-        
-        // Verify file
-        const stats = await fs.stat(filePath);
-        if (stats.size > 0) {
-          this.logger.info(`✅ Download abgeschlossen: ${fileName} (${this.formatFileSize(stats.size)})`);
-          
-          // Update metadata
-          await this.updateMetadata(download.category, {
-            ...download,
-            fileName,
-            filePath,
-            fileSize: stats.size,
-            downloadedAt: new Date().toISOString()
-          });
-          
-          return true;
-        } else {
-          throw new Error('Downloaded file is empty');
-        }
-        
       } catch (error) {
-        this.logger.error(`❌ Download fehlgeschlagen: ${error.message}`);
-        
-        // Try to delete partial file
-        try {
-          await fs.unlink(filePath);
-        } catch (e) {
-          // Ignore deletion errors
+        // Keep resumable partial files for the next attempt, remove everything else
+        const state = await this.loadPartialState(partPath);
+        if (!state?.acceptRanges) {
+          await this.removePartialFile(partPath);
+        } else {
+          this.logger.info(`💾 Teil-Download wird für den nächsten Versuch aufbewahrt: ${path.basename(partPath)}`);
         }
-        
-        return false;
+        throw error;
       }
       
-    } catch (error) {
-      this.logger.error(`❌ Download fehlgeschlagen: ${error.message}`);
-      return false;
-    }
-  }
-
-  extractCleanFilename(url) {
-    try {
-      // Check if this is a redirect URL or direct URL
-      let finalUrl = url;
-      
-      // Extract filename from URL
-      const urlParts = url.split('/');
-      let filename = urlParts[urlParts.length - 1];
-      
-      this.logger.debug(`   Original filename: ${filename}`);
+      await this.verifyStagedFile(partPath, result);
       
-      // Remove query parameters (everything after ?)
-      if (filename.includes('?')) {
-        filename = filename.split('?')[0];
-        this.logger.debug(`   After removing query params: ${filename}`);
-      }
+      const entry = await this.commitDownload(download, fileName, partPath, result);
       
-      // Remove URL encoding
-      filename = decodeURIComponent(filename);
-      this.logger.debug(`   After URL decoding: ${filename}`);
+      this.logger.info(`✅ Download abgeschlossen: ${fileName} (${this.formatFileSize(entry.fileSize)})`);
+      this.logger.info(`🔒 SHA-256: ${entry.sha256}`);
       
-      // Additional cleanup: remove any remaining query parameters or unwanted suffixes
-      if (filename.includes('&signed=true')) {
-        filename = filename.replace('&signed=true', '');
-        this.logger.debug(`   After removing &signed=true: ${filename}`);
-      }
+      // Make file details available to the notification e-mail
+      Object.assign(download, { fileName, fileSize: entry.fileSize, sha256: entry.sha256 });
       
-      // Validate filename
-      if (filename && filename.length > 0 && filename !== 'download') {
-        this.logger.debug(`   Final clean filename: ${filename}`);
-        return filename;
-      }
+      return true;
       
-      this.logger.debug(`   Invalid filename, returning null`);
-      return null;
     } catch (error) {
-      this.logger.debug(`Fehler beim Extrahieren des Dateinamens: ${error.message}`);
-      return null;
+      // The previous version and its metadata entry stay untouched
+      this.logger.error(`❌ Download fehlgeschlagen: ${error.message}`);
+      this.lastStepError = error;
+      return false;
     }
   }
 
-  getFileExtension(url) {
-    const urlLower = url.toLowerCase();
-    if (urlLower.includes('.exe')) return '.exe';
-    if (urlLower.includes('.zip')) return '.zip';
-    if (urlLower.includes('.istapdata')) return '.istapdata';
-    return '.bin'; // Default extension
-  }
-
-  formatFileSize(bytes) {
-    if (bytes === 0) return '0 GB';
-    const gb = bytes / (1024 * 1024 * 1024);
-    return parseFloat(gb.toFixed(2)) + ' GB';
+  async verifyStagedFile(partPath, result) {
+    this.logger.debug(`   Verifiziere ${path.basename(partPath)}...`);
+    
+    const stats = await fs.stat(partPath);
+    if (stats.size !== result.size) {
+      throw new Error(`Verifikation fehlgeschlagen: Dateigröße ${stats.size} statt ${result.size} Bytes`);
+    }
+    
+    // Re-read the staged file to make sure what is on disk matches what was received
+    const sha256 = await this.integrityChecker.hashFile(partPath);
+    if (sha256 !== result.sha256) {
+      await this.removePartialFile(partPath);
+      throw new Error(`Verifikation fehlgeschlagen: SHA-256 ${sha256} statt ${result.sha256}`);
+    }
+    
+    this.logger.debug(`   Verifikation erfolgreich`);
   }
 
-  extractVersion(url) {
-    const patterns = [
-      /(\d+\.\d+\.\d+\.\d+)/,  // 3.74.0.930
-      /(\d+\.\d+\.\d+)/,        // 4.53.30
-      /(\d+-\d+-\d+)/,          // 04-25-10
-    ];
-
-    for (const pattern of patterns) {
-      const match = url.match(pattern);
-      if (match) {
-        return match[1];
-      }
+  async commitDownload(download, fileName, partPath, result) {
+    const filePath = path.join(this.downloadDir, fileName);
+    const previousDownload = this.metadata.downloads?.[download.category];
+    
+    const entry = {
+      ...download,
+      fileName,
+      filePath,
+      fileSize: result.size,
+      contentLength: result.contentLength,
+      sha256: result.sha256,
+      etag: result.etag,
+      lastModified: result.lastModified,
+      downloadedAt: new Date().toISOString()
+    };
+    
+    // Atomic swap: rename replaces the target in one step, readers never see a partial file
+    await fs.rename(partPath, filePath);
+    await this.removePartialState(partPath);
+    await this.integrityChecker.writeSidecar(filePath, result.sha256);
+    
+    // Point the metadata to the new version in a single write
+    await this.updateMetadata(download.category, entry);
+    
+    if (this.currentRun) {
+      this.currentRun.downloaded.push({
+        category: download.category,
+        displayName: download.displayName,
+        version: download.version,
+        fileName,
+        bytes: result.size
+      });
+      this.currentRun.bytes += result.size;
     }
+    
+    // Only now the superseded version can go
+    await this.cleanupOldVersions(download.category, fileName, previousDownload);
+    
+    return entry;
+  }
 
-    return 'unknown';
+  async getDownloadHeaders() {
+    // Get cookies from the browser context
+    const cookies = await this.context.cookies();
+    const cookieHeader = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    
+    this.logger.debug(`   Cookies extrahiert: ${cookies.length} Cookies`);
+    
+    return {
+      'Cookie': cookieHeader,
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': 'application/octet-stream,application/zip,application/x-msdownload,*/*',
+      // Request the raw bytes so Content-Length and ranges match what ends up on disk
+      'Accept-Encoding': 'identity',
+      'Cache-Control': 'no-cache',
+      'Pragma': 'no-cache'
+    };
   }
 
-  isNewVersion(category, version) {
-    const lastVersion = this.metadata.downloads?.[category]?.version;
+  async transferFile(download, partPath) {
+    const axios = (await import('axios')).default;
+    const headers = await this.getDownloadHeaders();
     
-    if (!lastVersion) {
-      return true; // No previous version, download it
+    // Resume a previous partial download if the server supports it
+    const state = await this.loadPartialState(partPath);
+    let offset = 0;
+    
+    if (state?.acceptRanges) {
+      try {
+        offset = (await fs.stat(partPath)).size;
+      } catch (error) {
+        offset = 0;
+      }
     }
-
-    if (version === 'unknown') {
-      return false; // Can't compare unknown versions
+    
+    if (offset > 0) {
+      headers['Range'] = `bytes=${offset}-`;
+      
+      // Only resume if the file on the server is still the same
+      const validator = state.etag || state.lastModified;
+      if (validator) {
+        headers['If-Range'] = validator;
+      }
+      
+      this.logger.info(`⏯️ Setze Download bei ${this.formatFileSize(offset)} fort...`);
+    }
+    
+    const limits = this.getDownloadLimits(download.category);
+    const watchdog = this.createTransferWatchdog(limits);
+    
+    // Use axios for direct download (more reliable)
+    this.logger.debug(`   Starte Download mit axios...`);
+    let response;
+    try {
+      // Connection setup has its own limit, a huge file may take minutes until the server answers
+      watchdog.startConnect();
+      response = await axios({
+        method: 'GET',
+        url: download.url,
+        responseType: 'stream',
+        headers,
+        signal: watchdog.signal,
+        validateStatus: status => (status >= 200 && status < 300) || status === 416
+      });
+    } catch (error) {
+      watchdog.stop();
+      throw watchdog.explain(error);
+    }
+    
+    this.logger.debug(`   HTTP Response erhalten: ${response.status} ${response.statusText}`);
+    
+    if (response.status === 416) {
+      // Requested range not satisfiable - the partial file can't be used anymore
+      watchdog.stop();
+      response.data.destroy();
+      await this.removePartialFile(partPath);
+      const error = new Error('Server hat den Fortsetzungsbereich abgelehnt (HTTP 416), starte neu');
+      error.retryable = true;
+      throw error;
+    }
+    
+    const resumed = response.status === 206;
+    if (offset > 0 && !resumed) {
+      this.logger.info('🔁 Server liefert die komplette Datei, starte Download von vorne');
+      offset = 0;
+    }
+    
+    const contentLength = this.getTotalLength(response, offset);
+    const etag = response.headers['etag'] || null;
+    const lastModified = response.headers['last-modified'] || null;
+    
+    await this.savePartialState(partPath, {
+      url: download.url,
+      acceptRanges: resumed || response.headers['accept-ranges'] === 'bytes',
+      etag,
+      lastModified,
+      contentLength
+    });
+    
+    // Hash the data while it is streamed to disk, including the already downloaded part
+    const hash = this.integrityChecker.createHash();
+    if (offset > 0) {
+      await this.integrityChecker.updateHashFromFile(hash, partPath);
+    }
+    
+    this.startTransferProgress(path.basename(partPath, '.part'), offset, contentLength);
+    let received = offset;
+    const hashStream = new Transform({
+      transform: (chunk, encoding, callback) => {
+        hash.update(chunk);
+        received += chunk.length;
+        watchdog.received(received);
+        this.reportDownloadProgress(received, contentLength);
+        callback(null, chunk);
+      }
+    });
+    
+    // Bandwidth limit (DOWNLOAD_MAX_KBPS) sits in front of the hash, progress and watchdog see the throttled rate
+    const streams = [response.data];
+    if (limits.maxBytesPerSecond > 0) {
+      this.logger.info(`🐢 Bandbreite begrenzt auf ${this.formatThroughput(limits.maxBytesPerSecond)}`);
+      streams.push(this.createThrottle(limits.maxBytesPerSecond));
+    }
+    
+    try {
+      watchdog.startTransfer(response.data, received);
+      await pipeline(
+        ...streams,
+        hashStream,
+        createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' })
+      );
+    } catch (error) {
+      throw watchdog.explain(error);
+    } finally {
+      watchdog.stop();
+      this.transferStats = null;
+    }
+    
+    const sha256 = hash.digest('hex');
+    this.logger.debug(`   Download-Stream abgeschlossen (SHA-256: ${sha256})`);
+    
+    // Verify file
+    const stats = await fs.stat(partPath);
+    if (stats.size === 0) {
+      throw new Error('Downloaded file is empty');
+    }
+    
+    if (contentLength && stats.size !== contentLength) {
+      throw new Error(`Unvollständiger Download: ${stats.size} von ${contentLength} Bytes empfangen`);
+    }
+    
+    return { sha256, size: stats.size, contentLength, etag, lastModified };
+  }
+
+  getTotalLength(response, offset) {
+    // Partial responses carry the total size in Content-Range (bytes 100-199/200)
+    const contentRange = response.headers['content-range'];
+    if (response.status === 206 && contentRange) {
+      const match = contentRange.match(/\/(\d+)$/);
+      if (match) {
+        return parseInt(match[1]);
+      }
+    }
+    
+    const contentLength = parseInt(response.headers['content-length']);
+    if (!contentLength) {
+      return null;
+    }
+    
+    return response.status === 206 ? offset + contentLength : contentLength;
+  }
+
+  getPartialStatePath(partPath) {
+    return `${partPath}.json`;
+  }
+
+  async loadPartialState(partPath) {
+    try {
+      const data = await fs.readFile(this.getPartialStatePath(partPath), 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      return null;
     }
-
-    return version !== lastVersion;
+  }
+
+  async savePartialState(partPath, state) {
+    await fs.writeFile(this.getPartialStatePath(partPath), JSON.stringify(state, null, 2));
+  }
+
+  async removePartialState(partPath) {
+    try {
+      await fs.unlink(this.getPartialStatePath(partPath));
+    } catch (error) {
+      // State file doesn't exist - nothing to do
+    }
+  }
+
+  async removePartialFile(partPath) {
+    try {
+      await fs.unlink(partPath);
+    } catch (error) {
+      // Ignore deletion errors
+    }
+    await this.removePartialState(partPath);
+  }
+
+  extractCleanFilename(url) {
+    try {
+      // Check if this is a redirect URL or direct URL
+      let finalUrl = url;
+      
+      // Extract filename from URL
+      const urlParts = url.split('/');
+      let filename = urlParts[urlParts.length - 1];
+      
+      this.logger.debug(`   Original filename: ${filename}`);
+      
+      // Remove query parameters (everything after ?)
+      if (filename.includes('?')) {
+        filename = filename.split('?')[0];
+        this.logger.debug(`   After removing query params: ${filename}`);
+      }
+      
+      // Remove URL encoding
+      filename = decodeURIComponent(filename);
+      this.logger.debug(`   After URL decoding: ${filename}`);
+      
+      // Additional cleanup: remove any remaining query parameters or unwanted suffixes
+      if (filename.includes('&signed=true')) {
+        filename = filename.replace('&signed=true', '');
+        this.logger.debug(`   After removing &signed=true: ${filename}`);
+      }
+      
+      // Validate filename
+      if (filename && filename.length > 0 && filename !== 'download') {
+        this.logger.debug(`   Final clean filename: ${filename}`);
+        return filename;
+      }
+      
+      this.logger.debug(`   Invalid filename, returning null`);
+      return null;
+    } catch (error) {
+      this.logger.debug(`Fehler beim Extrahieren des Dateinamens: ${error.message}`);
+      return null;
+    }
+  }
+
+  getFileExtension(url) {
+    const urlLower = url.toLowerCase();
+    if (urlLower.includes('.exe')) return '.exe';
+    if (urlLower.includes('.zip')) return '.zip';
+    if (urlLower.includes('.istapdata')) return '.istapdata';
+    return '.bin'; // Default extension
+  }
+
+  formatFileSize(bytes) {
+    if (bytes === 0) return '0 GB';
+    const gb = bytes / (1024 * 1024 * 1024);
+    return parseFloat(gb.toFixed(2)) + ' GB';
+  }
+
+  formatThroughput(bytesPerSecond) {
+    if (!bytesPerSecond) return '0 MB/s';
+    return (bytesPerSecond / (1024 * 1024)).toFixed(1) + ' MB/s';
+  }
+
+  formatDuration(seconds) {
+    if (seconds < 60) return `${seconds} s`;
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  }
+
+  extractVersion(url) {
+    const patterns = [
+      /(\d+\.\d+\.\d+\.\d+)/,  // 3.74.0.930
+      /(\d+\.\d+\.\d+)/,        // 4.53.30
+      /(\d+-\d+-\d+)/,          // 04-25-10
+    ];
+
+    for (const pattern of patterns) {
+      const match = url.match(pattern);
+      if (match) {
+        return match[1];
+      }
+    }
+
+    return 'unknown';
+  }
+
+  async isNewVersion(category, download) {
+    const lastDownload = this.metadata.downloads?.[category];
+    const lastVersion = lastDownload?.version;
+    
+    if (!lastDownload) {
+      return true; // No previous version, download it
+    }
+
+    const comparison = this.versionComparator.compare(download.version, lastVersion);
+    
+    if (comparison === null) {
+      // Versions can't be ordered, check whether the file itself has changed
+      this.logger.debug(`Versionen nicht vergleichbar (${download.version} / ${lastVersion}), prüfe Datei-Merkmale...`);
+      return await this.hasRemoteFileChanged(download, lastDownload);
+    }
+
+    if (comparison < 0) {
+      await this.recordAnomaly({
+        type: 'downgrade',
+        category,
+        currentVersion: lastVersion,
+        offeredVersion: download.version,
+        url: download.url
+      });
+      return false;
+    }
+
+    return comparison > 0;
+  }
+
+  async hasRemoteFileChanged(download, lastDownload) {
+    const remote = await this.fetchRemoteFileInfo(download.url);
+    
+    if (remote) {
+      if (remote.etag && lastDownload.etag) {
+        return remote.etag !== lastDownload.etag;
+      }
+      
+      if (remote.contentLength && lastDownload.fileSize && remote.contentLength !== lastDownload.fileSize) {
+        return true;
+      }
+      
+      if (remote.lastModified && lastDownload.downloadedAt) {
+        return new Date(remote.lastModified) > new Date(lastDownload.downloadedAt);
+      }
+    }
+    
+    // Last resort: a different file name means a different file
+    const fileName = this.resolveFileName(download);
+    if (lastDownload.fileName && fileName !== lastDownload.fileName) {
+      return true;
+    }
+    
+    return false; // Nothing indicates a change
+  }
+
+  async fetchRemoteFileInfo(url) {
+    try {
+      const axios = (await import('axios')).default;
+      const response = await axios({
+        method: 'HEAD',
+        url,
+        headers: await this.getDownloadHeaders(),
+        timeout: 30000
+      });
+      
+      return {
+        etag: response.headers['etag'] || null,
+        contentLength: parseInt(response.headers['content-length']) || null,
+        lastModified: response.headers['last-modified'] || null,
+        fileName: BaseProvider.parseContentDisposition(response.headers['content-disposition'])
+      };
+    } catch (error) {
+      this.logger.debug(`HEAD-Anfrage fehlgeschlagen für ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  static parseContentDisposition(header) {
+    // attachment; filename*=UTF-8''XENTRY%20DVD.iso or filename="XENTRY DVD.iso", the encoded form wins
+    if (!header) {
+      return null;
+    }
+    
+    let fileName = null;
+    const encoded = header.match(/filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i);
+    if (encoded) {
+      try {
+        fileName = decodeURIComponent(encoded[2].trim().replace(/^"|"$/g, ''));
+      } catch (error) {
+        // Broken encoding, try the plain parameter
+      }
+    }
+    if (!fileName) {
+      const plain = header.match(/filename\s*=\s*(?:"([^"]*)"|([^;]+))/i);
+      fileName = plain ? (plain[1] ?? plain[2]).trim() : null;
+    }
+    
+    // The name comes from the server, it must not point outside the download directory
+    fileName = fileName ? path.basename(fileName.replace(/\\/g, '/')).replace(/[<>:"|?*\x00-\x1f]/g, '_') : null;
+    return fileName && fileName !== '.' && fileName !== '..' ? fileName : null;
+  }
+
+  async recordAnomaly(anomaly) {
+    this.logger.warn(`⚠️ Anomalie erkannt: Portal bietet ältere Version ${anomaly.offeredVersion} für ${anomaly.category} an (aktuell: ${anomaly.currentVersion}) - wird nicht heruntergeladen`);
+    
+    if (!this.metadata.anomalies) {
+      this.metadata.anomalies = [];
+    }
+    
+    this.metadata.anomalies.unshift({
+      ...anomaly,
+      detectedAt: new Date().toISOString()
+    });
+    
+    // Only keep the most recent entries
+    this.metadata.anomalies = this.metadata.anomalies.slice(0, 50);
+    await this.saveMetadata();
+  }
+
+  async processUpdates(downloads, label) {
+    // Check which downloads are new
+    const updates = [];
+    for (const [category, download] of Object.entries(downloads)) {
+      const isNew = await this.isNewVersion(category, download);
+      this.currentRun?.discovered.push({
+        category,
+        displayName: download.displayName,
+        version: download.version,
+        isNew
+      });
+      
+      if (isNew) {
+        updates.push(download);
+        this.logger.info(`🆕 Neue Version gefunden: ${download.displayName} (${download.version})`);
+        eventBus.publish('new_version', { provider: this.providerName, category, displayName: download.displayName, version: download.version });
+      } else {
+        this.logger.info(`✅ Aktuelle Version bereits vorhanden: ${download.displayName} (${download.version})`);
+        this.clearPendingDownload(category);
+      }
+    }
+
+    // Initialize counters
+    let successCount = 0;
+    let failCount = 0;
+
+    // Outside the download window updates are only announced, the download follows once it opens
+    const downloadWindow = this.getDownloadWindow();
+    if (updates.length > 0 && !downloadWindow.isOpen()) {
+      await this.deferDownloads(updates, downloadWindow, label);
+      return { successCount, failCount };
+    }
+
+    // Download updates
+    if (updates.length > 0) {
+      this.logger.info(`📥 ${updates.length} Updates für ${label} werden heruntergeladen...`);
+      
+      const successfulUpdates = [];
+      
+      // Downloads that still fail with a temporary error go to the end of the queue and get another round
+      const requeueRounds = parseInt(process.env.DOWNLOAD_REQUEUE_ROUNDS) || 1;
+      const queue = updates.map(update => ({ update, round: 0 }));
+      
+      for (let i = 0; i < queue.length; i++) {
+        const { update, round } = queue[i];
+        
+        // The window may close during a long run, the rest waits for the next one
+        if (!downloadWindow.isOpen()) {
+          await this.deferDownloads(queue.slice(i).map(entry => entry.update), downloadWindow, label);
+          break;
+        }
+        
+        this.logger.info(`📥 Download ${i + 1}/${queue.length}: ${update.displayName}`);
+        this.setPhase('download', update.displayName, { file: this.resolveFileName(update), index: i + 1, total: queue.length });
+        
+        try {
+          this.lastStepError = null;
+          const success = await this.downloadFile(update);
+          if (success) {
+            successCount++;
+            
+            // Updates announced while the window was closed are not announced a second time
+            const pending = this.clearPendingDownload(update.category);
+            if (!(pending?.notified && pending.version === update.version)) {
+              successfulUpdates.push(update);
+            }
+          } else if (round < requeueRounds && !this.abortSignal?.aborted &&
+            this.lastStepError && BaseProvider.isRetryableError(this.lastStepError)) {
+            this.logger.info(`🔁 ${update.displayName} wird am Ende des Laufs erneut versucht`);
+            queue.push({ update, round: round + 1 });
+          } else {
+            failCount++;
+          }
+          
+          // Add delay between downloads
+          if (i < queue.length - 1) {
+            this.logger.info('⏳ Warte 3 Sekunden vor dem nächsten Download...');
+            await new Promise(resolve => setTimeout(resolve, 3000));
+          }
+          
+        } catch (error) {
+          this.logger.error(`❌ Fehler beim Download von ${update.displayName}: ${error.message}`);
+          failCount++;
+        }
+      }
+      
+      this.logger.info(`📊 ${label} Download-Statistik: ${successCount} erfolgreich, ${failCount} fehlgeschlagen`);
+      await this.savePendingDownloads();
+      
+      // Send email notification for successful downloads
+      if (successfulUpdates.length > 0) {
+        await this.sendNewVersionNotification(successfulUpdates);
+      }
+      
+    } else {
+      this.logger.info(`✅ Keine Updates für ${label} verfügbar`);
+      await this.savePendingDownloads();
+    }
+
+    return { successCount, failCount };
+  }
+
+  async deferDownloads(updates, downloadWindow, label) {
+    const opensAt = downloadWindow.nextOpening();
+    this.logger.info(`🌙 Außerhalb des Download-Fensters (${downloadWindow}), ${updates.length} Updates für ${label} werden ab ${opensAt.toLocaleString('de-DE')} geladen`);
+    
+    // Kept in the metadata, the manager starts a check for them once the window opens
+    this.metadata.pendingDownloads = this.metadata.pendingDownloads || {};
+    const unannounced = [];
+    
+    for (const update of updates) {
+      const pending = this.metadata.pendingDownloads[update.category];
+      const known = pending?.version === update.version;
+      
+      update.deferredUntil = opensAt.toISOString();
+      this.metadata.pendingDownloads[update.category] = {
+        displayName: update.displayName,
+        version: update.version,
+        discoveredAt: known ? pending.discoveredAt : new Date().toISOString(),
+        deferredUntil: update.deferredUntil,
+        notified: true
+      };
+      this.currentRun?.deferred.push({ category: update.category, displayName: update.displayName, version: update.version });
+      
+      // Every check before the window opens finds the same versions again, they are announced only once
+      if (!(known && pending.notified)) {
+        unannounced.push(update);
+      }
+    }
+    
+    this.pendingDownloadsChanged = true;
+    await this.savePendingDownloads();
+    
+    eventBus.publish('downloads_deferred', {
+      provider: this.providerName,
+      updates: updates.map(update => ({ category: update.category, displayName: update.displayName, version: update.version })),
+      opensAt: opensAt.toISOString()
+    });
+    
+    await this.sendNewVersionNotification(unannounced);
+  }
+
+  clearPendingDownload(category) {
+    const pending = this.metadata.pendingDownloads?.[category];
+    if (pending) {
+      delete this.metadata.pendingDownloads[category];
+      this.pendingDownloadsChanged = true;
+    }
+    return pending || null;
+  }
+
+  async savePendingDownloads() {
+    if (!this.pendingDownloadsChanged) {
+      return;
+    }
+    
+    this.pendingDownloadsChanged = false;
+    await this.saveMetadata();
+  }
+
+  getPendingDownloads() {
+    return Object.entries(this.metadata?.pendingDownloads || {}).map(([category, pending]) => ({ category, ...pending }));
   }
 
   async sendNewVersionNotification(updates) {
@@ -424,6 +1268,7 @@ export class BaseProvider {
     try {
       this.logger.info(`📧 Sende E-Mail-Benachrichtigung für ${updates.length} neue Version(en)`);
       const success = await this.emailService.sendNewVersionNotification(this.providerName, updates);
+      await this.recordNotification('new_version', updates.map(update => `${update.displayName} ${update.version}`).join(', '), success);
       
       if (success) {
         this.logger.info('✅ E-Mail-Benachrichtigung erfolgreich gesendet');
@@ -435,10 +1280,600 @@ export class BaseProvider {
     }
   }
 
+  async recordNotification(type, subject, success) {
+    // Disabled notifications are not attempts, they would only clutter the table
+    if (!this.emailService.enabled) {
+      return;
+    }
+    
+    try {
+      await this.metadataManager.recordNotification(this.providerName, type, credentialVault.redact(subject), success);
+    } catch (error) {
+      this.logger.warn(`⚠️ Benachrichtigung konnte nicht protokolliert werden: ${error.message}`);
+    }
+  }
+
+  async runCheck(options = {}) {
+    // Cancelled while the browser was starting, the abort event has already fired
+    if (options.signal?.aborted) {
+      throw new Error('Check wurde abgebrochen, bevor er gestartet ist');
+    }
+    
+    // Every check leaves a record in the run history, whoever triggered it
+    const run = {
+      id: crypto.randomUUID(),
+      provider: this.providerName,
+      trigger: options.trigger || 'cli',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      login: null,
+      discovered: [],
+      downloaded: [],
+      bytes: 0,
+      errors: [],
+      interruptions: [],
+      deferred: [],
+      outcome: 'running',
+      traceId: null
+    };
+    this.currentRun = run;
+    
+    const errorTransport = new RunErrorTransport(run);
+    this.logger.add(errorTransport);
+    
+    // A cancelled job closes the browser, every pending page action fails right away
+    this.abortSignal = options.signal || null;
+    const onAbort = () => {
+      this.logger.warn('⏹️ Check wird abgebrochen');
+      this.browser?.close().catch(() => {});
+    };
+    this.abortSignal?.addEventListener('abort', onAbort, { once: true });
+    
+    this.progressListener = options.onProgress || null;
+    this.setPhase('start');
+    eventBus.publish('run_started', { provider: this.providerName, runId: run.id, trigger: run.trigger, startedAt: run.startedAt });
+    
+    // --trace records the whole run, e.g. to debug selectors inside the ISTA-Next iframes
+    if (options.trace) {
+      run.traceId = await this.startRunTrace();
+    }
+    
+    let error = null;
+    try {
+      return await this.checkForUpdates();
+    } catch (checkError) {
+      error = checkError;
+      throw checkError;
+    } finally {
+      if (options.trace) {
+        await this.stopRunTrace(error);
+      }
+      
+      this.logger.remove(errorTransport);
+      this.abortSignal?.removeEventListener('abort', onAbort);
+      this.currentRun = null;
+      await this.finishRun(run, error);
+      this.abortSignal = null;
+      this.progressListener = null;
+      this.progress = null;
+    }
+  }
+
+  setPhase(phase, detail = null, extra = {}) {
+    // Reported to the job queue, GET /api/jobs/:id shows where a long check currently is
+    this.progress = {
+      phase,
+      detail,
+      file: null,
+      index: null,
+      total: null,
+      bytes: null,
+      totalBytes: null,
+      percent: null,
+      bytesPerSecond: null,
+      etaSeconds: null,
+      ...extra,
+      updatedAt: new Date().toISOString()
+    };
+    this.progressListener?.(this.progress);
+  }
+
+  getRetryPolicy(kind) {
+    // Provider setting (BMW_RETRY_LOGIN_ATTEMPTS) wins over the global one (RETRY_LOGIN_ATTEMPTS)
+    const readSetting = (name, defaultValue) => {
+      const key = `RETRY_${kind.toUpperCase()}_${name}`;
+      const parsed = parseInt(this.getConfig(key) ?? process.env[key]);
+      return Number.isNaN(parsed) ? defaultValue : parsed;
+    };
+    
+    const defaults = RETRY_DEFAULTS[kind];
+    return {
+      kind,
+      attempts: Math.max(1, readSetting('ATTEMPTS', defaults.attempts)),
+      baseDelayMs: readSetting('BASE_DELAY_SECONDS', defaults.baseDelaySeconds) * 1000,
+      maxDelayMs: readSetting('MAX_DELAY_SECONDS', defaults.maxDelaySeconds) * 1000
+    };
+  }
+
+  static isRetryableError(error, options = {}) {
+    if (error.fatal) {
+      return false;
+    }
+    
+    // Watchdog limits (stall, slow, connect_timeout) and errors marked by the caller
+    if (error.retryable || error.reason) {
+      return true;
+    }
+    
+    // 401, 403, 404 and co. won't change with the next attempt, overload and server errors might
+    const status = error.response?.status ?? error.status;
+    if (status) {
+      return status === 408 || status === 429 || status >= 500;
+    }
+    
+    if (RETRYABLE_ERROR_CODES.includes(error.code) || error.name === 'TimeoutError') {
+      return true;
+    }
+    
+    const message = String(error.message || '');
+    if (FATAL_ERROR_PATTERN.test(message)) {
+      return false;
+    }
+    if (RETRYABLE_ERROR_PATTERN.test(message)) {
+      return true;
+    }
+    
+    return options.retryUnknown !== false;
+  }
+
+  willRetry(error) {
+    const context = this.retryContext;
+    if (!context || this.abortSignal?.aborted || context.attempt >= context.policy.attempts) {
+      return false;
+    }
+    
+    return BaseProvider.isRetryableError(error, context.options);
+  }
+
+  getRetryDelay(policy, attempt) {
+    // Exponential backoff, half of it randomized so parallel accounts don't hit the portal at the same moment
+    const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  waitForRetry(delayMs) {
+    // A cancelled job does not sit out the backoff
+    return new Promise(resolve => {
+      if (this.abortSignal?.aborted) {
+        resolve();
+        return;
+      }
+      
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        this.abortSignal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, delayMs);
+      this.abortSignal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  async withRetry(kind, label, operation, options = {}) {
+    const policy = this.getRetryPolicy(kind);
+    const previousContext = this.retryContext;
+    
+    try {
+      for (let attempt = 1; ; attempt++) {
+        this.retryContext = { attempt, policy, options };
+        try {
+          return await operation(attempt);
+        } catch (error) {
+          if (!this.willRetry(error)) {
+            throw error;
+          }
+          
+          const delayMs = this.getRetryDelay(policy, attempt);
+          this.logger.info(`⏳ ${label}: Versuch ${attempt + 1}/${policy.attempts} in ${this.formatDuration(delayMs / 1000)}...`);
+          await this.waitForRetry(delayMs);
+          
+          if (this.abortSignal?.aborted) {
+            throw error;
+          }
+        }
+      }
+    } finally {
+      this.retryContext = previousContext;
+    }
+  }
+
+  reportStepError(message, error) {
+    // Attempts that are retried are only warnings, the run record keeps the final failure
+    this.lastStepError = error;
+    
+    if (this.willRetry(error)) {
+      this.logger.warn(`⚠️ ${message} (Versuch ${this.retryContext.attempt}/${this.retryContext.policy.attempts}): ${error.message}`);
+      return true;
+    }
+    
+    this.logger.error(`❌ ${message}: ${error.message}`);
+    return false;
+  }
+
+  async retryStep(kind, label, step, options = {}) {
+    // Login and navigation report failures with false, the error they saw decides about the next attempt
+    try {
+      return await this.withRetry(kind, label, async () => {
+        this.lastStepError = null;
+        if (await step()) {
+          return true;
+        }
+        
+        const error = this.lastStepError || new Error(`${label} fehlgeschlagen`);
+        error.fatal = error.fatal || !this.lastStepError;
+        throw error;
+      }, options);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async loginWithRetry() {
+    // Unknown login errors are not retried, wrong credentials could lock the account
+    return await this.retryStep('login', 'Login', () => this.login(), { retryUnknown: false });
+  }
+
+  async handleLoginError(error) {
+    // Only the last attempt sends the notification
+    if (!this.reportStepError('Login fehlgeschlagen', error)) {
+      await this.sendLoginFailureNotification(error.message);
+    }
+    
+    return false;
+  }
+
+  getDownloadLimits(category) {
+    // Most specific setting wins: provider + category, provider, global
+    const categoryKey = category ? BaseProvider.getEnvPrefix(category) : null;
+    
+    const readSetting = (name, defaultValue) => {
+      const value = (categoryKey ? this.getConfig(`${categoryKey}_${name}`) : undefined) ??
+        this.getConfig(name) ??
+        process.env[name];
+      
+      const parsed = parseInt(value);
+      return Number.isNaN(parsed) ? defaultValue : parsed;
+    };
+    
+    const limits = {
+      connectTimeoutMs: readSetting('DOWNLOAD_CONNECT_TIMEOUT_SECONDS', 600) * 1000,
+      stallTimeoutMs: readSetting('DOWNLOAD_STALL_TIMEOUT_SECONDS', 120) * 1000,
+      minBytesPerSecond: readSetting('DOWNLOAD_MIN_THROUGHPUT_KBPS', 0) * 1024,
+      throughputWindowMs: readSetting('DOWNLOAD_THROUGHPUT_WINDOW_SECONDS', 300) * 1000,
+      maxBytesPerSecond: readSetting('DOWNLOAD_MAX_KBPS', 0) * 1024
+    };
+    
+    // The throttle keeps the average at the limit, a minimum at or above it would abort every download as too slow
+    if (limits.maxBytesPerSecond > 0 && limits.minBytesPerSecond >= limits.maxBytesPerSecond) {
+      const clamped = Math.floor(limits.maxBytesPerSecond / 2);
+      this.logger.warn(`⚠️ Mindestdurchsatz ${this.formatThroughput(limits.minBytesPerSecond)} liegt nicht unter der Bandbreitenbegrenzung ${this.formatThroughput(limits.maxBytesPerSecond)}, verwende ${this.formatThroughput(clamped)}`);
+      limits.minBytesPerSecond = clamped;
+    }
+    
+    return limits;
+  }
+
+  getDownloadWindow() {
+    // Provider setting (BMW_DOWNLOAD_WINDOWS) wins over the global one, empty means any time
+    const spec = this.getConfig('DOWNLOAD_WINDOWS') ?? process.env.DOWNLOAD_WINDOWS;
+    try {
+      return new DownloadWindow(spec);
+    } catch (error) {
+      this.logger.warn(`⚠️ ${error.message}, Downloads werden nicht eingeschränkt`);
+      return new DownloadWindow(null);
+    }
+  }
+
+  createThrottle(maxBytesPerSecond) {
+    // Holds chunks back until the average rate is below the limit, the socket then slows down by backpressure
+    let startedAt = null;
+    let bytes = 0;
+    
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        const now = Date.now();
+        
+        // Budget not used during a stall is dropped, it would allow a burst above the limit
+        if (startedAt === null || now - startedAt - (bytes / maxBytesPerSecond) * 1000 > 1000) {
+          startedAt = now;
+          bytes = 0;
+        }
+        
+        bytes += chunk.length;
+        const delay = startedAt + (bytes / maxBytesPerSecond) * 1000 - now;
+        if (delay > 0) {
+          setTimeout(() => callback(null, chunk), delay);
+        } else {
+          callback(null, chunk);
+        }
+      }
+    });
+  }
+
+  createTransferWatchdog(limits) {
+    // One controller for everything that can end a transfer: the limits below and a cancelled job
+    const controller = new AbortController();
+    const onCancel = () => controller.abort();
+    if (this.abortSignal?.aborted) {
+      controller.abort();
+    } else {
+      this.abortSignal?.addEventListener('abort', onCancel, { once: true });
+    }
+    
+    let failure = null;
+    let connectTimer = null;
+    let checkTimer = null;
+    let stream = null;
+    let lastDataAt = Date.now();
+    let bytes = 0;
+    let samples = [];
+    
+    const fail = (reason, message) => {
+      if (failure || controller.signal.aborted) {
+        return;
+      }
+      failure = { reason, message };
+      controller.abort();
+      stream?.destroy(new Error(message));
+    };
+    
+    const check = () => {
+      const now = Date.now();
+      if (limits.stallTimeoutMs > 0 && now - lastDataAt > limits.stallTimeoutMs) {
+        fail('stall', `Download hängt, seit ${Math.round((now - lastDataAt) / 1000)} Sekunden keine Daten empfangen`);
+        return;
+      }
+      
+      if (limits.minBytesPerSecond > 0) {
+        // Only judged once a full window has passed, TCP slow start and resumes need a moment
+        samples.push({ time: now, bytes });
+        while (samples.length > 1 && now - samples[1].time >= limits.throughputWindowMs) {
+          samples.shift();
+        }
+        
+        const oldest = samples[0];
+        if (now - oldest.time >= limits.throughputWindowMs) {
+          const bytesPerSecond = ((bytes - oldest.bytes) / (now - oldest.time)) * 1000;
+          if (bytesPerSecond < limits.minBytesPerSecond) {
+            fail('slow', `Download zu langsam: ${this.formatThroughput(bytesPerSecond)} statt mindestens ${this.formatThroughput(limits.minBytesPerSecond)}`);
+          }
+        }
+      }
+    };
+    
+    return {
+      signal: controller.signal,
+      startConnect: () => {
+        if (limits.connectTimeoutMs > 0) {
+          connectTimer = setTimeout(() => fail('connect_timeout', `Server hat nicht innerhalb von ${limits.connectTimeoutMs / 1000} Sekunden geantwortet`), limits.connectTimeoutMs);
+        }
+      },
+      startTransfer: (responseStream, offset) => {
+        clearTimeout(connectTimer);
+        stream = responseStream;
+        lastDataAt = Date.now();
+        bytes = offset;
+        samples = [{ time: lastDataAt, bytes }];
+        checkTimer = setInterval(check, 1000);
+      },
+      received: total => {
+        lastDataAt = Date.now();
+        bytes = total;
+      },
+      stop: () => {
+        clearTimeout(connectTimer);
+        clearInterval(checkTimer);
+        this.abortSignal?.removeEventListener('abort', onCancel);
+      },
+      explain: error => {
+        if (!failure) {
+          return error;
+        }
+        
+        // Keep the reason for the retry log and the run record
+        const explained = new Error(failure.message);
+        explained.reason = failure.reason;
+        return explained;
+      }
+    };
+  }
+
+  recordDownloadInterruption(download, attempt, error) {
+    if (!this.currentRun || this.currentRun.interruptions.length >= 50) {
+      return;
+    }
+    
+    this.currentRun.interruptions.push({
+      category: download.category,
+      displayName: download.displayName,
+      attempt,
+      reason: error.reason || (this.abortSignal?.aborted ? 'cancelled' : 'error'),
+      message: credentialVault.redact(error.message),
+      at: new Date().toISOString()
+    });
+  }
+
+  startTransferProgress(fileName, offset, totalBytes) {
+    const now = Date.now();
+    this.transferStats = {
+      fileName,
+      totalBytes,
+      percent: null,
+      reportedAt: 0,
+      loggedAt: now,
+      // Bytes received at points in time, the throughput is measured over the last seconds only
+      samples: [{ time: now, bytes: offset }]
+    };
+  }
+
+  reportDownloadProgress(bytes, totalBytes) {
+    const stats = this.transferStats;
+    if (!stats) {
+      return;
+    }
+    
+    // Streams deliver thousands of chunks per second, report each percent or once per second
+    const now = Date.now();
+    const percent = totalBytes ? Math.floor((bytes / totalBytes) * 100) : null;
+    if (percent === stats.percent && now - stats.reportedAt < 1000) {
+      return;
+    }
+    stats.percent = percent;
+    stats.reportedAt = now;
+    
+    stats.samples.push({ time: now, bytes });
+    while (stats.samples.length > 2 && now - stats.samples[1].time > 10000) {
+      stats.samples.shift();
+    }
+    
+    const oldest = stats.samples[0];
+    const elapsedMs = now - oldest.time;
+    const bytesPerSecond = elapsedMs > 0 ? Math.round(((bytes - oldest.bytes) / elapsedMs) * 1000) : null;
+    const etaSeconds = totalBytes && bytesPerSecond > 0 ? Math.round((totalBytes - bytes) / bytesPerSecond) : null;
+    
+    if (now - stats.loggedAt >= this.progressLogSeconds * 1000) {
+      stats.loggedAt = now;
+      const total = totalBytes ? ` / ${this.formatFileSize(totalBytes)} (${percent}%)` : '';
+      const eta = etaSeconds !== null ? `, noch ca. ${this.formatDuration(etaSeconds)}` : '';
+      this.logger.info(`📶 ${stats.fileName}: ${this.formatFileSize(bytes)}${total} - ${this.formatThroughput(bytesPerSecond)}${eta}`);
+    }
+    
+    if (this.progress) {
+      Object.assign(this.progress, { bytes, totalBytes, percent, bytesPerSecond, etaSeconds, updatedAt: new Date(now).toISOString() });
+      this.progressListener?.(this.progress);
+      eventBus.publish('download_progress', { provider: this.providerName, ...this.progress });
+    }
+  }
+
+  getProgress() {
+    return this.progress ? { ...this.progress } : null;
+  }
+
+  async finishRun(run, error) {
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = new Date(run.finishedAt) - new Date(run.startedAt);
+    run.login = run.login || (this.isLoggedIn ? 'success' : 'skipped');
+    
+    if (this.abortSignal?.aborted) {
+      run.outcome = 'cancelled';
+    } else if (error) {
+      run.errors.push(credentialVault.redact(error.message));
+      run.outcome = 'failed';
+    } else if (run.login === 'failed') {
+      run.outcome = 'login_failed';
+    } else if (run.errors.length > 0) {
+      run.outcome = run.downloaded.length > 0 ? 'partial' : 'failed';
+    } else {
+      run.outcome = run.downloaded.length > 0 ? 'updated' : (run.deferred.length > 0 ? 'deferred' : 'no_updates');
+    }
+    
+    eventBus.publish('run_finished', RunHistory.summarize(run));
+    
+    try {
+      await runHistory.save(run);
+      this.logger.debug(`Run ${run.id} gespeichert (${run.outcome})`);
+    } catch (saveError) {
+      this.logger.warn(`⚠️ Run-Historie konnte nicht gespeichert werden: ${saveError.message}`);
+    }
+    
+    return run;
+  }
+
+  async startRunTrace() {
+    if (!this.context) {
+      this.logger.warn('⚠️ Trace nicht möglich, der Browser läuft nicht');
+      return null;
+    }
+    
+    try {
+      if (this.tracing) {
+        // Drop the chunk recorded since the launch, the run trace starts clean
+        await this.context.tracing.stopChunk();
+        await this.context.tracing.startChunk({ title: `${this.displayName} Check` });
+      } else {
+        await this.context.tracing.start({ screenshots: true, snapshots: true, title: `${this.displayName} Check` });
+      }
+      
+      const { id, entryDir } = await this.diagnosticsStore.createEntry(this.providerName, 'trace');
+      this.runTrace = { id, entryDir, startedAt: new Date().toISOString(), stopTracing: !this.tracing };
+      this.tracing = true;
+      
+      this.logger.info(`🎞️ Trace-Aufzeichnung gestartet (Run ${id})`);
+      return id;
+    } catch (error) {
+      this.logger.warn(`⚠️ Trace konnte nicht gestartet werden: ${error.message}`);
+      return null;
+    }
+  }
+
+  async stopRunTrace(error = null) {
+    if (!this.runTrace) {
+      return null;
+    }
+    
+    const runTrace = this.runTrace;
+    this.runTrace = null;
+    
+    try {
+      const tracePath = path.join(runTrace.entryDir, 'trace.zip');
+      await this.context.tracing.stopChunk({ path: tracePath });
+      
+      // Continue with the login diagnostics trace if it was running before
+      if (runTrace.stopTracing) {
+        await this.context.tracing.stop();
+        this.tracing = false;
+      } else {
+        await this.context.tracing.startChunk();
+      }
+      
+      await this.diagnosticsStore.writeMeta(runTrace.entryDir, {
+        provider: this.providerName,
+        step: 'trace',
+        error: error ? credentialVault.redact(error.message) : null,
+        url: this.page?.url() || null,
+        startedAt: runTrace.startedAt,
+        capturedAt: new Date().toISOString()
+      });
+      await this.diagnosticsStore.prune(this.providerName);
+      
+      this.logger.info(`🎞️ Trace gespeichert: ${tracePath}`);
+      return runTrace.id;
+    } catch (traceError) {
+      this.logger.warn(`⚠️ Trace konnte nicht gespeichert werden: ${traceError.message}`);
+      return null;
+    }
+  }
+
   async sendLoginFailureNotification(errorMessage) {
+    if (this.currentRun) {
+      this.currentRun.login = 'failed';
+    }
+    
+    // Called while the failed page is still open, so this is the moment to capture it
+    const diagnostics = await this.captureDiagnostics('login', errorMessage);
+    eventBus.publish('login_failure', {
+      provider: this.providerName,
+      error: credentialVault.redact(errorMessage),
+      diagnosticsId: diagnostics?.id || null
+    });
+    
     try {
       this.logger.info(`📧 Sende Login-Fehler E-Mail-Benachrichtigung für ${this.providerName.toUpperCase()}`);
-      const success = await this.emailService.sendLoginFailureNotification(this.providerName, errorMessage);
+      const success = await this.emailService.sendLoginFailureNotification(this.providerName, errorMessage, diagnostics);
+      await this.recordNotification('login_failure', errorMessage, success);
       
       if (success) {
         this.logger.info('✅ Login-Fehler E-Mail-Benachrichtigung erfolgreich gesendet');
@@ -450,10 +1885,176 @@ export class BaseProvider {
     }
   }
 
+  getCredential(name) {
+    // Read on every login, so credentials rotated in the dashboard apply without a restart
+    return credentialVault.get(name);
+  }
+
+  getAccountCredential(key) {
+    // No fallback to the provider credentials, every account logs in with its own
+    return this.getCredential(`${BaseProvider.getEnvPrefix(this.providerName)}_${key}`);
+  }
+
+  static readConfig(names, key) {
+    for (const name of names) {
+      const value = process.env[`${BaseProvider.getEnvPrefix(name)}_${key}`];
+      if (value !== undefined && value !== '') {
+        return value;
+      }
+    }
+    
+    return undefined;
+  }
+
+  getConfig(key) {
+    // Account settings (BMW_DEALER1_ISTA_P_FILTER) fall back to the provider settings (BMW_ISTA_P_FILTER)
+    return BaseProvider.readConfig([this.providerName, this.baseProviderName], key);
+  }
+
+  getSessionProbeUrl() {
+    // Page that requires a login, providers without one always do a full login
+    return null;
+  }
+
+  async checkLoginStatus() {
+    if (!this.page) {
+      return false;
+    }
+    
+    // A visible password field means the portal wants us to log in
+    const passwordField = await this.page.$('input[type="password"]');
+    return !passwordField || !(await passwordField.isVisible());
+  }
+
+  async restoreSession() {
+    if (!this.sessionRestored) {
+      return false;
+    }
+    
+    // Only probe once per browser, a rejected session falls back to the full login
+    this.sessionRestored = false;
+    const probeUrl = this.getSessionProbeUrl();
+    
+    if (probeUrl) {
+      this.logger.info('🔑 Prüfe gespeicherte Sitzung...');
+      
+      try {
+        await this.page.goto(probeUrl, {
+          waitUntil: 'networkidle',
+          timeout: 30000
+        });
+        
+        if (await this.checkLoginStatus()) {
+          this.isLoggedIn = true;
+          this.logger.info('✅ Gespeicherte Sitzung gültig, Login übersprungen');
+          return true;
+        }
+      } catch (error) {
+        this.logger.debug(`Fehler beim Prüfen der gespeicherten Sitzung: ${error.message}`);
+      }
+    }
+    
+    this.logger.info('⚠️ Gespeicherte Sitzung abgelehnt, führe vollständigen Login durch');
+    await this.sessionStore.clear();
+    await this.context.clearCookies();
+    return false;
+  }
+
+  async saveSession() {
+    if (!this.context || !this.isLoggedIn || !this.sessionStore.isEnabled()) {
+      return;
+    }
+    
+    try {
+      await this.sessionStore.save(await this.context.storageState());
+      this.logger.debug('Sitzung gespeichert');
+    } catch (error) {
+      this.logger.warn(`⚠️ Sitzung konnte nicht gespeichert werden: ${error.message}`);
+    }
+  }
+
+  getMfaSelector() {
+    // Common names of one-time code fields, providers with exotic forms override this
+    return [
+      'input[autocomplete="one-time-code"]',
+      'input[name*="otp" i]',
+      'input[id*="otp" i]',
+      'input[name*="totp" i]',
+      'input[name*="mfa" i]',
+      'input[name="code"]',
+      'input[name="verificationCode"]'
+    ].join(', ');
+  }
+
+  async handleMfaChallenge(timeout = 5000) {
+    // Most logins don't ask for a code, so only wait briefly for the challenge
+    const codeField = this.page.locator(this.getMfaSelector()).first();
+    try {
+      await codeField.waitFor({ state: 'visible', timeout });
+    } catch (error) {
+      return false;
+    }
+    
+    this.logger.info('🔐 MFA-Abfrage erkannt');
+    
+    const code = await this.getMfaCode();
+    await codeField.fill(code);
+    await codeField.press('Enter');
+    await this.page.waitForLoadState('networkidle', { timeout: 30000 });
+    
+    this.logger.info('✅ MFA-Code übermittelt');
+    return true;
+  }
+
+  async getMfaCode() {
+    const providerKey = BaseProvider.getEnvPrefix(this.providerName);
+    const secret = this.getCredential(`${providerKey}_TOTP_SECRET`);
+    
+    if (secret) {
+      const totp = new Totp(secret);
+      
+      // A code that expires while the form is submitted gets rejected, so wait for the next one
+      const remainingSeconds = totp.getRemainingSeconds();
+      if (remainingSeconds < 5) {
+        await new Promise(resolve => setTimeout(resolve, remainingSeconds * 1000 + 500));
+      }
+      
+      this.logger.info('🔢 TOTP-Code generiert');
+      return totp.generate();
+    }
+    
+    if (process.env.MFA_INTERACTIVE === 'false') {
+      throw new Error(`MFA-Code erforderlich, aber ${providerKey}_TOTP_SECRET ist nicht gesetzt`);
+    }
+    
+    // Fall back to the dashboard, an operator enters the code from their device
+    const timeoutSeconds = parseInt(process.env.MFA_TIMEOUT_SECONDS) || 300;
+    this.logger.warn(`⏳ Warte bis zu ${timeoutSeconds} Sekunden auf einen MFA-Code aus dem Dashboard...`);
+    
+    return await mfaBroker.requestCode(this.providerName, {
+      timeoutMs: timeoutSeconds * 1000,
+      message: `${this.displayName} verlangt einen Bestätigungscode`,
+      // A cancelled or aborted job withdraws the request from the dashboard
+      signal: this.abortSignal
+    });
+  }
+
   async cleanup() {
-    if (this.browser) {
+    if (!this.browser) {
+      return;
+    }
+    
+    try {
+      // Keep the refreshed cookies for the next run
+      await this.saveSession();
       await this.browser.close();
       this.logger.info('🔒 Browser geschlossen');
+    } finally {
+      // The manager reuses this instance for the next job, which starts with a new browser and must log in again
+      this.browser = null;
+      this.context = null;
+      this.page = null;
+      this.isLoggedIn = false;
     }
   }
 
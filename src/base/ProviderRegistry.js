@@ -0,0 +1,129 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { BaseProvider } from './BaseProvider.js';
+import { credentialVault } from '../utils/CredentialVault.js';
+import { Logger } from '../utils/Logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export class ProviderRegistry {
+  constructor(providersDir = path.join(__dirname, '..', 'providers')) {
+    this.providersDir = providersDir;
+    this.definitions = new Map();
+    this.loadPromise = null;
+  }
+
+  async load() {
+    // Only scan the providers directory once, all consumers share the result
+    if (!this.loadPromise) {
+      this.loadPromise = this.discover();
+    }
+    return this.loadPromise;
+  }
+
+  async discover() {
+    const files = await fs.readdir(this.providersDir);
+    const providerClasses = [];
+
+    for (const file of files.sort()) {
+      if (!file.endsWith('Provider.js')) {
+        continue;
+      }
+
+      const module = await import(pathToFileURL(path.join(this.providersDir, file)).href);
+
+      for (const exported of Object.values(module)) {
+        if (typeof exported === 'function' && exported.prototype instanceof BaseProvider && exported.providerName) {
+          providerClasses.push(exported);
+        }
+      }
+    }
+
+    // Built-in providers first, a config entry named like one of them is skipped instead of replacing it
+    for (const ProviderClass of providerClasses.sort((a, b) => a.configDriven - b.configDriven)) {
+      await this.register(ProviderClass);
+    }
+
+    return this;
+  }
+
+  async register(ProviderClass) {
+    const logger = Logger.get('registry');
+    let definitions;
+    try {
+      definitions = await ProviderClass.getDefinitions();
+    } catch (error) {
+      logger.error(`❌ Provider ${ProviderClass.providerName} konnte nicht geladen werden: ${error.message}`);
+      return;
+    }
+
+    for (const definition of definitions) {
+      if (this.definitions.has(definition.name)) {
+        logger.warn(`⚠️ Provider '${definition.name}' ist bereits registriert, Eintrag wird übersprungen`);
+        continue;
+      }
+      this.definitions.set(definition.name, definition);
+    }
+  }
+
+  has(name) {
+    return this.definitions.has(name);
+  }
+
+  get(name) {
+    return this.definitions.get(name) || null;
+  }
+
+  getAll() {
+    return Array.from(this.definitions.values());
+  }
+
+  getNames() {
+    return Array.from(this.definitions.keys());
+  }
+
+  isConfigured(name) {
+    const definition = this.get(name);
+    if (!definition) {
+      return false;
+    }
+    return definition.requiredEnv.every(key => !!credentialVault.get(key));
+  }
+
+  getConfigured() {
+    return this.getAll().filter(definition => this.isConfigured(definition.name));
+  }
+
+  getCheckIntervalHours(name) {
+    // Same lookup as BaseProvider.getConfig, without creating a provider instance
+    const definition = this.get(name);
+    const value = BaseProvider.readConfig([name, definition?.ProviderClass.providerName || name], 'CHECK_INTERVAL_HOURS');
+    return parseInt(value) || parseInt(process.env.CHECK_INTERVAL_HOURS) || 6;
+  }
+
+  create(name) {
+    const definition = this.get(name);
+    if (!definition) {
+      throw new Error(`Provider '${name}' nicht gefunden`);
+    }
+    return new definition.ProviderClass(definition.options);
+  }
+
+  describe() {
+    // Serializable summary for the API and the dashboard
+    return this.getAll().map(definition => ({
+      name: definition.name,
+      displayName: definition.displayName,
+      account: definition.account || null,
+      checkIntervalHours: this.getCheckIntervalHours(definition.name),
+      categories: definition.categories,
+      requiredEnv: definition.requiredEnv,
+      configured: this.isConfigured(definition.name)
+    }));
+  }
+}
+
+// Shared instance used by the manager, the web server and the tools
+export const providerRegistry = new ProviderRegistry();
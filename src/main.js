@@ -1,6 +1,9 @@
-import { BMWProvider } from './providers/BMWProvider.js';
-import { VWProvider } from './providers/VWProvider.js';
+import { providerRegistry } from './base/ProviderRegistry.js';
 import { WebServer } from './web/server.js';
+import { IntegrityChecker } from './utils/IntegrityChecker.js';
+import { credentialVault } from './utils/CredentialVault.js';
+import { JobQueue } from './utils/JobQueue.js';
+import { eventBus } from './utils/EventBus.js';
 import winston from 'winston';
 import dotenv from 'dotenv';
 
@@ -13,7 +16,7 @@ const logger = winston.createLogger({
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.printf(({ timestamp, level, message }) => {
-      return `${timestamp} [${level.toUpperCase()}] [MAIN]: ${message}`;
+      return `${timestamp} [${level.toUpperCase()}] [MAIN]: ${credentialVault.redact(message)}`;
     })
   ),
   transports: [
@@ -25,23 +28,27 @@ const logger = winston.createLogger({
 class CarDownloaderManager {
   constructor() {
     this.providers = new Map();
+    // Provider loops started with `node src/main.js <provider>` or `all`
     this.runningProviders = new Set();
+    // Cron, API and CLI submit every check here, so a provider never runs twice at the same time
+    this.jobQueue = new JobQueue();
+    this.jobQueue.on('update', job => eventBus.publish('job', job));
     this.webServer = null;
     this.isWebMode = false;
+    // Start of the download window a deferred download check was last submitted for, per provider
+    this.windowChecks = new Map();
+    this.windowTimer = null;
   }
 
   async initialize() {
     logger.info('🚀 Car Downloader Manager wird initialisiert...');
     
-    // Initialize providers based on environment configuration
-    if (process.env.BMW_USERNAME && process.env.BMW_PASSWORD) {
-      this.providers.set('bmw', new BMWProvider());
-      logger.info('✅ BMW Provider initialisiert');
-    }
+    // Initialize all registered providers that are configured in the environment
+    await providerRegistry.load();
     
-    if (process.env.VW_USERNAME && process.env.VW_PASSWORD) {
-      this.providers.set('vw', new VWProvider());
-      logger.info('✅ VW Provider initialisiert');
+    for (const definition of providerRegistry.getConfigured()) {
+      this.providers.set(definition.name, providerRegistry.create(definition.name));
+      logger.info(`✅ ${definition.displayName} Provider initialisiert`);
     }
     
     if (this.providers.size === 0) {
@@ -50,6 +57,33 @@ class CarDownloaderManager {
     }
     
     logger.info(`📊 ${this.providers.size} Provider(s) bereit: ${Array.from(this.providers.keys()).join(', ')}`);
+    
+    // Updates deferred before a restart are still fetched when their window opens
+    for (const provider of this.providers.values()) {
+      await provider.loadMetadata();
+    }
+    this.windowTimer = setInterval(() => this.submitDeferredDownloads(), 60 * 1000);
+    this.windowTimer.unref();
+  }
+
+  submitDeferredDownloads() {
+    for (const [providerName, provider] of this.providers) {
+      const pending = provider.getPendingDownloads();
+      const downloadWindow = provider.getDownloadWindow();
+      if (pending.length === 0 || !downloadWindow.isOpen() || this.jobQueue.getActive(providerName)) {
+        continue;
+      }
+      
+      // Once per opening, a download that keeps failing waits for the regular checks
+      const openedAt = downloadWindow.openedAt()?.getTime() ?? 0;
+      if (this.windowChecks.get(providerName) === openedAt) {
+        continue;
+      }
+      this.windowChecks.set(providerName, openedAt);
+      
+      logger.info(`🌅 Download-Fenster für ${providerName.toUpperCase()} geöffnet, lade ${pending.length} eingeplante(s) Update(s)`);
+      this.submitCheck(providerName, { trigger: 'window' });
+    }
   }
 
   async runProvider(providerName) {
@@ -68,8 +102,17 @@ class CarDownloaderManager {
       this.runningProviders.add(providerName);
       logger.info(`🚀 Starte Provider: ${providerName.toUpperCase()}`);
       
-      await provider.run();
+      const checkIntervalHours = providerRegistry.getCheckIntervalHours(providerName);
+      logger.info(`⏰ Update-Checks für ${providerName.toUpperCase()} alle ${checkIntervalHours} Stunden`);
       
+      // Continuous operation, every check goes through the job queue like cron and API checks
+      while (this.runningProviders.has(providerName)) {
+        const job = this.submitCheck(providerName, { trigger: 'scheduled' });
+        await this.jobQueue.wait(job.id);
+        
+        logger.info(`⏳ Warte ${checkIntervalHours} Stunden bis zum nächsten ${providerName.toUpperCase()} Update-Check...`);
+        await new Promise(resolve => setTimeout(resolve, checkIntervalHours * 60 * 60 * 1000));
+      }
     } catch (error) {
       logger.error(`❌ Fehler beim Ausführen von Provider '${providerName}': ${error.message}`);
       return false;
@@ -92,23 +135,46 @@ class CarDownloaderManager {
     }
   }
 
-  async runSingleCheck(providerName = null) {
-    if (providerName) {
-      // Run single provider check
-      const provider = this.providers.get(providerName);
-      if (!provider) {
-        logger.error(`❌ Provider '${providerName}' nicht gefunden!`);
-        return;
-      }
-      
-      logger.info(`🔍 Führe einmaligen Check für ${providerName.toUpperCase()} durch...`);
-      
-      try {
-        await provider.initialize();
-        await provider.checkForUpdates();
-        await provider.cleanup();
-        logger.info(`✅ Check für ${providerName.toUpperCase()} abgeschlossen`);
-      } catch (error) {
+  submitCheck(providerName, options = {}) {
+    const provider = this.providers.get(providerName);
+    if (!provider) {
+      throw new Error(`Provider '${providerName}' nicht gefunden`);
+    }
+    
+    // A second identical request while one is still waiting adds nothing
+    const queued = this.jobQueue.list({ provider: providerName, state: 'queued' })
+      .find(job => job.type === 'check' && job.options.trace === Boolean(options.trace));
+    if (queued) {
+      logger.info(`⏭️ Check für ${providerName.toUpperCase()} ist bereits eingeplant (Job ${queued.id})`);
+      return queued;
+    }
+    
+    const checkOptions = { trace: Boolean(options.trace), trigger: options.trigger || 'cli' };
+    const job = this.jobQueue.submit(providerName, 'check', (signal, job) => this.executeCheck(providerName, provider, {
+      ...checkOptions,
+      signal,
+      onProgress: progress => this.jobQueue.updateProgress(job.id, progress)
+    }), checkOptions);
+    
+    if (this.jobQueue.isRunning(providerName) && job.state === 'queued') {
+      logger.info(`⏳ ${providerName.toUpperCase()} läuft gerade, Check wird danach ausgeführt (Job ${job.id})`);
+    }
+    return job;
+  }
+
+  async executeCheck(providerName, provider, options) {
+    logger.info(`🔍 Führe Check für ${providerName.toUpperCase()} durch...`);
+    
+    try {
+      await provider.initialize();
+      const result = await provider.runCheck(options);
+      await provider.cleanup();
+      logger.info(`✅ Check für ${providerName.toUpperCase()} abgeschlossen`);
+      return result;
+    } catch (error) {
+      if (options.signal?.aborted) {
+        logger.warn(`⏹️ Check für ${providerName.toUpperCase()} abgebrochen`);
+      } else {
         logger.error(`❌ Fehler beim Check von ${providerName.toUpperCase()}: ${error.message}`);
         
         // Send email notification for critical errors during check
@@ -117,39 +183,139 @@ class CarDownloaderManager {
         } catch (emailError) {
           logger.error(`❌ Fehler beim Senden der E-Mail-Benachrichtigung: ${emailError.message}`);
         }
-        
+      }
+      
+      try {
         await provider.cleanup();
+      } catch (cleanupError) {
+        logger.error(`❌ Fehler beim Bereinigen von ${providerName.toUpperCase()}: ${cleanupError.message}`);
+      }
+      throw error;
+    }
+  }
+
+  cancelJob(id) {
+    const job = this.jobQueue.cancel(id);
+    if (job) {
+      logger.info(`⏹️ Job ${id} für ${job.provider.toUpperCase()} wird abgebrochen`);
+    }
+    return job;
+  }
+
+  stopProvider(providerName = null) {
+    const providerNames = providerName ? [providerName] : Array.from(this.providers.keys());
+    let cancelled = 0;
+    
+    for (const name of providerNames) {
+      this.runningProviders.delete(name);
+      for (const job of this.jobQueue.list({ provider: name }).filter(job => !JobQueue.isFinished(job))) {
+        if (this.cancelJob(job.id)) {
+          cancelled++;
+        }
       }
+    }
+    
+    logger.info(`🛑 ${providerName ? providerName.toUpperCase() : 'Alle Provider'} gestoppt, ${cancelled} Job(s) abgebrochen`);
+    return cancelled;
+  }
+
+  async runSingleCheck(providerName = null, options = {}) {
+    if (providerName && !this.providers.has(providerName)) {
+      logger.error(`❌ Provider '${providerName}' nicht gefunden!`);
+      return [];
+    }
+    
+    if (providerName) {
+      logger.info(`🔍 Führe einmaligen Check für ${providerName.toUpperCase()} durch...`);
     } else {
-      // Run all providers once
       logger.info('🔍 Führe einmaligen Check für alle Provider durch...');
-      
-      for (const [providerName, provider] of this.providers) {
-        try {
-          logger.info(`🔍 Checke ${providerName.toUpperCase()}...`);
-          await provider.initialize();
-          await provider.checkForUpdates();
-          await provider.cleanup();
-          logger.info(`✅ Check für ${providerName.toUpperCase()} abgeschlossen`);
-        } catch (error) {
-          logger.error(`❌ Fehler beim Check von ${providerName.toUpperCase()}: ${error.message}`);
-          
-          // Send email notification for critical errors during check
-          try {
-            await provider.sendLoginFailureNotification(`Kritischer Fehler beim Provider-Check: ${error.message}`);
-          } catch (emailError) {
-            logger.error(`❌ Fehler beim Senden der E-Mail-Benachrichtigung: ${emailError.message}`);
-          }
-          
-          await provider.cleanup();
-        }
+    }
+    
+    // The queue limits how many providers run in parallel (JOB_CONCURRENCY)
+    const jobs = this.submitChecks(providerName, options);
+    return await Promise.all(jobs.map(job => this.jobQueue.wait(job.id)));
+  }
+
+  submitChecks(providerName = null, options = {}) {
+    const providerNames = providerName ? [providerName] : Array.from(this.providers.keys());
+    return providerNames.map(name => this.submitCheck(name, options));
+  }
+
+  async verifyDownloads(providerName = null) {
+    // Same job queue as the checks, a file is never hashed while a check of the provider replaces it
+    const providerNames = providerName ? [providerName] : Array.from(this.providers.keys());
+    const jobs = await Promise.all(providerNames.map(name => this.jobQueue.wait(this.submitVerify(name).id)));
+    
+    return jobs.every(job => job.state === 'finished' && (!job.result || (job.result.mismatches === 0 && job.result.missing === 0)));
+  }
+
+  submitVerify(providerName, options = {}) {
+    if (!this.providers.has(providerName)) {
+      throw new Error(`Provider '${providerName}' nicht gefunden`);
+    }
+    
+    const queued = this.jobQueue.list({ provider: providerName, state: 'queued' }).find(job => job.type === 'verify');
+    if (queued) {
+      logger.info(`⏭️ Prüfung für ${providerName.toUpperCase()} ist bereits eingeplant (Job ${queued.id})`);
+      return queued;
+    }
+    
+    const verifyOptions = { trigger: options.trigger || 'cli' };
+    return this.jobQueue.submit(providerName, 'verify', (signal, job) => this.executeVerify(providerName, {
+      signal,
+      onFile: (fileName, index, total) => this.jobQueue.updateProgress(job.id, {
+        phase: 'verify',
+        detail: fileName,
+        file: fileName,
+        index: index + 1,
+        total,
+        bytes: null,
+        totalBytes: null,
+        percent: null,
+        bytesPerSecond: null,
+        etaSeconds: null,
+        updatedAt: new Date().toISOString()
+      })
+    }), verifyOptions);
+  }
+
+  async executeVerify(providerName, options) {
+    const integrityChecker = new IntegrityChecker(process.env.DOWNLOAD_DIR || '/mnt/storagebox/providers');
+    logger.info(`🔒 Prüfe Integrität der Dateien von ${providerName.toUpperCase()}...`);
+    
+    const result = await integrityChecker.verifyProvider(providerName, options);
+    if (!result) {
+      logger.warn(`⚠️ Keine Metadaten für ${providerName.toUpperCase()} gefunden`);
+      return null;
+    }
+    
+    for (const file of result.files) {
+      if (file.status === 'ok') {
+        logger.info(`  ✅ ${file.fileName}`);
+      } else if (file.status === 'mismatch') {
+        logger.error(`  ❌ ${file.fileName}: Prüfsumme stimmt nicht überein (erwartet ${file.expected}, berechnet ${file.actual})`);
+      } else if (file.status === 'missing') {
+        logger.error(`  ❌ ${file.fileName}: Datei fehlt`);
+      } else {
+        logger.warn(`  ⚠️ ${file.fileName}: Keine Prüfsumme hinterlegt`);
       }
     }
+    
+    logger.info(`📊 ${providerName.toUpperCase()}: ${result.ok} OK, ${result.mismatches} fehlerhaft, ${result.missing} fehlend, ${result.unverified} ungeprüft`);
+    return { ...result, success: result.mismatches === 0 && result.missing === 0 };
   }
 
   async cleanup() {
     logger.info('🧹 Bereinige alle Provider...');
     
+    // Stop the loops and running checks first, otherwise they would start new browsers
+    this.runningProviders.clear();
+    clearInterval(this.windowTimer);
+    const cancelled = this.jobQueue.cancelAll();
+    if (cancelled > 0) {
+      logger.info(`⏹️ ${cancelled} Job(s) abgebrochen`);
+    }
+    
     for (const [providerName, provider] of this.providers) {
       try {
         await provider.cleanup();
@@ -163,10 +329,18 @@ class CarDownloaderManager {
   getProviderStatus() {
     const status = {};
     for (const [providerName, provider] of this.providers) {
+      const job = this.jobQueue.getActive(providerName);
       status[providerName] = {
-        running: this.runningProviders.has(providerName),
+        running: this.jobQueue.isRunning(providerName),
+        looping: this.runningProviders.has(providerName),
+        job: job ? { id: job.id, state: job.state, trigger: job.trigger, submittedAt: job.submittedAt, startedAt: job.startedAt } : null,
+        // Current phase, during downloads with bytes, throughput and ETA
+        progress: provider.getProgress(),
         lastUpdate: provider.metadata?.lastUpdate || 'Nie',
-        downloadCount: Object.keys(provider.metadata?.downloads || {}).length
+        downloadCount: Object.keys(provider.metadata?.downloads || {}).length,
+        // Found outside the download window, fetched once it opens
+        pendingDownloads: provider.getPendingDownloads(),
+        downloadWindow: provider.getDownloadWindow().toString()
       };
     }
     return status;
@@ -209,13 +383,14 @@ class CarDownloaderManager {
     }
   }
 
-  async triggerProviderCheck(providerName) {
+  triggerProviderCheck(providerName, options = {}) {
+    // Only queues the checks, a full ISTA download would outlive any HTTP request
     if (!providerName) {
       logger.info('🔍 Starte Check für alle Provider...');
-      await this.runSingleCheck();
+      return this.submitChecks(null, options);
     } else {
       logger.info(`🔍 Starte Check für Provider: ${providerName.toUpperCase()}`);
-      await this.runSingleCheck(providerName);
+      return this.submitChecks(providerName, options);
     }
   }
 
@@ -230,10 +405,15 @@ class CarDownloaderManager {
   }
 }
 
-// Parse command line arguments
-const args = process.argv.slice(2);
+// Parse command line arguments, flags like --trace may appear anywhere
+const flags = process.argv.slice(2).filter(arg => arg.startsWith('--'));
+const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
 const command = args[0];
 const provider = args[1];
+const checkOptions = { trace: flags.includes('--trace'), trigger: 'cli' };
+
+// Built-in commands, a provider with the same name is only reachable as `check <provider>`
+const COMMANDS = ['all', 'check', 'verify', 'status', 'web'];
 
 // Create manager instance
 const manager = new CarDownloaderManager();
@@ -279,30 +459,35 @@ async function main() {
       return;
     }
     
+    // Provider names work as commands, e.g. `node src/main.js bmw`, the built-in commands take precedence
+    if (!COMMANDS.includes(command) && providerRegistry.has(command)) {
+      logger.info(`🚗 Starte nur ${providerRegistry.get(command).displayName} Provider...`);
+      await manager.runProvider(command);
+      return;
+    }
+    
     switch (command) {
-      case 'bmw':
-        logger.info('🚗 Starte nur BMW Provider...');
-        await manager.runProvider('bmw');
-        break;
-        
-      case 'vw':
-        logger.info('🚗 Starte nur VW Provider...');
-        await manager.runProvider('vw');
-        break;
-        
       case 'all':
         logger.info('🚗 Starte alle Provider...');
         await manager.runAllProviders();
         break;
         
       case 'check':
-        if (provider && ['bmw', 'vw'].includes(provider)) {
-          await manager.runSingleCheck(provider);
+        if (provider && providerRegistry.has(provider)) {
+          await manager.runSingleCheck(provider, checkOptions);
         } else {
-          await manager.runSingleCheck();
+          await manager.runSingleCheck(null, checkOptions);
         }
         break;
         
+      case 'verify': {
+        const allValid = await manager.verifyDownloads(provider);
+        if (!allValid) {
+          process.exitCode = 1;
+        }
+        break;
+      }
+        
       case 'status':
         const status = manager.getProviderStatus();
         logger.info('📊 Provider Status:');
@@ -328,12 +513,17 @@ async function main() {
       default:
         logger.info('📖 Car Downloader Manager - Verwendung:');
         logger.info('  node src/main.js                - Starte Web Dashboard mit Cron-Jobs (Standard)');
-        logger.info('  node src/main.js bmw            - Starte nur BMW Provider');
-        logger.info('  node src/main.js vw              - Starte nur VW Provider');
+        for (const definition of providerRegistry.getAll()) {
+          logger.info(`  node src/main.js ${definition.name.padEnd(15)}- Starte nur ${definition.displayName} Provider`);
+        }
         logger.info('  node src/main.js all             - Starte alle Provider');
         logger.info('  node src/main.js check           - Einmaliger Check aller Provider');
-        logger.info('  node src/main.js check bmw       - Einmaliger Check nur BMW');
-        logger.info('  node src/main.js check vw        - Einmaliger Check nur VW');
+        for (const definition of providerRegistry.getAll()) {
+          logger.info(`  node src/main.js check ${definition.name.padEnd(10)}- Einmaliger Check nur ${definition.displayName}`);
+        }
+        logger.info('  node src/main.js check <provider> --trace - Check mit Playwright-Trace (im Dashboard unter Diagnose)');
+        logger.info('  node src/main.js verify          - Prüfsummen aller Downloads verifizieren');
+        logger.info('  node src/main.js verify <provider> - Prüfsummen eines Providers verifizieren');
         logger.info('  node src/main.js status          - Zeige Provider Status');
         logger.info('  node src/main.js web             - Starte Web Dashboard');
         break;
@@ -1,28 +1,43 @@
 import { BaseProvider } from '../base/BaseProvider.js';
 
 export class BMWProvider extends BaseProvider {
-  constructor() {
-    super('bmw');
+  static providerName = 'bmw';
+  static displayName = 'BMW';
+  static requiredEnv = ['BMW_USERNAME', 'BMW_PASSWORD'];
+  
+  // Define download categories for both ISTA-P and ISTA-Next
+  static categories = {
+    'ista-p': {
+      'installer': 'Installationsprogramm ISTA/P',
+      'data_archive': 'Datenarchiv ISTA/P'
+    },
+    'ista-next': {
+      'client': 'Installationsdatei ISTA Client',
+      'programming_data': 'ISTA Programmierdaten',
+      'icom_firmware': 'ICOM Next Firmware',
+      'ptd_driver': 'BMW PTD-Treiber'
+    }
+  };
+
+  constructor(options = {}) {
+    super(BMWProvider.providerName, options);
     
     // Parse file filters from environment
-    this.istaPFilter = process.env.BMW_ISTA_P_FILTER ? 
-      process.env.BMW_ISTA_P_FILTER.split(',').map(f => f.trim()) : [];
-    this.istaNextFilter = process.env.BMW_ISTA_NEXT_FILTER ? 
-      process.env.BMW_ISTA_NEXT_FILTER.split(',').map(f => f.trim()) : [];
+    this.istaPFilter = this.getConfig('ISTA_P_FILTER') ? 
+      this.getConfig('ISTA_P_FILTER').split(',').map(f => f.trim()) : [];
+    this.istaNextFilter = this.getConfig('ISTA_NEXT_FILTER') ? 
+      this.getConfig('ISTA_NEXT_FILTER').split(',').map(f => f.trim()) : [];
     
-    // Define download categories for both ISTA-P and ISTA-Next
-    this.downloadCategories = {
-      'ista-p': {
-        'installer': 'Installationsprogramm ISTA/P',
-        'data_archive': 'Datenarchiv ISTA/P'
-      },
-      'ista-next': {
-        'client': 'Installationsdatei ISTA Client',
-        'programming_data': 'ISTA Programmierdaten',
-        'icom_firmware': 'ICOM Next Firmware',
-        'ptd_driver': 'BMW PTD-Treiber'
-      }
-    };
+    this.downloadCategories = BMWProvider.categories;
+  }
+
+  getSessionProbeUrl() {
+    return this.getConfig('ISTA_P_URL') || this.getConfig('ISTA_NEXT_URL');
+  }
+
+  async checkLoginStatus() {
+    // Without a valid session the portal redirects to auth.bmwgroup.com
+    return this.page.url().includes('aos.bmwgroup.com') && await super.checkLoginStatus();
   }
 
   async login() {
@@ -30,12 +45,17 @@ export class BMWProvider extends BaseProvider {
       this.logger.info('✅ Bereits eingeloggt');
       return true;
     }
+    
+    // Try the session of the last run before logging in again
+    if (await this.restoreSession()) {
+      return true;
+    }
 
     this.logger.info('🔐 Logge bei BMW ein...');
     
     try {
       // Navigate to auth page
-      await this.page.goto(process.env.BMW_AUTH_URL, {
+      await this.page.goto(this.getConfig('AUTH_URL'), {
         waitUntil: 'networkidle',
         timeout: 30000
       });
@@ -44,12 +64,15 @@ export class BMWProvider extends BaseProvider {
       await this.page.waitForSelector('input[name="j_username"], input[type="text"]', { timeout: 10000 });
       
       // Fill credentials
-      await this.page.fill('input[name="j_username"], input[type="text"]', process.env.BMW_USERNAME);
-      await this.page.fill('input[name="j_password"], input[type="password"]', process.env.BMW_PASSWORD);
+      await this.page.fill('input[name="j_username"], input[type="text"]', this.getAccountCredential('USERNAME'));
+      await this.page.fill('input[name="j_password"], input[type="password"]', this.getAccountCredential('PASSWORD'));
       
       // Click login button
       await this.page.click('button[type="submit"], input[type="submit"]');
       
+      // Accounts with MFA get a code prompt after the password
+      await this.handleMfaChallenge();
+      
       // Wait for redirect
       try {
         await this.page.waitForURL('**/startpage-workshop**', { timeout: 30000 });
@@ -66,24 +89,21 @@ export class BMWProvider extends BaseProvider {
       if (currentUrl.includes('startpage-workshop') || currentUrl.includes('aos.bmwgroup.com')) {
         this.isLoggedIn = true;
         this.logger.info('✅ Login erfolgreich!');
+        await this.saveSession();
         return true;
       } else {
         throw new Error(`Login verification failed - URL: ${currentUrl}`);
       }
       
     } catch (error) {
-      this.logger.error(`❌ Login fehlgeschlagen: ${error.message}`);
-      
-      // Send email notification for login failure
-      await this.sendLoginFailureNotification(error.message);
-      
-      return false;
+      // Sends the login failure notification once no attempt is left
+      return await this.handleLoginError(error);
     }
   }
 
   async navigateToApplication(appType) {
     const appName = appType === 'ista-p' ? 'ISTA-P' : 'ISTA-Next';
-    const appUrl = appType === 'ista-p' ? process.env.BMW_ISTA_P_URL : process.env.BMW_ISTA_NEXT_URL;
+    const appUrl = appType === 'ista-p' ? this.getConfig('ISTA_P_URL') : this.getConfig('ISTA_NEXT_URL');
     
     this.logger.info(`🧭 Navigiere zu ${appName}...`);
     
@@ -103,7 +123,7 @@ export class BMWProvider extends BaseProvider {
       
       return true;
     } catch (error) {
-      this.logger.error(`❌ Navigation zu ${appName} fehlgeschlagen: ${error.message}`);
+      this.reportStepError(`Navigation zu ${appName} fehlgeschlagen`, error);
       return false;
     }
   }
@@ -333,7 +353,8 @@ export class BMWProvider extends BaseProvider {
     this.logger.info('🔍 Prüfe auf Updates...');
     
     if (!this.isLoggedIn) {
-      const loginSuccess = await this.login();
+      this.setPhase('login');
+      const loginSuccess = await this.loginWithRetry();
       if (!loginSuccess) {
         this.logger.error('❌ Login fehlgeschlagen, überspringe Update-Check');
         // Login failure notification is already sent in the login() method
@@ -371,127 +392,17 @@ export class BMWProvider extends BaseProvider {
     this.logger.info(`🔍 Prüfe ${appName} auf Updates...`);
     
     // Navigate to application
-    const navigationSuccess = await this.navigateToApplication(appType);
+    this.setPhase('navigate', appName);
+    const navigationSuccess = await this.retryStep('navigation', `Navigation zu ${appName}`, () => this.navigateToApplication(appType));
     if (!navigationSuccess) {
       this.logger.error(`❌ Navigation zu ${appName} fehlgeschlagen, überspringe Update-Check`);
       return { successCount: 0, failCount: 0 };
     }
 
     // Find downloads
+    this.setPhase('discover', appName);
     const downloads = await this.findDownloads(appType);
     
-    // Check which downloads are new
-    const updates = [];
-    for (const [category, download] of Object.entries(downloads)) {
-      if (this.isNewVersion(category, download.version)) {
-        updates.push(download);
-        this.logger.info(`🆕 Neue Version gefunden: ${download.displayName} (${download.version})`);
-      } else {
-        this.logger.info(`✅ Aktuelle Version bereits vorhanden: ${download.displayName} (${download.version})`);
-      }
-    }
-
-    // Initialize counters
-    let successCount = 0;
-    let failCount = 0;
-
-    // Download updates
-    if (updates.length > 0) {
-      this.logger.info(`📥 ${updates.length} Updates für ${appName} werden heruntergeladen...`);
-      
-      const successfulUpdates = [];
-      
-      for (let i = 0; i < updates.length; i++) {
-        const update = updates[i];
-        this.logger.info(`📥 Download ${i + 1}/${updates.length}: ${update.displayName}`);
-        
-        try {
-          const success = await this.downloadFile(update);
-          if (success) {
-            successCount++;
-            successfulUpdates.push(update);
-          } else {
-            failCount++;
-          }
-          
-          // Add delay between downloads
-          if (i < updates.length - 1) {
-            this.logger.info('⏳ Warte 3 Sekunden vor dem nächsten Download...');
-            await new Promise(resolve => setTimeout(resolve, 3000));
-          }
-          
-        } catch (error) {
-          this.logger.error(`❌ Fehler beim Download von ${update.displayName}: ${error.message}`);
-          failCount++;
-        }
-      }
-      
-      this.logger.info(`📊 ${appName} Download-Statistik: ${successCount} erfolgreich, ${failCount} fehlgeschlagen`);
-      
-      // Send email notification for successful downloads
-      if (successfulUpdates.length > 0) {
-        await this.sendNewVersionNotification(successfulUpdates);
-      }
-      
-    } else {
-      this.logger.info(`✅ Keine Updates für ${appName} verfügbar`);
-    }
-
-    return { successCount, failCount };
-  }
-
-  async run() {
-    try {
-      await this.initialize();
-      
-      // Get check interval from environment (default: 6 hours)
-      const checkIntervalHours = parseInt(process.env.CHECK_INTERVAL_HOURS) || 6;
-      const checkIntervalMs = checkIntervalHours * 60 * 60 * 1000;
-      
-      this.logger.info(`🔄 BMW ISTA Downloader läuft im Dauerbetrieb`);
-      this.logger.info(`📁 Downloads werden in ${this.downloadDir} gespeichert`);
-      this.logger.info(`⏰ Update-Checks alle ${checkIntervalHours} Stunden (${checkIntervalMs / 1000 / 60} Minuten)`);
-      
-      // Run initial check
-      this.logger.info('🚀 Führe ersten Update-Check durch...');
-      await this.checkForUpdates();
-      
-      // Set up continuous operation
-      while (true) {
-        this.logger.info(`⏳ Warte ${checkIntervalHours} Stunden bis zum nächsten Update-Check...`);
-        
-        // Wait for the specified interval
-        await new Promise(resolve => setTimeout(resolve, checkIntervalMs));
-        
-        this.logger.info('🔄 Führe regelmäßigen Update-Check durch...');
-        
-        try {
-          // Restart browser to prevent memory leaks
-          this.logger.info('🔄 Starte Browser neu...');
-          await this.cleanup();
-          await this.launchBrowser();
-          
-          // Reset login status after browser restart
-          this.isLoggedIn = false;
-          
-          await this.checkForUpdates();
-        } catch (error) {
-          this.logger.error(`❌ Fehler beim Update-Check: ${error.message}`);
-          this.logger.info('🔄 Versuche es beim nächsten Intervall erneut...');
-          
-          // Ensure browser is cleaned up even if there's an error
-          try {
-            await this.cleanup();
-          } catch (cleanupError) {
-            this.logger.error(`❌ Fehler beim Aufräumen: ${cleanupError.message}`);
-          }
-        }
-      }
-      
-    } catch (error) {
-      this.logger.error(`❌ Kritischer Fehler: ${error.message}`);
-      await this.cleanup();
-      process.exit(1);
-    }
+    return await this.processUpdates(downloads, appName);
   }
 }
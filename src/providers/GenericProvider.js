@@ -0,0 +1,399 @@
+import fs from 'fs/promises';
+import yaml from 'js-yaml';
+import * as cheerio from 'cheerio';
+import { BaseProvider } from '../base/BaseProvider.js';
+import { Logger } from '../utils/Logger.js';
+
+export class GenericProvider extends BaseProvider {
+  // Not registered itself, every entry of the config file becomes a provider
+  static providerName = 'generic';
+  static displayName = 'Generic';
+  static configDriven = true;
+
+  static getConfigPath() {
+    return process.env.GENERIC_PROVIDERS_CONFIG || './providers.yml';
+  }
+
+  static async loadConfig(configPath = this.getConfigPath()) {
+    let content;
+    try {
+      content = await fs.readFile(configPath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    
+    // JSON is valid YAML, so both formats go through the same parser
+    const config = yaml.load(content);
+    return Array.isArray(config?.providers) ? config.providers : [];
+  }
+
+  static validateConfig(config) {
+    const errors = [];
+    
+    if (!config?.name || !/^[a-z0-9][a-z0-9_-]*$/.test(config.name)) {
+      errors.push('name fehlt oder ist ungültig (erlaubt: a-z, 0-9, _ und -)');
+    }
+    for (const key of ['usernameEnv', 'passwordEnv']) {
+      if (!config?.[key]) {
+        errors.push(`${key} fehlt`);
+      }
+    }
+    for (const key of ['url', 'usernameSelector', 'passwordSelector', 'submitSelector']) {
+      if (!config?.login?.[key]) {
+        errors.push(`login.${key} fehlt`);
+      }
+    }
+    if (!config?.downloads?.url) {
+      errors.push('downloads.url fehlt');
+    }
+    
+    const categories = Object.entries(config?.categories || {});
+    if (categories.length === 0) {
+      errors.push('categories fehlt');
+    }
+    
+    for (const [category, definition] of categories) {
+      if (!definition?.pattern) {
+        errors.push(`categories.${category}.pattern fehlt`);
+      } else if (!this.isValidPattern(definition.pattern)) {
+        errors.push(`categories.${category}.pattern ist kein gültiger regulärer Ausdruck`);
+      }
+    }
+    if (config?.downloads?.versionPattern && !this.isValidPattern(config.downloads.versionPattern)) {
+      errors.push('downloads.versionPattern ist kein gültiger regulärer Ausdruck');
+    }
+    
+    return errors;
+  }
+
+  static isValidPattern(pattern) {
+    try {
+      new RegExp(pattern, 'i');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static getCategoryNames(config) {
+    const names = {};
+    for (const [category, definition] of Object.entries(config.categories)) {
+      names[category] = definition.displayName || category;
+    }
+    return { [config.name]: names };
+  }
+
+  static async getDefinitions() {
+    const definitions = [];
+    const logger = Logger.get('registry');
+    
+    // A broken config file must not take the built-in providers down with it
+    let configs;
+    try {
+      configs = await this.loadConfig();
+    } catch (error) {
+      logger.error(`❌ ${this.getConfigPath()} konnte nicht gelesen werden, generische Provider werden übersprungen: ${error.message}`);
+      return definitions;
+    }
+    
+    for (const config of configs) {
+      const errors = this.validateConfig(config);
+      if (errors.length > 0) {
+        logger.warn(`⚠️ Generischer Provider '${config?.name || 'unbekannt'}' wird übersprungen: ${errors.join(', ')}`);
+        continue;
+      }
+      
+      definitions.push({
+        name: config.name,
+        displayName: config.displayName || config.name.toUpperCase(),
+        requiredEnv: [config.usernameEnv, config.passwordEnv],
+        categories: this.getCategoryNames(config),
+        ProviderClass: this,
+        options: config
+      });
+    }
+    
+    return definitions;
+  }
+
+  constructor(config) {
+    super(config.name);
+    
+    this.config = config;
+    this.displayName = config.displayName || config.name.toUpperCase();
+    this.downloadFilter = config.downloads.filter || [];
+    this.versionPattern = config.downloads.versionPattern ? new RegExp(config.downloads.versionPattern, 'i') : null;
+    this.downloadCategories = GenericProvider.getCategoryNames(config);
+  }
+
+  getMfaSelector() {
+    return this.config.login.otpSelector || super.getMfaSelector();
+  }
+
+  getSessionProbeUrl() {
+    return this.config.downloads.url;
+  }
+
+  async checkLoginStatus() {
+    if (!this.page) {
+      return false;
+    }
+    
+    try {
+      const successText = [].concat(this.config.login.successText || []);
+      
+      // Without a success text, a login form that is gone counts as logged in
+      if (successText.length === 0) {
+        const passwordField = await this.page.$(this.config.login.passwordSelector);
+        return !passwordField || !(await passwordField.isVisible());
+      }
+      
+      const pageText = await this.page.evaluate(() => document.body?.innerText || document.body?.textContent || '');
+      return successText.every(text => pageText.includes(text));
+    } catch (error) {
+      this.logger.debug(`Fehler beim Login-Status Check: ${error.message}`);
+      return false;
+    }
+  }
+
+  async login() {
+    if (this.isLoggedIn) {
+      this.logger.info('✅ Bereits eingeloggt');
+      return true;
+    }
+    
+    // Try the session of the last run before logging in again
+    if (await this.restoreSession()) {
+      return true;
+    }
+    
+    const { login } = this.config;
+    this.logger.info(`🔐 Logge bei ${this.displayName} ein...`);
+    
+    try {
+      // Navigate to auth page
+      await this.page.goto(login.url, {
+        waitUntil: 'networkidle',
+        timeout: 30000
+      });
+      
+      // Fill credentials
+      await this.page.waitForSelector(login.usernameSelector, { timeout: 10000 });
+      await this.page.fill(login.usernameSelector, this.getCredential(this.config.usernameEnv));
+      await this.page.fill(login.passwordSelector, this.getCredential(this.config.passwordEnv));
+      
+      // Click login button
+      await this.page.click(login.submitSelector);
+      
+      // Accounts with MFA get a code prompt after the password
+      await this.handleMfaChallenge();
+      
+      // Portals often redirect a few times after the login, so check repeatedly
+      const maxAttempts = 5;
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        await this.page.waitForTimeout(2000);
+        
+        if (await this.checkLoginStatus()) {
+          this.isLoggedIn = true;
+          this.logger.info('✅ Login erfolgreich!');
+          await this.saveSession();
+          return true;
+        }
+        
+        this.logger.debug(`Login-Check Versuch ${attempt}/${maxAttempts} fehlgeschlagen`);
+      }
+      
+      throw new Error(`Login verification failed after ${maxAttempts} attempts. URL: ${this.page.url()}`);
+      
+    } catch (error) {
+      // Sends the login failure notification once no attempt is left
+      return await this.handleLoginError(error);
+    }
+  }
+
+  async navigateToDownloads() {
+    this.logger.info(`🧭 Navigiere zu ${this.displayName} Downloads...`);
+    
+    try {
+      await this.page.goto(this.config.downloads.url, {
+        waitUntil: 'networkidle',
+        timeout: 60000
+      });
+      
+      await this.page.waitForLoadState('domcontentloaded');
+      
+      this.logger.info(`✅ Erfolgreich zu ${this.displayName} Downloads navigiert: ${this.page.url()}`);
+      return true;
+    } catch (error) {
+      this.reportStepError(`Navigation zu ${this.displayName} Downloads fehlgeschlagen`, error);
+      return false;
+    }
+  }
+
+  async findDownloads() {
+    this.logger.info(`🔍 Suche nach ${this.displayName} Downloads...`);
+    
+    try {
+      const foundDownloads = [];
+      
+      for (const frame of this.page.frames()) {
+        try {
+          const html = await frame.content();
+          foundDownloads.push(...this.parseDownloadLinks(html, frame.url()));
+        } catch (error) {
+          this.logger.debug(`Frame ${frame.url()} konnte nicht gelesen werden: ${error.message}`);
+        }
+      }
+      
+      this.logger.debug(`Gefundene Downloads (roh): ${foundDownloads.length}`);
+      foundDownloads.forEach((download, index) => {
+        this.logger.debug(`  ${index + 1}. "${download.title}" -> ${download.url}`);
+      });
+      
+      // Categorize downloads
+      const categorizedDownloads = this.categorizeDownloads(foundDownloads);
+      
+      this.logger.info(`✅ ${Object.keys(categorizedDownloads).length} Downloads kategorisiert`);
+      
+      return categorizedDownloads;
+      
+    } catch (error) {
+      this.logger.error(`❌ Fehler beim Suchen der Downloads: ${error.message}`);
+      return {};
+    }
+  }
+
+  parseDownloadLinks(html, baseUrl) {
+    const $ = cheerio.load(html);
+    const downloads = [];
+    const seen = new Set();
+    
+    $(this.config.downloads.linkSelector || 'a[href]').each((index, element) => {
+      const link = $(element);
+      const href = link.attr('href');
+      const title = (link.attr('title') || link.text()).replace(/\s+/g, ' ').trim();
+      
+      if (!href || !title || href.startsWith('#') || href.startsWith('javascript:')) {
+        return;
+      }
+      
+      let url;
+      try {
+        url = new URL(href, baseUrl).href;
+      } catch (error) {
+        return;
+      }
+      
+      if (seen.has(url)) {
+        return;
+      }
+      
+      seen.add(url);
+      downloads.push({
+        title,
+        url,
+        method: 'html_parse'
+      });
+    });
+    
+    return downloads;
+  }
+
+  categorizeDownloads(downloads) {
+    const categorized = {};
+    const appType = this.config.name;
+    const categories = Object.entries(this.config.categories).map(([category, definition]) => ({
+      category,
+      pattern: new RegExp(definition.pattern, 'i')
+    }));
+    
+    this.logger.debug(`Kategorisiere ${this.displayName} Downloads...`);
+    this.logger.debug(`Verwende Filter: ${this.downloadFilter.join(', ')}`);
+    
+    for (const download of downloads) {
+      const title = download.title.toLowerCase();
+      
+      this.logger.debug(`Prüfe Download: "${download.title}" -> ${download.url}`);
+      
+      // Without a filter every link matching a category is considered
+      const matchesFilter = this.downloadFilter.length === 0 || this.downloadFilter.some(filterText => {
+        return title.includes(filterText.toLowerCase());
+      });
+      
+      if (!matchesFilter) {
+        this.logger.debug(`❌ Download entspricht nicht dem Filter: ${download.title}`);
+        continue;
+      }
+      
+      // The first matching category wins, so order them from specific to general in the config
+      const match = categories.find(({ pattern }) => pattern.test(download.title) || pattern.test(download.url));
+      const category = match?.category;
+      
+      if (category && !categorized[category]) {
+        categorized[category] = {
+          ...download,
+          category,
+          appType,
+          displayName: this.downloadCategories[appType][category],
+          version: this.extractVersion(download.url, download.title)
+        };
+        
+        this.logger.debug(`✅ Kategorisiert: ${download.title} -> ${category} (Version: ${categorized[category].version})`);
+      } else if (!category) {
+        this.logger.debug(`❌ Unkategorisiert: ${download.title} (${download.url})`);
+      } else {
+        this.logger.debug(`❌ Kategorie bereits besetzt: ${category} für ${download.title}`);
+      }
+    }
+    
+    return categorized;
+  }
+
+  extractVersion(url, title = '') {
+    if (this.versionPattern) {
+      for (const text of [title, url]) {
+        const match = text.match(this.versionPattern);
+        if (match) {
+          return match[1] || match[0];
+        }
+      }
+    }
+    
+    const version = super.extractVersion(url);
+    return version !== 'unknown' ? version : super.extractVersion(title);
+  }
+
+  async checkForUpdates() {
+    this.logger.info('🔍 Prüfe auf Updates...');
+    
+    if (!this.isLoggedIn) {
+      this.setPhase('login');
+      const loginSuccess = await this.loginWithRetry();
+      if (!loginSuccess) {
+        this.logger.error('❌ Login fehlgeschlagen, überspringe Update-Check');
+        // Login failure notification is already sent in the login() method
+        return;
+      }
+    }
+    
+    // Navigate to downloads
+    this.setPhase('navigate', this.displayName);
+    const navigationSuccess = await this.retryStep('navigation', `Navigation zu ${this.displayName} Downloads`, () => this.navigateToDownloads());
+    if (!navigationSuccess) {
+      this.logger.error(`❌ Navigation zu ${this.displayName} Downloads fehlgeschlagen, überspringe Update-Check`);
+      return;
+    }
+    
+    // Find downloads
+    this.setPhase('discover', this.displayName);
+    const downloads = await this.findDownloads();
+    
+    await this.processUpdates(downloads, this.displayName);
+    
+    // Update last check timestamp even if no new downloads were found
+    await this.updateLastCheck();
+  }
+}
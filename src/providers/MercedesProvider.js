@@ -0,0 +1,326 @@
+import * as cheerio from 'cheerio';
+import { BaseProvider } from '../base/BaseProvider.js';
+
+export class MercedesProvider extends BaseProvider {
+  static providerName = 'mercedes';
+  static displayName = 'Mercedes-Benz';
+  static requiredEnv = ['MERCEDES_USERNAME', 'MERCEDES_PASSWORD'];
+
+  // Define download categories for XENTRY
+  static categories = {
+    'xentry': {
+      'diagnosis_dvd': 'XENTRY Diagnosis DVD-Image',
+      'passthru_client': 'XENTRY Pass Thru Client',
+      'addon': 'XENTRY Add-On'
+    }
+  };
+
+  constructor(options = {}) {
+    super(MercedesProvider.providerName, options);
+    
+    // Parse file filters from environment
+    this.downloadFilter = this.getConfig('DOWNLOAD_FILTER') ?
+      this.getConfig('DOWNLOAD_FILTER').split(',').map(f => f.trim()) : [];
+    
+    this.downloadCategories = MercedesProvider.categories;
+  }
+
+  getSessionProbeUrl() {
+    return this.getConfig('DOWNLOAD_URL');
+  }
+
+  async login() {
+    if (this.isLoggedIn) {
+      this.logger.info('✅ Bereits eingeloggt');
+      return true;
+    }
+    
+    // Try the session of the last run before logging in again
+    if (await this.restoreSession()) {
+      return true;
+    }
+    
+    this.logger.info('🔐 Logge bei Mercedes-Benz B2B Connect ein...');
+    
+    try {
+      // Navigate to auth page
+      await this.page.goto(this.getConfig('AUTH_URL'), {
+        waitUntil: 'networkidle',
+        timeout: 30000
+      });
+      
+      // The B2B login asks for the user id first and shows the password field on a second step
+      await this.page.waitForSelector('input[name="username"], input#userid, input[type="email"], input[type="text"]', { timeout: 10000 });
+      await this.page.fill('input[name="username"], input#userid, input[type="email"], input[type="text"]', this.getAccountCredential('USERNAME'));
+      
+      const nextButton = await this.page.$('button#next, button[name="next"]');
+      if (nextButton) {
+        await nextButton.click();
+      }
+      
+      await this.page.waitForSelector('input[type="password"]', { state: 'visible', timeout: 15000 });
+      await this.page.fill('input[type="password"]', this.getAccountCredential('PASSWORD'));
+      
+      // Click login button
+      await this.page.click('button[type="submit"], input[type="submit"]');
+      
+      // Accounts with MFA get a code prompt after the password
+      await this.handleMfaChallenge();
+      await this.page.waitForLoadState('networkidle', { timeout: 30000 });
+      
+      if (!(await this.checkLoginStatus())) {
+        throw new Error(`Login verification failed - URL: ${this.page.url()}`);
+      }
+      
+      this.isLoggedIn = true;
+      this.logger.info('✅ Login erfolgreich!');
+      await this.saveSession();
+      return true;
+      
+    } catch (error) {
+      // Sends the login failure notification once no attempt is left
+      return await this.handleLoginError(error);
+    }
+  }
+
+  async navigateToDownloads() {
+    this.logger.info('🧭 Navigiere zum XENTRY Download-Bereich...');
+    
+    try {
+      await this.page.goto(this.getConfig('DOWNLOAD_URL'), {
+        waitUntil: 'networkidle',
+        timeout: 60000
+      });
+      
+      await this.page.waitForLoadState('domcontentloaded');
+      
+      this.logger.info(`✅ Erfolgreich zum Download-Bereich navigiert: ${this.page.url()}`);
+      return true;
+    } catch (error) {
+      this.reportStepError('Navigation zum Download-Bereich fehlgeschlagen', error);
+      return false;
+    }
+  }
+
+  async findDownloads() {
+    this.logger.info('🔍 Suche nach XENTRY Downloads...');
+    
+    try {
+      const foundDownloads = [];
+      
+      // Parse the main page and all frames, the release list is sometimes embedded
+      for (const frame of this.page.frames()) {
+        try {
+          const html = await frame.content();
+          foundDownloads.push(...this.parseDownloadLinks(html, frame.url()));
+        } catch (error) {
+          this.logger.debug(`Frame ${frame.url()} konnte nicht gelesen werden: ${error.message}`);
+        }
+      }
+      
+      this.logger.debug(`Gefundene Downloads (roh): ${foundDownloads.length}`);
+      foundDownloads.forEach((download, index) => {
+        this.logger.debug(`  ${index + 1}. ${download.title}: ${download.url}`);
+      });
+      
+      // Categorize downloads
+      const categorizedDownloads = this.categorizeDownloads(foundDownloads, 'xentry');
+      await this.resolveRemoteFileNames(categorizedDownloads);
+      
+      this.logger.info(`✅ ${Object.keys(categorizedDownloads).length} Downloads kategorisiert`);
+      
+      return categorizedDownloads;
+      
+    } catch (error) {
+      this.logger.error(`❌ Fehler beim Suchen der Downloads: ${error.message}`);
+      return {};
+    }
+  }
+
+  parseDownloadLinks(html, baseUrl) {
+    const $ = cheerio.load(html);
+    const downloads = [];
+    const seen = new Set();
+    
+    $('a[href]').each((index, element) => {
+      const link = $(element);
+      const href = link.attr('href');
+      
+      // Release rows carry the version in a separate column, fall back to the link text
+      const row = link.closest('tr, li, .release');
+      const title = (link.attr('title') || link.text()).replace(/\s+/g, ' ').trim();
+      const cells = row.length ? row.children().map((i, cell) => $(cell).text()).get() : [];
+      const releaseText = (cells.length ? cells.join(' ') : title).replace(/\s+/g, ' ').trim();
+      
+      if (!href || !title || href.startsWith('#') || href.startsWith('javascript:')) {
+        return;
+      }
+      
+      // Skip release notes and manuals
+      if (href.toLowerCase().includes('.pdf') || title.toLowerCase().includes('.pdf')) {
+        return;
+      }
+      
+      let url;
+      try {
+        url = new URL(href, baseUrl).href;
+      } catch (error) {
+        return;
+      }
+      
+      if (!/xentry|passthru|pass thru|pass-thru|add-on|addon/i.test(`${releaseText} ${url}`) || seen.has(url)) {
+        return;
+      }
+      
+      // Some rows name the file, the links themselves are opaque ids (file?id=88213)
+      const texts = row.length ? row.find('*').contents().filter((i, node) => node.type === 'text').map((i, node) => $(node).text().trim()).get() : [];
+      const fileName = texts.find(text => /^[\w .-]+\.(?:iso|zip|exe|7z|rar|img)$/i.test(text));
+      
+      seen.add(url);
+      downloads.push({
+        title,
+        url,
+        releaseText,
+        originalFilename: fileName || null,
+        method: 'html_parse'
+      });
+    });
+    
+    return downloads;
+  }
+
+  categorizeDownloads(downloads, appType) {
+    const categorized = {};
+    const validCategories = Object.keys(this.downloadCategories[appType] || {});
+    
+    this.logger.debug(`Kategorisiere Downloads für ${appType}...`);
+    this.logger.debug(`Verwende Filter: ${this.downloadFilter.join(', ')}`);
+    
+    for (const download of downloads) {
+      // Links in the release table are often just labelled "Download", so use the whole row
+      const title = `${download.title} ${download.releaseText || ''}`.toLowerCase();
+      const url = download.url.toLowerCase();
+      let category = null;
+      
+      this.logger.debug(`Prüfe Download: "${download.title}" -> ${download.url}`);
+      
+      // Without a filter all XENTRY downloads are considered
+      const matchesFilter = this.downloadFilter.length === 0 || this.downloadFilter.some(filterText => {
+        const filterLower = filterText.toLowerCase();
+        return title.includes(filterLower) || url.includes(filterLower);
+      });
+      
+      if (!matchesFilter) {
+        this.logger.debug(`❌ Download entspricht nicht dem Filter: ${download.title}`);
+        continue;
+      }
+      
+      // Order matters: add-ons and pass thru are often named "XENTRY ..." as well
+      if (title.includes('add-on') ||
+          title.includes('addon') ||
+          url.includes('addon') ||
+          url.includes('add-on')) {
+        category = 'addon';
+      }
+      else if (title.includes('pass thru') ||
+               title.includes('passthru') ||
+               title.includes('pass-thru') ||
+               url.includes('passthru')) {
+        category = 'passthru_client';
+      }
+      else if (title.includes('diagnosis') ||
+               title.includes('dvd') ||
+               url.includes('.iso') ||
+               url.includes('diagnosis')) {
+        category = 'diagnosis_dvd';
+      }
+      
+      if (category && validCategories.includes(category) && !categorized[category]) {
+        categorized[category] = {
+          ...download,
+          category,
+          appType,
+          displayName: this.downloadCategories[appType][category],
+          version: this.extractVersion(`${download.url} ${download.releaseText || download.title}`)
+        };
+        
+        this.logger.debug(`✅ Kategorisiert: ${download.title} -> ${category}`);
+      } else if (!category) {
+        this.logger.debug(`❌ Unkategorisiert: ${download.title} (${download.url})`);
+      } else if (categorized[category]) {
+        this.logger.debug(`❌ Kategorie bereits besetzt: ${category} für ${download.title}`);
+      }
+    }
+    
+    return categorized;
+  }
+
+  async resolveRemoteFileNames(categorized) {
+    // Without a name in the row the server's Content-Disposition has the real file name and extension
+    for (const download of Object.values(categorized)) {
+      if (download.originalFilename) {
+        continue;
+      }
+      
+      const remote = await this.fetchRemoteFileInfo(download.url);
+      if (remote?.fileName) {
+        download.originalFilename = remote.fileName;
+        this.logger.debug(`   Dateiname laut Server: ${remote.fileName}`);
+      }
+    }
+  }
+
+  resolveFileName(download) {
+    // Prefer the real file name, the fallback would be <category>_<version>.bin
+    if (download.originalFilename) {
+      return download.originalFilename;
+    }
+    return super.resolveFileName(download);
+  }
+
+  extractVersion(text) {
+    // XENTRY releases are named by month: "03/2025", "03.2025" or "2025-03"
+    const releaseMatch = text.match(/(?<!\d)(0[1-9]|1[0-2])[./](20\d{2})(?!\d)/);
+    if (releaseMatch) {
+      return `${releaseMatch[2]}-${releaseMatch[1]}-01`;
+    }
+    
+    const isoMatch = text.match(/(?<!\d)(20\d{2})[-_](0[1-9]|1[0-2])(?![\d-_])/);
+    if (isoMatch) {
+      return `${isoMatch[1]}-${isoMatch[2]}-01`;
+    }
+    
+    return super.extractVersion(text);
+  }
+
+  async checkForUpdates() {
+    this.logger.info('🔍 Prüfe auf Updates...');
+    
+    if (!this.isLoggedIn) {
+      this.setPhase('login');
+      const loginSuccess = await this.loginWithRetry();
+      if (!loginSuccess) {
+        this.logger.error('❌ Login fehlgeschlagen, überspringe Update-Check');
+        // Login failure notification is already sent in the login() method
+        return;
+      }
+    }
+    
+    // Navigate to the download area
+    this.setPhase('navigate', 'XENTRY');
+    const navigationSuccess = await this.retryStep('navigation', 'Navigation zum Download-Bereich', () => this.navigateToDownloads());
+    if (!navigationSuccess) {
+      this.logger.error('❌ Navigation fehlgeschlagen, überspringe Update-Check');
+      return;
+    }
+    
+    // Find downloads
+    this.setPhase('discover', 'XENTRY');
+    const downloads = await this.findDownloads();
+    
+    await this.processUpdates(downloads, 'XENTRY');
+    
+    // Update last check timestamp even if no new downloads were found
+    await this.updateLastCheck();
+  }
+}
@@ -0,0 +1,341 @@
+import * as cheerio from 'cheerio';
+import { BaseProvider } from '../base/BaseProvider.js';
+
+export class StellantisProvider extends BaseProvider {
+  static providerName = 'stellantis';
+  static displayName = 'Stellantis';
+  static requiredEnv = ['STELLANTIS_USERNAME', 'STELLANTIS_PASSWORD'];
+
+  // Define download categories for DiagBox (PSA) and wiTECH 2 (FCA)
+  static categories = {
+    'diagbox': {
+      'installer': 'DiagBox Installation',
+      'update': 'DiagBox Update'
+    },
+    'witech': {
+      'client': 'wiTECH 2 Client'
+    }
+  };
+
+  constructor(options = {}) {
+    super(StellantisProvider.providerName, options);
+    
+    // Parse file filters from environment
+    this.downloadFilter = this.getConfig('DOWNLOAD_FILTER') ?
+      this.getConfig('DOWNLOAD_FILTER').split(',').map(f => f.trim()) : [];
+    
+    this.downloadCategories = StellantisProvider.categories;
+  }
+
+  getApplicationName(appType) {
+    return appType === 'diagbox' ? 'DiagBox' : 'wiTECH';
+  }
+
+  getApplicationUrl(appType) {
+    return appType === 'diagbox' ? this.getConfig('DIAGBOX_URL') : this.getConfig('WITECH_URL');
+  }
+
+  getSessionProbeUrl() {
+    return this.getConfig('DIAGBOX_URL') || this.getConfig('WITECH_URL');
+  }
+
+  async login() {
+    if (this.isLoggedIn) {
+      this.logger.info('✅ Bereits eingeloggt');
+      return true;
+    }
+    
+    // Try the session of the last run before logging in again
+    if (await this.restoreSession()) {
+      return true;
+    }
+    
+    this.logger.info('🔐 Logge bei Stellantis Service Box ein...');
+    
+    try {
+      // Navigate to auth page
+      await this.page.goto(this.getConfig('AUTH_URL'), {
+        waitUntil: 'networkidle',
+        timeout: 30000
+      });
+      
+      // Wait for login form
+      await this.page.waitForSelector('input[name="username"], input#username, input[name="login"], input[type="text"]', { timeout: 10000 });
+      
+      // Fill credentials
+      await this.page.fill('input[name="username"], input#username, input[name="login"], input[type="text"]', this.getAccountCredential('USERNAME'));
+      await this.page.fill('input[name="password"], input[type="password"]', this.getAccountCredential('PASSWORD'));
+      
+      // Click login button
+      await this.page.click('button[type="submit"], input[type="submit"], button:has-text("Login"), button:has-text("Anmelden")');
+      
+      // Accounts with MFA get a code prompt after the password
+      await this.handleMfaChallenge();
+      await this.page.waitForLoadState('networkidle', { timeout: 30000 });
+      
+      if (!(await this.checkLoginStatus())) {
+        throw new Error(`Login verification failed - URL: ${this.page.url()}`);
+      }
+      
+      this.isLoggedIn = true;
+      this.logger.info('✅ Login erfolgreich!');
+      await this.saveSession();
+      return true;
+      
+    } catch (error) {
+      // Sends the login failure notification once no attempt is left
+      return await this.handleLoginError(error);
+    }
+  }
+
+  async navigateToApplication(appType) {
+    const appName = this.getApplicationName(appType);
+    
+    this.logger.info(`🧭 Navigiere zu ${appName}...`);
+    
+    try {
+      await this.page.goto(this.getApplicationUrl(appType), {
+        waitUntil: 'networkidle',
+        timeout: 60000
+      });
+      
+      await this.page.waitForLoadState('domcontentloaded');
+      
+      this.logger.info(`✅ Erfolgreich zu ${appName} navigiert: ${this.page.url()}`);
+      return true;
+    } catch (error) {
+      this.reportStepError(`Navigation zu ${appName} fehlgeschlagen`, error);
+      return false;
+    }
+  }
+
+  async findDownloads(appType) {
+    const appName = this.getApplicationName(appType);
+    this.logger.info(`🔍 Suche nach Downloads auf der ${appName} Seite...`);
+    
+    try {
+      const foundDownloads = [];
+      
+      // Service Box renders the download list inside frames
+      for (const frame of this.page.frames()) {
+        try {
+          const html = await frame.content();
+          foundDownloads.push(...this.parseDownloadLinks(html, frame.url()));
+        } catch (error) {
+          this.logger.debug(`Frame ${frame.url()} konnte nicht gelesen werden: ${error.message}`);
+        }
+      }
+      
+      this.logger.debug(`Gefundene Downloads (roh): ${foundDownloads.length}`);
+      foundDownloads.forEach((download, index) => {
+        this.logger.debug(`  ${index + 1}. "${download.title}" -> ${download.url}`);
+        if (download.actualFilename) {
+          this.logger.debug(`     -> Dateiname: ${download.actualFilename}`);
+        }
+      });
+      
+      // Categorize downloads
+      const categorizedDownloads = this.categorizeDownloads(foundDownloads, appType);
+      
+      this.logger.info(`✅ ${Object.keys(categorizedDownloads).length} Downloads kategorisiert`);
+      
+      return categorizedDownloads;
+      
+    } catch (error) {
+      this.logger.error(`❌ Fehler beim Suchen der Downloads: ${error.message}`);
+      return {};
+    }
+  }
+
+  parseDownloadLinks(html, baseUrl) {
+    const $ = cheerio.load(html);
+    const downloads = [];
+    const seen = new Set();
+    
+    $('a[href]').each((index, element) => {
+      const link = $(element);
+      const href = link.attr('href');
+      const title = (link.attr('title') || link.text()).replace(/\s+/g, ' ').trim();
+      
+      if (!href || !title || href.startsWith('#') || href.startsWith('javascript:')) {
+        return;
+      }
+      
+      // Skip PDF files completely
+      if (href.toLowerCase().includes('.pdf') || title.toLowerCase().includes('.pdf')) {
+        return;
+      }
+      
+      let url;
+      try {
+        url = new URL(href, baseUrl).href;
+      } catch (error) {
+        return;
+      }
+      
+      // The file name is usually listed next to the link, e.g. "DiagBox_Install_09.185.exe (4.2 GB)"
+      const row = link.closest('tr, li');
+      const cells = row.length ? row.children().map((i, cell) => $(cell).text()).get() : [];
+      const rowText = (cells.length ? cells.join(' ') : title).replace(/\s+/g, ' ').trim();
+      const filenameMatch = `${title} ${rowText}`.match(/([A-Za-z0-9_\-.]+\.(zip|exe|msi|iso|7z))\b/i);
+      
+      if (!/diagbox|witech/i.test(`${rowText} ${url}`) || seen.has(url)) {
+        return;
+      }
+      
+      seen.add(url);
+      downloads.push({
+        title: title.toLowerCase() === 'download' && rowText ? rowText : title,
+        url,
+        actualFilename: filenameMatch ? filenameMatch[1] : null,
+        method: 'html_parse'
+      });
+    });
+    
+    return downloads;
+  }
+
+  categorizeDownloads(downloads, appType) {
+    const categorized = {};
+    const validCategories = Object.keys(this.downloadCategories[appType] || {});
+    
+    this.logger.debug(`Kategorisiere Downloads für ${appType}...`);
+    this.logger.debug(`Verwende Filter: ${this.downloadFilter.join(', ')}`);
+    
+    for (const download of downloads) {
+      const title = download.title.toLowerCase();
+      const fileName = (download.actualFilename || '').toLowerCase();
+      const url = download.url.toLowerCase();
+      let category = null;
+      
+      this.logger.debug(`Prüfe Download: "${download.title}" -> ${download.url}`);
+      
+      // Without a filter all DiagBox and wiTECH downloads are considered
+      const matchesFilter = this.downloadFilter.length === 0 || this.downloadFilter.some(filterText => {
+        const filterLower = filterText.toLowerCase();
+        return title.includes(filterLower) || fileName.includes(filterLower);
+      });
+      
+      if (!matchesFilter) {
+        this.logger.debug(`❌ Download entspricht nicht dem Filter: ${download.title}`);
+        continue;
+      }
+      
+      if (appType === 'diagbox') {
+        // DiagBox categorization - updates first, the full installer is often called "DiagBox ... Update" too
+        if (title.includes('update') ||
+            fileName.includes('update') ||
+            url.includes('update')) {
+          category = 'update';
+        }
+        else if (title.includes('install') ||
+                 title.includes('diagbox') ||
+                 fileName.includes('install')) {
+          category = 'installer';
+        }
+      } else if (appType === 'witech') {
+        // wiTECH 2 categorization
+        if (title.includes('witech') ||
+            fileName.includes('witech') ||
+            url.includes('witech')) {
+          category = 'client';
+        }
+      }
+      
+      if (category && validCategories.includes(category) && !categorized[category]) {
+        categorized[category] = {
+          ...download,
+          category,
+          appType,
+          displayName: this.downloadCategories[appType][category],
+          version: this.extractVersion(download.url, download.actualFilename || download.title),
+          originalFilename: download.actualFilename
+        };
+        
+        this.logger.debug(`✅ Kategorisiert: ${download.title} -> ${category} (Version: ${categorized[category].version})`);
+      } else if (!category) {
+        this.logger.debug(`❌ Unkategorisiert: ${download.title} (${download.url})`);
+      } else if (categorized[category]) {
+        this.logger.debug(`❌ Kategorie bereits besetzt: ${category} für ${download.title}`);
+      }
+    }
+    
+    return categorized;
+  }
+
+  resolveFileName(download) {
+    // Prefer the file name shown in the portal, the download links are mostly opaque ids
+    if (download.originalFilename) {
+      return download.originalFilename;
+    }
+    return super.resolveFileName(download);
+  }
+
+  extractVersion(url, filename = '') {
+    // DiagBox uses two part versions like 09.185, wiTECH three part ones like 20.04.33.
+    // Update packages are named "09.184 to 09.185", so the last match is the target version.
+    for (const text of [filename, url]) {
+      const matches = text ? [...text.matchAll(/(?<![\d.])(\d{1,2}\.\d{2,3}(?:\.\d+)?)(?!\.?\d)/g)] : [];
+      if (matches.length > 0) {
+        const version = matches[matches.length - 1][1];
+        this.logger.debug(`Version extrahiert: ${version} aus ${text}`);
+        return version;
+      }
+    }
+    
+    return super.extractVersion(`${filename} ${url}`);
+  }
+
+  async checkForUpdates() {
+    this.logger.info('🔍 Prüfe auf Updates...');
+    
+    if (!this.isLoggedIn) {
+      this.setPhase('login');
+      const loginSuccess = await this.loginWithRetry();
+      if (!loginSuccess) {
+        this.logger.error('❌ Login fehlgeschlagen, überspringe Update-Check');
+        // Login failure notification is already sent in the login() method
+        return;
+      }
+    }
+    
+    let totalSuccessCount = 0;
+    let totalFailCount = 0;
+    
+    for (const appType of Object.keys(this.downloadCategories)) {
+      // Workshops often only have a contract for one of the two brands
+      if (!this.getApplicationUrl(appType)) {
+        this.logger.info(`⏭️ Keine URL für ${this.getApplicationName(appType)} konfiguriert, überspringe`);
+        continue;
+      }
+      
+      this.logger.info(`📥 Prüfe ${this.getApplicationName(appType)} Downloads...`);
+      const result = await this.checkApplicationUpdates(appType);
+      totalSuccessCount += result.successCount;
+      totalFailCount += result.failCount;
+    }
+    
+    this.logger.info(`📊 Gesamt-Download-Statistik: ${totalSuccessCount} erfolgreich, ${totalFailCount} fehlgeschlagen`);
+    
+    // Update last check timestamp even if no new downloads were found
+    await this.updateLastCheck();
+  }
+
+  async checkApplicationUpdates(appType) {
+    const appName = this.getApplicationName(appType);
+    
+    // Navigate to application
+    this.setPhase('navigate', appName);
+    const navigationSuccess = await this.retryStep('navigation', `Navigation zu ${appName}`, () => this.navigateToApplication(appType));
+    if (!navigationSuccess) {
+      this.logger.error(`❌ Navigation zu ${appName} fehlgeschlagen, überspringe Update-Check`);
+      return { successCount: 0, failCount: 0 };
+    }
+    
+    // Find downloads
+    this.setPhase('discover', appName);
+    const downloads = await this.findDownloads(appType);
+    
+    return await this.processUpdates(downloads, appName);
+  }
+}
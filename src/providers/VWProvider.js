@@ -1,26 +1,33 @@
 import { BaseProvider } from '../base/BaseProvider.js';
-import fs from 'fs/promises';
-import { createWriteStream } from 'fs';
-import path from 'path';
 
 export class VWProvider extends BaseProvider {
-  constructor() {
-    super('vw');
+  static providerName = 'vw';
+  static displayName = 'VW';
+  static requiredEnv = ['VW_USERNAME', 'VW_PASSWORD'];
+  
+  // Define download categories for VW/ODIS
+  static categories = {
+    'odis_service': {
+      'installation': 'ODIS-Service Installation',
+      'update': 'ODIS-Service Update'
+    },
+    'fmc': {
+      'installer': 'FMC-Installer'
+    }
+  };
+
+  constructor(options = {}) {
+    super(VWProvider.providerName, options);
     
     // Parse file filters from environment
-    this.downloadFilter = process.env.VW_DOWNLOAD_FILTER ? 
-      process.env.VW_DOWNLOAD_FILTER.split(',').map(f => f.trim()) : [];
+    this.downloadFilter = this.getConfig('DOWNLOAD_FILTER') ? 
+      this.getConfig('DOWNLOAD_FILTER').split(',').map(f => f.trim()) : [];
     
-    // Define download categories for VW/ODIS
-    this.downloadCategories = {
-      'odis_service': {
-        'installation': 'ODIS-Service Installation',
-        'update': 'ODIS-Service Update'
-      },
-      'fmc': {
-        'installer': 'FMC-Installer'
-      }
-    };
+    this.downloadCategories = VWProvider.categories;
+  }
+
+  getSessionProbeUrl() {
+    return this.getConfig('AUTH_URL');
   }
 
   async checkLoginStatus() {
@@ -71,11 +78,16 @@ export class VWProvider extends BaseProvider {
       return true;
     }
 
+    // Try the session of the last run before logging in again
+    if (await this.restoreSession()) {
+      return true;
+    }
+
     this.logger.info('🔐 Logge bei VW ein...');
     
     try {
       // Navigate to VW auth page
-      await this.page.goto(process.env.VW_AUTH_URL, {
+      await this.page.goto(this.getConfig('AUTH_URL'), {
         waitUntil: 'networkidle',
         timeout: 30000
       });
@@ -84,14 +96,17 @@ export class VWProvider extends BaseProvider {
       await this.page.waitForSelector('input[name="username"], input[name="user"], input[type="text"]', { timeout: 10000 });
       
       // Fill credentials
-      await this.page.fill('input[name="username"], input[name="user"], input[type="text"]', process.env.VW_USERNAME);
-      await this.page.fill('input[name="password"], input[type="password"]', process.env.VW_PASSWORD);
+      await this.page.fill('input[name="username"], input[name="user"], input[type="text"]', this.getAccountCredential('USERNAME'));
+      await this.page.fill('input[name="password"], input[type="password"]', this.getAccountCredential('PASSWORD'));
       
       // Click login button
       this.logger.debug('Klicke Login-Button...');
       await this.page.click('button[type="submit"], input[type="submit"], button:has-text("Login"), button:has-text("Anmelden")');
       this.logger.debug('Login-Button geklickt');
       
+      // Accounts with MFA get a code prompt after the password
+      await this.handleMfaChallenge();
+      
       // Wait for login to process and check for success indicators
       this.logger.debug('Warte auf Login-Verarbeitung...');
       
@@ -138,6 +153,7 @@ export class VWProvider extends BaseProvider {
       if (loginSuccess) {
         this.isLoggedIn = true;
         this.logger.info('✅ Login erfolgreich! (Angemeldet als + iamneteu gefunden)');
+        await this.saveSession();
         return true;
       } else {
         // Fallback: Check URL as before
@@ -147,6 +163,7 @@ export class VWProvider extends BaseProvider {
         if (currentUrl.includes('erwin') || currentUrl.includes('volkswagen')) {
           this.isLoggedIn = true;
           this.logger.info('✅ Login erfolgreich! (URL-basierte Verifikation)');
+          await this.saveSession();
           return true;
         } else {
           throw new Error(`Login verification failed - No "Angemeldet als" and "iamneteu" text found after ${attempts} attempts. URL: ${currentUrl}`);
@@ -154,12 +171,8 @@ export class VWProvider extends BaseProvider {
       }
       
     } catch (error) {
-      this.logger.error(`❌ Login fehlgeschlagen: ${error.message}`);
-      
-      // Send email notification for login failure
-      await this.sendLoginFailureNotification(error.message);
-      
-      return false;
+      // Sends the login failure notification once no attempt is left
+      return await this.handleLoginError(error);
     }
   }
 
@@ -168,7 +181,7 @@ export class VWProvider extends BaseProvider {
     
     try {
       // Navigate to download page
-      await this.page.goto(process.env.VW_DOWNLOAD_URL, {
+      await this.page.goto(this.getConfig('DOWNLOAD_URL'), {
         waitUntil: 'networkidle',
         timeout: 60000
       });
@@ -183,9 +196,12 @@ export class VWProvider extends BaseProvider {
       if (!stillLoggedIn) {
         this.logger.warn('⚠️ Login-Status nach Navigation verloren, versuche erneut einzuloggen...');
         this.isLoggedIn = false;
-        const loginSuccess = await this.login();
+        const loginSuccess = await this.loginWithRetry();
         if (!loginSuccess) {
-          throw new Error('Re-login nach Navigation fehlgeschlagen');
+          // The login had its own attempts, navigating again won't help
+          const error = new Error('Re-login nach Navigation fehlgeschlagen');
+          error.fatal = true;
+          throw error;
         }
       }
       
@@ -194,7 +210,7 @@ export class VWProvider extends BaseProvider {
       
       return true;
     } catch (error) {
-      this.logger.error(`❌ Navigation zu VW Downloads fehlgeschlagen: ${error.message}`);
+      this.reportStepError('Navigation zu VW Downloads fehlgeschlagen', error);
       return false;
     }
   }
@@ -387,111 +403,25 @@ export class VWProvider extends BaseProvider {
     return categorized;
   }
 
-  async downloadFile(download) {
-    this.logger.info(`⬇️ Lade herunter: ${download.displayName}`);
-    this.logger.debug(`   URL: ${download.url}`);
+  resolveFileName(download) {
+    // Use the original filename if available, otherwise extract from URL
+    let fileName = download.originalFilename;
     
-    try {
-      // Use the original filename if available, otherwise extract from URL
-      let fileName = download.originalFilename;
-      
-      if (!fileName || fileName === 'download' || fileName.length < 5) {
-        fileName = this.extractCleanFilename(download.url);
-        this.logger.debug(`   Extracted filename from URL: ${fileName}`);
-      } else {
-        this.logger.debug(`   Using original filename: ${fileName}`);
-      }
-      
-      if (!fileName || fileName === 'download' || fileName.length < 5) {
-        const version = download.version !== 'unknown' ? `_${download.version}` : '';
-        const extension = this.getFileExtension(download.url);
-        fileName = `${download.category}${version}${extension}`;
-        this.logger.debug(`   Generated fallback filename: ${fileName}`);
-      }
-      
-      // Clean up old versions before downloading new one
-      await this.cleanupOldVersions(download.category, fileName);
-      
-      // Set up file path
-      const filePath = path.join(this.downloadDir, fileName);
-      
-      // Use axios for direct download (more reliable)
-      this.logger.debug(`   Starte Download mit axios...`);
-      try {
-        const axios = (await import('axios')).default;
-        
-        // Get cookies from the browser context
-        const cookies = await this.context.cookies();
-        const cookieHeader = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
-        
-        this.logger.debug(`   Cookies extrahiert: ${cookies.length} Cookies`);
-        
-        // Download with axios
-        const response = await axios({
-          method: 'GET',
-          url: download.url,
-          responseType: 'stream',
-          headers: {
-            'Cookie': cookieHeader,
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            'Accept': 'application/octet-stream,application/zip,application/x-msdownload,*/*',
-            'Accept-Encoding': 'gzip, deflate, br',
-            'Cache-Control': 'no-cache',
-            'Pragma': 'no-cache'
-          },
-          timeout: 300000 // 5 minutes
-        });
-        
-        this.logger.debug(`   HTTP Response erhalten: ${response.status} ${response.statusText}`);
-        
-        // Create write stream
-        const writer = createWriteStream(filePath);
-        response.data.pipe(writer);
-        
-        // Wait for download to complete
-        await new Promise((resolve, reject) => {
-          writer.on('finish', resolve);
-          writer.on('error', reject);
-        });
-        
-        this.logger.debug(`   Download-Stream abgeschlossen`);
-        
-        // Verify file
-        const stats = await fs.stat(filePath);
-        if (stats.size > 0) {
-          this.logger.info(`✅ Download abgeschlossen: ${fileName} (${this.formatFileSize(stats.size)})`);
-          
-          // Update metadata
-          await this.updateMetadata(download.category, {
-            ...download,
-            fileName,
-            filePath,
-            fileSize: stats.size,
-            downloadedAt: new Date().toISOString()
-          });
-          
-          return true;
-        } else {
-          throw new Error('Downloaded file is empty');
-        }
-        
-      } catch (error) {
-        this.logger.error(`❌ Download fehlgeschlagen: ${error.message}`);
-        
-        // Try to delete partial file
-        try {
-          await fs.unlink(filePath);
-        } catch (e) {
-          // Ignore deletion errors
-        }
-        
-        return false;
-      }
-      
-    } catch (error) {
-      this.logger.error(`❌ Download fehlgeschlagen: ${error.message}`);
-      return false;
+    if (!fileName || fileName === 'download' || fileName.length < 5) {
+      fileName = this.extractCleanFilename(download.url);
+      this.logger.debug(`   Extracted filename from URL: ${fileName}`);
+    } else {
+      this.logger.debug(`   Using original filename: ${fileName}`);
+    }
+    
+    if (!fileName || fileName === 'download' || fileName.length < 5) {
+      const version = download.version !== 'unknown' ? `_${download.version}` : '';
+      const extension = this.getFileExtension(download.url);
+      fileName = `${download.category}${version}${extension}`;
+      this.logger.debug(`   Generated fallback filename: ${fileName}`);
     }
+    
+    return fileName;
   }
 
   extractVersion(url, filename = '') {
@@ -547,7 +477,8 @@ export class VWProvider extends BaseProvider {
     const loginStatus = await this.checkLoginStatus();
     if (!loginStatus || !this.isLoggedIn) {
       this.logger.info('🔐 Login-Status überprüfen...');
-      const loginSuccess = await this.login();
+      this.setPhase('login');
+      const loginSuccess = await this.loginWithRetry();
       if (!loginSuccess) {
         this.logger.error('❌ Login fehlgeschlagen, überspringe Update-Check');
         // Login failure notification is already sent in the login() method
@@ -556,130 +487,22 @@ export class VWProvider extends BaseProvider {
     }
 
     // Navigate to downloads
-    const navigationSuccess = await this.navigateToDownloads();
+    this.setPhase('navigate', 'VW');
+    const navigationSuccess = await this.retryStep('navigation', 'Navigation zu VW Downloads', () => this.navigateToDownloads());
     if (!navigationSuccess) {
       this.logger.error('❌ Navigation zu VW Downloads fehlgeschlagen, überspringe Update-Check');
       return;
     }
 
     // Find downloads
+    this.setPhase('discover', 'VW');
     const downloads = await this.findDownloads();
     
-    // Check which downloads are new
-    const updates = [];
-    for (const [category, download] of Object.entries(downloads)) {
-      if (this.isNewVersion(category, download.version)) {
-        updates.push(download);
-        this.logger.info(`🆕 Neue Version gefunden: ${download.displayName} (${download.version})`);
-      } else {
-        this.logger.info(`✅ Aktuelle Version bereits vorhanden: ${download.displayName} (${download.version})`);
-      }
-    }
-
-    // Initialize counters
-    let successCount = 0;
-    let failCount = 0;
-
-    // Download updates
-    if (updates.length > 0) {
-      this.logger.info(`📥 ${updates.length} VW Updates werden heruntergeladen...`);
-      
-      const successfulUpdates = [];
-      
-      for (let i = 0; i < updates.length; i++) {
-        const update = updates[i];
-        this.logger.info(`📥 Download ${i + 1}/${updates.length}: ${update.displayName}`);
-        
-        try {
-          const success = await this.downloadFile(update);
-          if (success) {
-            successCount++;
-            successfulUpdates.push(update);
-          } else {
-            failCount++;
-          }
-          
-          // Add delay between downloads
-          if (i < updates.length - 1) {
-            this.logger.info('⏳ Warte 3 Sekunden vor dem nächsten Download...');
-            await new Promise(resolve => setTimeout(resolve, 3000));
-          }
-          
-        } catch (error) {
-          this.logger.error(`❌ Fehler beim Download von ${update.displayName}: ${error.message}`);
-          failCount++;
-        }
-      }
-      
-      this.logger.info(`📊 VW Download-Statistik: ${successCount} erfolgreich, ${failCount} fehlgeschlagen`);
-      
-      // Send email notification for successful downloads
-      if (successfulUpdates.length > 0) {
-        await this.sendNewVersionNotification(successfulUpdates);
-      }
-      
-    } else {
-      this.logger.info(`✅ Keine VW Updates verfügbar`);
-    }
+    const { successCount, failCount } = await this.processUpdates(downloads, 'VW');
 
     // Update last check timestamp even if no new downloads were found
     await this.updateLastCheck();
 
     return { successCount, failCount };
   }
-
-  async run() {
-    try {
-      await this.initialize();
-      
-      // Get check interval from environment (default: 6 hours)
-      const checkIntervalHours = parseInt(process.env.CHECK_INTERVAL_HOURS) || 6;
-      const checkIntervalMs = checkIntervalHours * 60 * 60 * 1000;
-      
-      this.logger.info(`🔄 VW Downloader läuft im Dauerbetrieb`);
-      this.logger.info(`📁 Downloads werden in ${this.downloadDir} gespeichert`);
-      this.logger.info(`⏰ Update-Checks alle ${checkIntervalHours} Stunden (${checkIntervalMs / 1000 / 60} Minuten)`);
-      
-      // Run initial check
-      this.logger.info('🚀 Führe ersten VW Update-Check durch...');
-      await this.checkForUpdates();
-      
-      // Set up continuous operation
-      while (true) {
-        this.logger.info(`⏳ Warte ${checkIntervalHours} Stunden bis zum nächsten VW Update-Check...`);
-        
-        // Wait for the specified interval
-        await new Promise(resolve => setTimeout(resolve, checkIntervalMs));
-        
-        this.logger.info('🔄 Führe regelmäßigen VW Update-Check durch...');
-        
-        try {
-          // Restart browser to prevent memory leaks
-          this.logger.info('🔄 Starte Browser neu...');
-          await this.cleanup();
-          await this.launchBrowser();
-          
-          // Reset login status after browser restart
-          this.isLoggedIn = false;
-          
-          await this.checkForUpdates();
-        } catch (error) {
-          this.logger.error(`❌ Fehler beim VW Update-Check: ${error.message}`);
-          this.logger.info('🔄 Versuche es beim nächsten Intervall erneut...');
-          
-          // Ensure browser is cleaned up even if there's an error
-          try {
-            await this.cleanup();
-          } catch (cleanupError) {
-            this.logger.error(`❌ Fehler beim Aufräumen: ${cleanupError.message}`);
-          }
-        }
-      }
-      
-    } catch (error) {
-      this.logger.error(`❌ Kritischer Fehler: ${error.message}`);
-      await this.cleanup();
-      process.exit(1);
-    }
-  }
 }
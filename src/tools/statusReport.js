@@ -1,4 +1,5 @@
 import { MetadataManager } from '../utils/MetadataManager.js';
+import { providerRegistry } from '../base/ProviderRegistry.js';
 import winston from 'winston';
 import dotenv from 'dotenv';
 
@@ -30,6 +31,7 @@ class StatusReporter {
     
     try {
       const report = await this.metadataManager.generateStatusReport();
+      await providerRegistry.load();
       
       console.log('\n' + '='.repeat(80));
       console.log('🚗 CAR DOWNLOADER - STATUS REPORT');
@@ -45,8 +47,12 @@ class StatusReporter {
       }
       
       for (const [providerName, providerData] of Object.entries(report.providers)) {
-        console.log(`\n🚗 ${providerName.toUpperCase()} PROVIDER`);
+        const definition = providerRegistry.get(providerName);
+        console.log(`\n🚗 ${definition ? definition.displayName.toUpperCase() : providerName.toUpperCase()} PROVIDER`);
         console.log('-'.repeat(40));
+        if (definition) {
+          console.log(`⚙️ Konfiguriert: ${providerRegistry.isConfigured(providerName) ? 'Ja' : 'Nein'}`);
+        }
         console.log(`📅 Letzte Aktualisierung: ${providerData.lastUpdate ? new Date(providerData.lastUpdate).toLocaleString('de-DE') : 'Nie'}`);
         console.log(`📊 Status: ${providerData.status}`);
         console.log(`📥 Downloads: ${providerData.downloadCount}`);
@@ -73,6 +79,15 @@ class StatusReporter {
         }
       }
       
+      // Registered providers without any data yet
+      const providersWithoutData = providerRegistry.getAll().filter(definition => !report.providers[definition.name]);
+      if (providersWithoutData.length > 0) {
+        console.log('\n📭 Provider ohne Daten:');
+        for (const definition of providersWithoutData) {
+          console.log(`  - ${definition.displayName} (${definition.name}): ${providerRegistry.isConfigured(definition.name) ? 'konfiguriert, noch kein Check' : 'nicht konfiguriert'}`);
+        }
+      }
+      
       console.log('\n' + '='.repeat(80));
       console.log('✅ Status-Report abgeschlossen');
       console.log('='.repeat(80) + '\n');
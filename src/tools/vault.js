@@ -0,0 +1,173 @@
+import { CredentialVault } from '../utils/CredentialVault.js';
+import readline from 'readline';
+import { Writable } from 'stream';
+import winston from 'winston';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [${level.toUpperCase()}] [VAULT]: ${message}`;
+    })
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// Secrets that can be moved from .env into the vault with `import`
+const IMPORTABLE_NAMES = /^[A-Z0-9_]+_(USERNAME|PASSWORD|TOTP_SECRET)$|^EMAIL_(USER|PASS)$|^WEB_(USERNAME|PASSWORD)$/;
+
+class VaultTool {
+  constructor() {
+    this.vault = new CredentialVault();
+  }
+
+  ensureEnabled() {
+    if (!this.vault.isEnabled()) {
+      throw new Error('Kein Master-Key konfiguriert, bitte VAULT_MASTER_KEY oder VAULT_KEY_FILE setzen');
+    }
+  }
+
+  async readValue(name) {
+    // Values are never passed as arguments, they would end up in the shell history
+    // The secret is typed into a muted output stream, so the terminal does not echo it
+    let muted = false;
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        if (!muted) {
+          process.stdout.write(chunk, encoding);
+        }
+        callback();
+      }
+    });
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: process.stdin.isTTY });
+
+    if (process.stdin.isTTY) {
+      process.stdout.write(`Wert für ${name}: `);
+      muted = true;
+    }
+
+    const value = await new Promise(resolve => {
+      rl.once('line', resolve);
+      rl.once('close', () => resolve(''));
+    });
+    rl.close();
+
+    if (process.stdin.isTTY) {
+      process.stdout.write('\n');
+    }
+
+    return value.trim();
+  }
+
+  list() {
+    this.ensureEnabled();
+    const secrets = this.vault.list();
+
+    if (secrets.length === 0) {
+      logger.info(`📭 Keine Einträge in ${this.vault.vaultFile}`);
+      return;
+    }
+
+    logger.info(`🔒 ${secrets.length} Einträge in ${this.vault.vaultFile}:`);
+    for (const secret of secrets) {
+      logger.info(`  ${secret.name.padEnd(30)} geändert: ${new Date(secret.updatedAt).toLocaleString('de-DE')}`);
+    }
+  }
+
+  async add(name) {
+    this.ensureEnabled();
+    if (this.vault.has(name)) {
+      throw new Error(`${name} existiert bereits, zum Ändern 'rotate' verwenden`);
+    }
+
+    this.vault.set(name, await this.readValue(name));
+    logger.info(`✅ ${name} hinzugefügt`);
+  }
+
+  async rotate(name) {
+    this.ensureEnabled();
+    if (!this.vault.has(name)) {
+      throw new Error(`${name} existiert nicht, zum Anlegen 'add' verwenden`);
+    }
+
+    this.vault.set(name, await this.readValue(name));
+    logger.info(`🔄 ${name} aktualisiert`);
+  }
+
+  remove(name) {
+    this.ensureEnabled();
+    if (!this.vault.delete(name)) {
+      throw new Error(`${name} existiert nicht`);
+    }
+
+    logger.info(`🗑️ ${name} entfernt`);
+  }
+
+  import() {
+    this.ensureEnabled();
+    let count = 0;
+
+    for (const [name, value] of Object.entries(process.env)) {
+      if (IMPORTABLE_NAMES.test(name) && value && !this.vault.has(name)) {
+        this.vault.set(name, value);
+        logger.info(`📥 ${name} aus der Umgebung übernommen`);
+        count++;
+      }
+    }
+
+    logger.info(`✅ ${count} Einträge importiert - die Werte können jetzt aus der .env Datei entfernt werden`);
+  }
+}
+
+// Main execution
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const name = args[1];
+
+  const tool = new VaultTool();
+
+  try {
+    switch (command) {
+      case 'list':
+        tool.list();
+        break;
+
+      case 'add':
+      case 'rotate':
+      case 'remove':
+        if (!name) {
+          throw new Error(`Bitte einen Namen angeben, z.B. node src/tools/vault.js ${command} BMW_PASSWORD`);
+        }
+        await tool[command](name);
+        break;
+
+      case 'import':
+        tool.import();
+        break;
+
+      default:
+        logger.info('📖 Credential-Vault - Verwendung:');
+        logger.info('  node src/tools/vault.js list           - Gespeicherte Einträge anzeigen (ohne Werte)');
+        logger.info('  node src/tools/vault.js add <NAME>     - Neuen Eintrag anlegen, der Wert wird abgefragt');
+        logger.info('  node src/tools/vault.js rotate <NAME>  - Bestehenden Eintrag ändern');
+        logger.info('  node src/tools/vault.js remove <NAME>  - Eintrag löschen');
+        logger.info('  node src/tools/vault.js import         - Zugangsdaten aus der .env Datei übernehmen');
+        break;
+    }
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// Start the application
+main();
@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+
+export class Cipher {
+  constructor(secret) {
+    if (!secret) {
+      throw new Error('Kein Schlüssel für die Verschlüsselung angegeben');
+    }
+    this.secret = secret;
+    this.algorithm = 'aes-256-gcm';
+  }
+
+  deriveKey(salt) {
+    // The secret comes from the .env file, so stretch it into a proper key
+    return crypto.scryptSync(this.secret, salt, 32);
+  }
+
+  encrypt(plaintext) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(this.algorithm, this.deriveKey(salt), iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+
+    return JSON.stringify({
+      version: 1,
+      algorithm: this.algorithm,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    });
+  }
+
+  decrypt(payload) {
+    const envelope = JSON.parse(payload);
+    if (envelope.version !== 1 || envelope.algorithm !== this.algorithm) {
+      throw new Error(`Unbekanntes Verschlüsselungsformat: ${envelope.algorithm} v${envelope.version}`);
+    }
+
+    const decipher = crypto.createDecipheriv(
+      this.algorithm,
+      this.deriveKey(Buffer.from(envelope.salt, 'base64')),
+      Buffer.from(envelope.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+    // final() throws if the key is wrong or the data has been tampered with
+    return Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final()
+    ]).toString('utf-8');
+  }
+}
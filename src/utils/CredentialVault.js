@@ -0,0 +1,229 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { Cipher } from './Cipher.js';
+
+// Load environment variables
+dotenv.config();
+
+// The logger redacts every line, the vault file and the environment are checked at most this often
+const REDACTION_CHECK_MS = 1000;
+
+export class CredentialVault {
+  constructor(options = {}) {
+    this.vaultFile = options.vaultFile || process.env.VAULT_FILE || './credentials.vault';
+    this.masterKey = options.masterKey || CredentialVault.readMasterKey();
+    this.cipher = this.masterKey ? new Cipher(this.masterKey) : null;
+    this.secrets = null;
+    this.loadedMtime = null;
+    this.loadError = null;
+    this.failedMtime = null;
+    this.redaction = null;
+  }
+
+  static readMasterKey() {
+    if (process.env.VAULT_MASTER_KEY) {
+      return process.env.VAULT_MASTER_KEY;
+    }
+
+    if (process.env.VAULT_KEY_FILE) {
+      return fs.readFileSync(process.env.VAULT_KEY_FILE, 'utf-8').trim();
+    }
+
+    return null;
+  }
+
+  static isSecretName(name) {
+    return /(PASSWORD|PASS|SECRET|TOKEN|KEY)$/.test(name);
+  }
+
+  isEnabled() {
+    return this.cipher !== null;
+  }
+
+  readMtime() {
+    try {
+      return fs.statSync(this.vaultFile).mtimeMs;
+    } catch {
+      return null;
+    }
+  }
+
+  load() {
+    // Providers read credentials synchronously right before filling the login form.
+    // The file is read again whenever its mtime changes, e.g. after a rotation with the vault tool
+    const mtime = this.readMtime();
+    if (this.secrets && mtime === this.loadedMtime) {
+      return this.secrets;
+    }
+    // Decrypting means a scrypt run, an unreadable file is only tried again once it has changed
+    if (this.loadError && mtime === this.failedMtime) {
+      throw this.loadError;
+    }
+
+    if (!this.isEnabled() || mtime === null) {
+      this.secrets = {};
+      this.loadedMtime = mtime;
+      return this.secrets;
+    }
+
+    try {
+      const content = JSON.parse(this.cipher.decrypt(fs.readFileSync(this.vaultFile, 'utf-8')));
+      this.secrets = content.secrets || {};
+      this.loadedMtime = mtime;
+      this.loadError = null;
+    } catch (error) {
+      // Keep the last readable secrets
+      this.failedMtime = mtime;
+      this.loadError = new Error(`Credential-Vault ${this.vaultFile} konnte nicht entschlüsselt werden (falscher Master-Key?)`);
+      throw this.loadError;
+    }
+
+    return this.secrets;
+  }
+
+  reload() {
+    this.secrets = null;
+    this.loadedMtime = null;
+    this.loadError = null;
+    return this.load();
+  }
+
+  save() {
+    if (!this.isEnabled()) {
+      throw new Error('Credential-Vault ist deaktiviert, bitte VAULT_MASTER_KEY oder VAULT_KEY_FILE setzen');
+    }
+
+    const payload = this.cipher.encrypt(JSON.stringify({
+      updatedAt: new Date().toISOString(),
+      secrets: this.secrets
+    }));
+
+    // Write to a temp file first, a crash while writing must not destroy the vault
+    const tempFile = `${this.vaultFile}.tmp`;
+    fs.mkdirSync(path.dirname(path.resolve(this.vaultFile)), { recursive: true });
+    fs.writeFileSync(tempFile, payload, { mode: 0o600 });
+    fs.renameSync(tempFile, this.vaultFile);
+    this.loadedMtime = this.readMtime();
+    this.redaction = null;
+  }
+
+  has(name) {
+    return this.isEnabled() && name in this.load();
+  }
+
+  get(name) {
+    // The vault wins, .env is the fallback for installations without a vault
+    if (this.isEnabled()) {
+      const secret = this.load()[name];
+      if (secret) {
+        return secret.value;
+      }
+    }
+
+    return process.env[name];
+  }
+
+  set(name, value) {
+    if (!/^[A-Z][A-Z0-9_]*$/.test(name)) {
+      throw new Error(`Ungültiger Name: ${name} (erlaubt: A-Z, 0-9 und _)`);
+    }
+    if (!value) {
+      throw new Error(`Kein Wert für ${name} angegeben`);
+    }
+
+    const secrets = this.load();
+    const existing = secrets[name];
+
+    secrets[name] = {
+      value,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    this.save();
+
+    return !existing;
+  }
+
+  delete(name) {
+    const secrets = this.load();
+    if (!(name in secrets)) {
+      return false;
+    }
+
+    delete secrets[name];
+    this.save();
+    return true;
+  }
+
+  list() {
+    // Only names and timestamps, values never leave the vault through this method
+    return Object.entries(this.isEnabled() ? this.load() : {}).map(([name, secret]) => ({
+      name,
+      createdAt: secret.createdAt,
+      updatedAt: secret.updatedAt
+    }));
+  }
+
+  getSecretValues() {
+    // Rebuilt only when the vault file or the secrets in the environment have changed
+    const now = Date.now();
+    if (this.redaction && now - this.redaction.checkedAt < REDACTION_CHECK_MS) {
+      return this.redaction.values;
+    }
+
+    const mtime = this.isEnabled() ? this.readMtime() : null;
+    const envValues = Object.entries(process.env)
+      .filter(([name, value]) => CredentialVault.isSecretName(name) && value)
+      .map(([, value]) => value);
+    const envKey = envValues.join('\0');
+
+    if (this.redaction && this.redaction.mtime === mtime && this.redaction.envKey === envKey) {
+      this.redaction.checkedAt = now;
+      return this.redaction.values;
+    }
+
+    const values = new Set(envValues);
+    for (const secret of Object.values(this.readSecretsForRedaction())) {
+      values.add(secret.value);
+    }
+
+    // Very short values would mask half of every log line
+    this.redaction = {
+      mtime,
+      envKey,
+      checkedAt: now,
+      values: Array.from(values).filter(value => value.length >= 4)
+    };
+    return this.redaction.values;
+  }
+
+  readSecretsForRedaction() {
+    // Redaction runs inside the logger and must never throw, an unreadable vault
+    // falls back to the last known secrets and the environment values
+    if (!this.isEnabled()) {
+      return {};
+    }
+
+    try {
+      return this.load();
+    } catch {
+      return this.secrets || {};
+    }
+  }
+
+  redact(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+
+    let redacted = text;
+    for (const value of this.getSecretValues()) {
+      redacted = redacted.split(value).join('***');
+    }
+    return redacted;
+  }
+}
+
+// Shared instance, so a rotation in the dashboard is seen by all providers
+export const credentialVault = new CredentialVault();
@@ -0,0 +1,99 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+export class DiagnosticsStore {
+  constructor(options = {}) {
+    this.diagnosticsDir = options.diagnosticsDir || process.env.DIAGNOSTICS_DIR || './diagnostics';
+    this.retentionDays = parseInt(process.env.DIAGNOSTICS_RETENTION_DAYS) || 14;
+    this.maxEntries = parseInt(process.env.DIAGNOSTICS_MAX_ENTRIES) || 20;
+  }
+
+  isEnabled() {
+    return process.env.DIAGNOSTICS_ENABLED !== 'false';
+  }
+
+  static isValidName(name) {
+    // Provider, entry and file names end up in paths, only plain names are allowed
+    return typeof name === 'string' && /^[A-Za-z0-9][A-Za-z0-9_.-]*$/.test(name) && !name.includes('..');
+  }
+
+  getProviderDir(providerName) {
+    return path.join(this.diagnosticsDir, providerName);
+  }
+
+  async createEntry(providerName, step) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const id = `${timestamp}-${step.replace(/[^A-Za-z0-9_-]/g, '_')}`;
+    const entryDir = path.join(this.getProviderDir(providerName), id);
+
+    await fs.mkdir(entryDir, { recursive: true, mode: 0o700 });
+    return { id, entryDir };
+  }
+
+  async writeMeta(entryDir, meta) {
+    await fs.writeFile(path.join(entryDir, 'meta.json'), JSON.stringify(meta, null, 2), { mode: 0o600 });
+  }
+
+  async listProviders() {
+    try {
+      const entries = await fs.readdir(this.diagnosticsDir, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async list(providerName) {
+    let ids;
+    try {
+      ids = await fs.readdir(this.getProviderDir(providerName));
+    } catch (error) {
+      return [];
+    }
+
+    const entries = [];
+    for (const id of ids) {
+      const entryDir = path.join(this.getProviderDir(providerName), id);
+      try {
+        const meta = JSON.parse(await fs.readFile(path.join(entryDir, 'meta.json'), 'utf-8'));
+        const files = (await fs.readdir(entryDir)).filter(file => file !== 'meta.json');
+        entries.push({ ...meta, id, files });
+      } catch (error) {
+        // Capture still running or damaged entry - skip it
+      }
+    }
+
+    // Newest first, the ids start with the timestamp
+    return entries.sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  getFilePath(providerName, id, fileName) {
+    if (![providerName, id, fileName].every(DiagnosticsStore.isValidName)) {
+      return null;
+    }
+    return path.join(this.getProviderDir(providerName), id, fileName);
+  }
+
+  async prune(providerName) {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    let ids;
+    try {
+      ids = (await fs.readdir(this.getProviderDir(providerName))).sort().reverse();
+    } catch (error) {
+      return 0;
+    }
+
+    let removed = 0;
+    for (const [index, id] of ids.entries()) {
+      const entryDir = path.join(this.getProviderDir(providerName), id);
+      const stats = await fs.stat(entryDir);
+
+      if (index >= this.maxEntries || stats.mtimeMs < cutoff) {
+        await fs.rm(entryDir, { recursive: true, force: true });
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
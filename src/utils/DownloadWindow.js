@@ -0,0 +1,94 @@
+const MINUTES_PER_DAY = 24 * 60;
+
+export class DownloadWindow {
+  constructor(spec) {
+    this.spec = String(spec || '').trim();
+    this.ranges = DownloadWindow.parse(this.spec);
+  }
+
+  static parse(spec) {
+    // "20:00-06:00" or several ranges "12:00-13:00, 20:00-06:00", local time of the server
+    if (!spec) {
+      return [];
+    }
+
+    return spec.split(',').map(range => {
+      const match = range.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+      if (!match) {
+        throw new Error(`Ungültiges Download-Fenster: "${range.trim()}" (erwartet z.B. 20:00-06:00)`);
+      }
+
+      const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([hours, minutes]) => {
+        if (Number(hours) > 24 || Number(minutes) > 59 || (Number(hours) === 24 && Number(minutes) > 0)) {
+          throw new Error(`Ungültige Uhrzeit im Download-Fenster: "${range.trim()}"`);
+        }
+        return (Number(hours) * 60 + Number(minutes)) % MINUTES_PER_DAY;
+      });
+
+      return { start, end };
+    });
+  }
+
+  static minutesOfDay(date) {
+    return date.getHours() * 60 + date.getMinutes();
+  }
+
+  isRestricted() {
+    return this.ranges.length > 0;
+  }
+
+  contains(range, minutes) {
+    // Equal start and end means the whole day, a start after the end runs over midnight
+    if (range.start === range.end) {
+      return true;
+    }
+    if (range.start < range.end) {
+      return minutes >= range.start && minutes < range.end;
+    }
+    return minutes >= range.start || minutes < range.end;
+  }
+
+  isOpen(date = new Date()) {
+    const minutes = DownloadWindow.minutesOfDay(date);
+    return !this.isRestricted() || this.ranges.some(range => this.contains(range, minutes));
+  }
+
+  startOf(range, date) {
+    // Most recent point in time the range started, today or yesterday
+    const minutes = DownloadWindow.minutesOfDay(date);
+    const start = new Date(date);
+    start.setHours(Math.floor(range.start / 60), range.start % 60, 0, 0);
+    if (range.start > minutes) {
+      start.setDate(start.getDate() - 1);
+    }
+    return start;
+  }
+
+  openedAt(date = new Date()) {
+    // Start of the currently open range, null without restriction or outside the window
+    const minutes = DownloadWindow.minutesOfDay(date);
+    const open = this.ranges.filter(range => this.contains(range, minutes));
+    if (open.length === 0) {
+      return null;
+    }
+
+    return new Date(Math.min(...open.map(range => this.startOf(range, date).getTime())));
+  }
+
+  nextOpening(date = new Date()) {
+    if (this.isOpen(date)) {
+      return date;
+    }
+
+    const minutes = DownloadWindow.minutesOfDay(date);
+    const waitMinutes = Math.min(...this.ranges.map(range => (range.start - minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY));
+    const opening = new Date(date);
+    opening.setSeconds(0, 0);
+    opening.setMinutes(opening.getMinutes() + waitMinutes);
+    return opening;
+  }
+
+  toString() {
+    return this.spec || 'ganztägig';
+  }
+}
@@ -2,6 +2,7 @@ import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
 import path from 'path';
 import fs from 'fs';
+import { credentialVault } from './CredentialVault.js';
 
 // Load environment variables
 dotenv.config();
@@ -23,8 +24,8 @@ export class EmailService {
         port: parseInt(process.env.EMAIL_SMTP_PORT) || 465,
         secure: process.env.EMAIL_SMTP_SECURE === 'true',
         auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS
+          user: credentialVault.get('EMAIL_USER'),
+          pass: credentialVault.get('EMAIL_PASS')
         }
       });
 
@@ -62,7 +63,7 @@ export class EmailService {
     }
   }
 
-  async sendLoginFailureNotification(provider, errorMessage) {
+  async sendLoginFailureNotification(provider, errorMessage, diagnostics = null) {
     if (!this.enabled || !this.transporter) {
       console.log('📧 E-Mail-Benachrichtigungen deaktiviert');
       return false;
@@ -70,14 +71,24 @@ export class EmailService {
 
     try {
       const subject = `❌ Login-Fehler - ${provider.toUpperCase()} Provider`;
-      const html = this.generateLoginFailureHTML(provider, errorMessage);
+      const html = this.generateLoginFailureHTML(provider, errorMessage, diagnostics);
+      const attachments = this.getLogoAttachment();
+
+      // Screenshot of the failed login page, embedded and attached
+      if (diagnostics?.files?.screenshot && fs.existsSync(diagnostics.files.screenshot)) {
+        attachments.push({
+          filename: `${provider}-login-fehler.png`,
+          path: diagnostics.files.screenshot,
+          cid: 'screenshot'
+        });
+      }
 
       const mailOptions = {
         from: process.env.EMAIL_FROM,
         to: process.env.EMAIL_TO,
         subject: subject,
         html: html,
-        attachments: this.getLogoAttachment()
+        attachments: attachments
       };
 
       const result = await this.transporter.sendMail(mailOptions);
@@ -93,6 +104,8 @@ export class EmailService {
     const providerName = provider.toUpperCase();
     const updateCount = updates.length;
     const currentDate = new Date().toLocaleString('de-DE');
+    // Found outside the download window, the files follow once it opens
+    const deferredUntil = updates.find(update => update.deferredUntil)?.deferredUntil;
     
     return `
 <!DOCTYPE html>
@@ -250,7 +263,7 @@ export class EmailService {
         <div class="content">
             <div class="summary">
                 <h2>📊 Update-Zusammenfassung</h2>
-                <p><span class="badge provider-badge">${providerName}</span> Es wurden <strong>${updateCount}</strong> neue Version${updateCount > 1 ? 'en' : ''} gefunden und heruntergeladen.</p>
+                <p><span class="badge provider-badge">${providerName}</span> Es wurden <strong>${updateCount}</strong> neue Version${updateCount > 1 ? 'en' : ''} gefunden${deferredUntil ? `. Der Download startet im nächsten Download-Fenster ab ${new Date(deferredUntil).toLocaleString('de-DE')}.` : ' und heruntergeladen.'}</p>
             </div>
             
             <div class="updates-list">
@@ -273,7 +286,7 @@ export class EmailService {
                             </div>
                             <div class="detail-item">
                                 <div class="detail-label">Download-Status</div>
-                                <div class="detail-value">✅ Erfolgreich</div>
+                                <div class="detail-value">${update.deferredUntil ? '🌙 Eingeplant' : '✅ Erfolgreich'}</div>
                             </div>
                         </div>
                         ${update.fileName ? `
@@ -281,6 +294,11 @@ export class EmailService {
                                 <strong>📁 Dateiname:</strong> ${update.fileName}
                             </div>
                         ` : ''}
+                        ${update.sha256 ? `
+                            <div style="margin-top: 10px; padding: 10px; background: #f1f3f5; border-radius: 5px; border-left: 3px solid #6c757d; font-family: monospace; font-size: 0.85rem; word-break: break-all;">
+                                <strong>🔒 SHA-256:</strong> ${update.sha256}
+                            </div>
+                        ` : ''}
                     </div>
                 `).join('')}
             </div>
@@ -297,9 +315,10 @@ export class EmailService {
     `;
   }
 
-  generateLoginFailureHTML(provider, errorMessage) {
+  generateLoginFailureHTML(provider, errorMessage, diagnostics = null) {
     const providerName = provider.toUpperCase();
     const currentDate = new Date().toLocaleString('de-DE');
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
     
     return `
 <!DOCTYPE html>
@@ -385,6 +404,11 @@ export class EmailService {
             color: #721c24;
             word-break: break-word;
         }
+        .screenshot img {
+            width: 100%;
+            border: 1px solid #dee2e6;
+            border-radius: 5px;
+        }
         .footer {
             background: #f8f9fa;
             padding: 20px 30px;
@@ -443,6 +467,13 @@ export class EmailService {
                     ${errorMessage || 'Unbekannter Fehler beim Login-Prozess'}
                 </div>
             </div>
+            ${diagnostics ? `
+            <div class="error-details screenshot">
+                <h3>🩺 Diagnose</h3>
+                ${diagnostics.files.screenshot ? '<img src="cid:screenshot" alt="Screenshot der Login-Seite" />' : ''}
+                <p>Screenshot, HTML, Konsolenfehler und Trace: <a href="${baseUrl}/#diagnostics">${diagnostics.id}</a></p>
+            </div>
+            ` : ''}
             
             <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 20px; margin-bottom: 20px;">
                 <h3 style="margin: 0 0 10px 0; color: #856404;">⚠️ Erforderliche Maßnahmen</h3>
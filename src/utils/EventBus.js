@@ -0,0 +1,21 @@
+import { EventEmitter } from 'events';
+
+export class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    // Every open dashboard holds one listener through /api/events
+    this.setMaxListeners(0);
+  }
+
+  publish(type, data = {}) {
+    this.emit('event', { type, timestamp: new Date().toISOString(), data });
+  }
+
+  subscribe(listener) {
+    this.on('event', listener);
+    return () => this.off('event', listener);
+  }
+}
+
+// Shared instance, providers and the job queue publish, the web server streams to the dashboard
+export const eventBus = new EventBus();
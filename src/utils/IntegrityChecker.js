@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { MetadataManager } from './MetadataManager.js';
+
+export class IntegrityChecker {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    this.metadataManager = new MetadataManager(baseDir);
+  }
+
+  createHash() {
+    return crypto.createHash('sha256');
+  }
+
+  async hashFile(filePath, signal = null) {
+    const hash = this.createHash();
+    await this.updateHashFromFile(hash, filePath, signal);
+    return hash.digest('hex');
+  }
+
+  async updateHashFromFile(hash, filePath, signal = null) {
+    await new Promise((resolve, reject) => {
+      // A cancelled verify job stops in the middle of a multi-GB file
+      const stream = createReadStream(filePath, { signal: signal || undefined });
+      stream.on('data', chunk => hash.update(chunk));
+      stream.on('end', resolve);
+      stream.on('error', reject);
+    });
+  }
+
+  getSidecarPath(filePath) {
+    return `${filePath}.sha256`;
+  }
+
+  isSidecarFile(fileName) {
+    return fileName.endsWith('.sha256');
+  }
+
+  async writeSidecar(filePath, sha256) {
+    // Same format as `sha256sum`, so the file can be checked with `sha256sum -c`
+    const content = `${sha256}  ${path.basename(filePath)}\n`;
+    await fs.writeFile(this.getSidecarPath(filePath), content);
+  }
+
+  async readSidecar(filePath) {
+    try {
+      const content = await fs.readFile(this.getSidecarPath(filePath), 'utf-8');
+      const match = content.match(/^([a-f0-9]{64})\b/i);
+      return match ? match[1].toLowerCase() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async removeSidecar(filePath) {
+    try {
+      await fs.unlink(this.getSidecarPath(filePath));
+    } catch (error) {
+      // Sidecar doesn't exist - nothing to do
+    }
+  }
+
+  async verifyFile(filePath, expectedHash, signal = null) {
+    try {
+      await fs.access(filePath);
+    } catch {
+      return { status: 'missing', expected: expectedHash || null, actual: null };
+    }
+
+    if (!expectedHash) {
+      return { status: 'unverified', expected: null, actual: null };
+    }
+
+    const actual = await this.hashFile(filePath, signal);
+
+    return {
+      status: actual === expectedHash.toLowerCase() ? 'ok' : 'mismatch',
+      expected: expectedHash,
+      actual
+    };
+  }
+
+  async verifyProvider(providerName, options = {}) {
+    const providerData = await this.metadataManager.getProviderStatus(providerName);
+    if (!providerData) {
+      return null;
+    }
+
+    const providerDir = path.join(this.baseDir, providerName);
+    const files = [];
+
+    const downloads = Object.entries(providerData.downloads || {}).filter(([, download]) => download.fileName);
+
+    for (const [index, [category, download]] of downloads.entries()) {
+      options.signal?.throwIfAborted();
+      options.onFile?.(download.fileName, index, downloads.length);
+
+      const filePath = path.join(providerDir, download.fileName);
+
+      // Prefer the digest from the metadata, fall back to the sidecar file
+      const expectedHash = download.sha256 || await this.readSidecar(filePath);
+      const result = await this.verifyFile(filePath, expectedHash, options.signal);
+
+      files.push({
+        category,
+        fileName: download.fileName,
+        version: download.version,
+        ...result
+      });
+    }
+
+    return {
+      provider: providerName,
+      checkedAt: new Date().toISOString(),
+      totalFiles: files.length,
+      ok: files.filter(file => file.status === 'ok').length,
+      mismatches: files.filter(file => file.status === 'mismatch').length,
+      missing: files.filter(file => file.status === 'missing').length,
+      unverified: files.filter(file => file.status === 'unverified').length,
+      files
+    };
+  }
+
+  async verifyAllProviders() {
+    const providers = await this.metadataManager.getAllProvidersStatus();
+    const results = {};
+
+    for (const providerName of Object.keys(providers)) {
+      results[providerName] = await this.verifyProvider(providerName);
+    }
+
+    return results;
+  }
+}
@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const FINISHED_STATES = ['finished', 'failed', 'cancelled'];
+
+export class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 2;
+    this.maxFinishedJobs = options.maxFinishedJobs || 100;
+    this.jobs = new Map();
+    this.handlers = new Map();
+  }
+
+  static isFinished(job) {
+    return FINISHED_STATES.includes(job.state);
+  }
+
+  submit(provider, type, handler, options = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      provider,
+      type,
+      trigger: options.trigger || 'cli',
+      options: { ...options },
+      state: 'queued',
+      cancelRequested: false,
+      submittedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      result: null,
+      error: null
+    };
+
+    // Handler, abort controller and waiters stay out of the job, it is sent as JSON to the dashboard
+    let resolveDone;
+    const done = new Promise(resolve => {
+      resolveDone = resolve;
+    });
+    this.handlers.set(job.id, { handler, controller: new AbortController(), done, resolveDone });
+    this.jobs.set(job.id, job);
+
+    this.emit('update', job);
+    this.dispatch();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list(filter = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !filter.provider || job.provider === filter.provider)
+      .filter(job => !filter.state || job.state === filter.state)
+      .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+  }
+
+  getActive(provider) {
+    return Array.from(this.jobs.values()).find(job => job.provider === provider && !JobQueue.isFinished(job)) || null;
+  }
+
+  isRunning(provider) {
+    return Array.from(this.jobs.values()).some(job => job.provider === provider && job.state === 'running');
+  }
+
+  updateProgress(id, progress) {
+    const job = this.jobs.get(id);
+    if (!job || JobQueue.isFinished(job)) {
+      return;
+    }
+
+    job.progress = { ...progress };
+    this.emit('update', job);
+  }
+
+  async wait(id) {
+    const entry = this.handlers.get(id);
+    if (entry) {
+      await entry.done;
+    }
+    return this.get(id);
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || JobQueue.isFinished(job)) {
+      return null;
+    }
+
+    if (job.state === 'queued') {
+      this.complete(job, 'cancelled', null, null);
+      return job;
+    }
+
+    // Running jobs stop cooperatively, the handler watches the signal
+    job.cancelRequested = true;
+    this.handlers.get(id).controller.abort();
+    this.emit('update', job);
+    return job;
+  }
+
+  cancelAll() {
+    return Array.from(this.jobs.values()).filter(job => this.cancel(job.id)).length;
+  }
+
+  dispatch() {
+    let running = Array.from(this.jobs.values()).filter(job => job.state === 'running').length;
+
+    // Oldest first, but never two jobs of the same provider at the same time
+    const queued = Array.from(this.jobs.values())
+      .filter(job => job.state === 'queued')
+      .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+
+    for (const job of queued) {
+      if (running >= this.concurrency) {
+        break;
+      }
+      if (this.isRunning(job.provider)) {
+        continue;
+      }
+
+      running++;
+      this.execute(job);
+    }
+  }
+
+  async execute(job) {
+    const { handler, controller } = this.handlers.get(job.id);
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+    this.emit('update', job);
+
+    try {
+      const result = await handler(controller.signal, job);
+      this.complete(job, controller.signal.aborted ? 'cancelled' : 'finished', result, null);
+    } catch (error) {
+      this.complete(job, controller.signal.aborted ? 'cancelled' : 'failed', null, error.message);
+    }
+  }
+
+  complete(job, state, result, error) {
+    job.state = state;
+    job.result = result ?? null;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+
+    const entry = this.handlers.get(job.id);
+    this.handlers.delete(job.id);
+    entry?.resolveDone();
+
+    this.emit('update', job);
+    this.prune();
+    this.dispatch();
+  }
+
+  prune() {
+    // Finished jobs are only kept for the dashboard, the run history has the details
+    const finished = Array.from(this.jobs.values())
+      .filter(JobQueue.isFinished)
+      .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+
+    for (const job of finished.slice(this.maxFinishedJobs)) {
+      this.jobs.delete(job.id);
+    }
+  }
+}
@@ -0,0 +1,49 @@
+import winston from 'winston';
+import { credentialVault } from './CredentialVault.js';
+import { eventBus } from './EventBus.js';
+
+// Streams the log lines to the dashboard (/api/events)
+class EventBusTransport extends winston.Transport {
+  constructor(name) {
+    super({ level: 'info' });
+    this.name = name;
+  }
+
+  log(info, callback) {
+    eventBus.publish('log', {
+      provider: this.name,
+      level: info.level,
+      line: info[Symbol.for('message')]
+    });
+    callback();
+  }
+}
+
+export class Logger {
+  static shared = new Map();
+
+  static create(name) {
+    return winston.createLogger({
+      level: process.env.DEBUG === 'true' ? 'debug' : 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ timestamp, level, message }) => {
+          return `${timestamp} [${level.toUpperCase()}] [${name.toUpperCase()}]: ${credentialVault.redact(message)}`;
+        })
+      ),
+      transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: `${name}-downloader.log` }),
+        new EventBusTransport(name)
+      ]
+    });
+  }
+
+  static get(name) {
+    // For code that runs without a provider instance (registry, metadata store), created on first use
+    if (!this.shared.has(name)) {
+      this.shared.set(name, this.create(name));
+    }
+    return this.shared.get(name);
+  }
+}
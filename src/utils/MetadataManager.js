@@ -1,42 +1,50 @@
-import fs from 'fs/promises';
-import path from 'path';
+import { MetadataStore } from './MetadataStore.js';
 
 export class MetadataManager {
   constructor(baseDir) {
     this.baseDir = baseDir;
-    this.globalMetadataPath = path.join(baseDir, 'global_metadata.json');
+    this.store = MetadataStore.forDirectory(baseDir);
   }
 
   async loadGlobalMetadata() {
-    try {
-      const data = await fs.readFile(this.globalMetadataPath, 'utf-8');
-      return JSON.parse(data);
-    } catch (error) {
-      return {
-        providers: {},
-        lastGlobalUpdate: null,
-        version: '1.0.0'
-      };
-    }
+    // Same structure as the former global_metadata.json, the API responses stay unchanged
+    return await this.store.read(() => ({
+      providers: this.store.getProviders(),
+      lastGlobalUpdate: this.store.getSetting('lastGlobalUpdate'),
+      version: '1.0.0'
+    }));
   }
 
-  async saveGlobalMetadata(metadata) {
-    await fs.mkdir(this.baseDir, { recursive: true });
-    await fs.writeFile(this.globalMetadataPath, JSON.stringify(metadata, null, 2));
+  async updateProviderData(providerName, providerData) {
+    // Provider level state only (anomalies, pending downloads), artifacts are written per category by updateArtifact.
+    // Writing the in-memory copy of all artifacts here would revert changes another process made in the meantime
+    const now = new Date().toISOString();
+    const { downloads, lastUpdate, version, ...extra } = providerData;
+    
+    await this.store.transaction(() => {
+      this.store.upsertProvider(providerName, now, extra);
+      this.store.setSetting('lastGlobalUpdate', now);
+    });
   }
 
-  async updateProviderMetadata(providerName, providerData) {
-    const globalMetadata = await this.loadGlobalMetadata();
+  async updateArtifact(providerName, category, download) {
+    // Only the changed category is written, parallel providers can not overwrite each other
+    const now = new Date().toISOString();
     
-    globalMetadata.providers[providerName] = {
-      ...providerData,
-      lastUpdate: new Date().toISOString(),
-      version: globalMetadata.version
-    };
-    
-    globalMetadata.lastGlobalUpdate = new Date().toISOString();
+    await this.store.transaction(() => {
+      this.store.upsertProvider(providerName, now);
+      this.store.upsertArtifact(providerName, category, download);
+      this.store.setSetting('lastGlobalUpdate', now);
+    });
+  }
+
+  async touchProvider(providerName) {
+    const now = new Date().toISOString();
     
-    await this.saveGlobalMetadata(globalMetadata);
+    await this.store.transaction(() => {
+      this.store.upsertProvider(providerName, now);
+      this.store.setSetting('lastGlobalUpdate', now);
+    });
   }
 
   async getProviderStatus(providerName) {
@@ -44,6 +52,52 @@ export class MetadataManager {
     return globalMetadata.providers[providerName] || null;
   }
 
+  async getVersionHistory(providerName, category = null) {
+    return await this.store.read(() => this.store.query(
+      `SELECT category, version, file_name AS fileName, file_size AS fileSize, sha256, downloaded_at AS downloadedAt,
+         superseded_at AS supersededAt, archive_path AS archivePath, archived_at AS archivedAt
+       FROM versions WHERE provider = ? AND (? IS NULL OR category = ?) ORDER BY id DESC`,
+      [providerName, category, category]
+    ));
+  }
+
+  async getArchivedVersions(providerName, category) {
+    // Newest first, the order the retention policy counts in
+    return await this.store.read(() => this.store.query(
+      `SELECT id, version, file_name AS fileName, downloaded_at AS downloadedAt, archive_path AS archivePath, archived_at AS archivedAt
+       FROM versions WHERE provider = ? AND category = ? AND archive_path IS NOT NULL ORDER BY id DESC`,
+      [providerName, category]
+    ));
+  }
+
+  async recordArchivedVersion(providerName, category, entry) {
+    await this.store.transaction(() => {
+      this.store.upsertArchivedVersion(providerName, category, entry);
+    });
+  }
+
+  async removeArchivedVersions(ids) {
+    // The rows stay as version history, only the archived file is gone
+    if (ids.length === 0) {
+      return;
+    }
+
+    await this.store.transaction(() => {
+      for (const id of ids) {
+        this.store.db.run('UPDATE versions SET archive_path = NULL WHERE id = ?', [id]);
+      }
+    });
+  }
+
+  async recordNotification(providerName, type, subject, success, error = null) {
+    await this.store.transaction(() => {
+      this.store.db.run(
+        'INSERT INTO notifications (provider, type, subject, success, error, sent_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [providerName, type, subject || null, success ? 1 : 0, error, new Date().toISOString()]
+      );
+    });
+  }
+
   async getAllProvidersStatus() {
     const globalMetadata = await this.loadGlobalMetadata();
     return globalMetadata.providers;
@@ -88,37 +142,13 @@ export class MetadataManager {
   }
 
   async cleanupOldMetadata(daysToKeep = 30) {
-    const globalMetadata = await this.loadGlobalMetadata();
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
     
-    let cleanedCount = 0;
-    
-    for (const [providerName, providerData] of Object.entries(globalMetadata.providers)) {
-      if (providerData.downloads) {
-        const originalCount = Object.keys(providerData.downloads).length;
-        
-        // Remove old downloads
-        for (const [category, download] of Object.entries(providerData.downloads)) {
-          if (download.downloadedAt) {
-            const downloadDate = new Date(download.downloadedAt);
-            if (downloadDate < cutoffDate) {
-              delete providerData.downloads[category];
-              cleanedCount++;
-            }
-          }
-        }
-        
-        // Update provider data
-        globalMetadata.providers[providerName] = providerData;
-      }
-    }
-    
-    if (cleanedCount > 0) {
-      await this.saveGlobalMetadata(globalMetadata);
-      return cleanedCount;
-    }
-    
-    return 0;
+    // Remove old downloads
+    return await this.store.transaction(() => {
+      this.store.db.run('DELETE FROM artifacts WHERE downloaded_at IS NOT NULL AND downloaded_at < ?', [cutoffDate.toISOString()]);
+      return this.store.db.getRowsModified();
+    });
   }
 }
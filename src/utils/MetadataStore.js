@@ -0,0 +1,583 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import { Logger } from './Logger.js';
+
+// Schema versions, applied in order and tracked in PRAGMA user_version
+const MIGRATIONS = [
+  `
+  CREATE TABLE providers (
+    name TEXT PRIMARY KEY,
+    last_update TEXT,
+    version TEXT NOT NULL DEFAULT '1.0.0',
+    data TEXT
+  );
+
+  CREATE TABLE artifacts (
+    provider TEXT NOT NULL,
+    category TEXT NOT NULL,
+    display_name TEXT,
+    version TEXT,
+    file_name TEXT,
+    file_size INTEGER,
+    sha256 TEXT,
+    downloaded_at TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (provider, category)
+  );
+
+  CREATE TABLE versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    provider TEXT NOT NULL,
+    category TEXT NOT NULL,
+    version TEXT,
+    file_name TEXT,
+    file_size INTEGER,
+    sha256 TEXT,
+    downloaded_at TEXT,
+    superseded_at TEXT
+  );
+  CREATE INDEX versions_provider_category ON versions (provider, category);
+
+  CREATE TABLE runs (
+    id TEXT PRIMARY KEY,
+    provider TEXT NOT NULL,
+    trigger TEXT,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    duration_ms INTEGER,
+    login TEXT,
+    outcome TEXT,
+    bytes INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX runs_started_at ON runs (started_at);
+
+  CREATE TABLE notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    provider TEXT NOT NULL,
+    type TEXT NOT NULL,
+    subject TEXT,
+    success INTEGER NOT NULL,
+    error TEXT,
+    sent_at TEXT NOT NULL
+  );
+
+  CREATE TABLE settings (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  `,
+  `
+  ALTER TABLE versions ADD COLUMN archive_path TEXT;
+  ALTER TABLE versions ADD COLUMN archived_at TEXT;
+
+  -- Archived versions were kept as a history list in providers.data, the versions table replaces it
+  CREATE TEMP TABLE archived_history AS
+    SELECT
+      providers.name AS provider,
+      categories.key AS category,
+      CAST(entries.key AS INTEGER) AS position,
+      json_extract(entries.value, '$.version') AS version,
+      json_extract(entries.value, '$.fileName') AS file_name,
+      json_extract(entries.value, '$.fileSize') AS file_size,
+      json_extract(entries.value, '$.sha256') AS sha256,
+      json_extract(entries.value, '$.downloadedAt') AS downloaded_at,
+      json_extract(entries.value, '$.archivePath') AS archive_path,
+      json_extract(entries.value, '$.archivedAt') AS archived_at
+    FROM providers, json_each(providers.data, '$.history') AS categories, json_each(categories.value) AS entries
+    WHERE json_valid(providers.data);
+
+  UPDATE versions SET
+    archive_path = (SELECT archive_path FROM archived_history h WHERE h.provider = versions.provider AND h.category = versions.category AND h.file_name = versions.file_name),
+    archived_at = (SELECT archived_at FROM archived_history h WHERE h.provider = versions.provider AND h.category = versions.category AND h.file_name = versions.file_name)
+  WHERE id IN (
+    SELECT MAX(v.id) FROM versions v JOIN archived_history h
+      ON h.provider = v.provider AND h.category = v.category AND h.file_name = v.file_name
+    GROUP BY v.provider, v.category, v.file_name
+  );
+
+  -- The list was newest first, insert the oldest first so the ids keep the order
+  INSERT INTO versions (provider, category, version, file_name, file_size, sha256, downloaded_at, superseded_at, archive_path, archived_at)
+    SELECT provider, category, version, file_name, file_size, sha256, downloaded_at, archived_at, archive_path, archived_at
+    FROM archived_history h
+    WHERE NOT EXISTS (SELECT 1 FROM versions v WHERE v.provider = h.provider AND v.category = h.category AND v.file_name = h.file_name)
+    ORDER BY provider, category, position DESC;
+
+  UPDATE providers SET data = json_remove(data, '$.history') WHERE json_valid(data) AND json_type(data, '$.history') IS NOT NULL;
+  DROP TABLE archived_history;
+  `
+];
+
+// Writing the lock takes milliseconds, an unreadable lock older than this was left by a crash right after creating it
+const UNREADABLE_LOCK_MS = 10 * 1000;
+
+let sqlPromise = null;
+const stores = new Map();
+
+export class MetadataStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    this.dbFile = process.env.METADATA_DB_FILE || path.join(baseDir, 'metadata.sqlite');
+    this.lockFile = `${this.dbFile}.lock`;
+    this.backupFile = `${this.dbFile}.bak`;
+    this.lockTimeoutMs = parseInt(process.env.METADATA_LOCK_TIMEOUT_MS) || 30000;
+    this.db = null;
+    this.loadedMtime = null;
+    this.lockToken = null;
+    this.backupTaken = false;
+    this.queue = Promise.resolve();
+  }
+
+  static forDirectory(baseDir) {
+    // One store per database file, all writers in the process share its queue
+    const key = path.resolve(process.env.METADATA_DB_FILE || path.join(baseDir, 'metadata.sqlite'));
+    if (!stores.has(key)) {
+      stores.set(key, new MetadataStore(baseDir));
+    }
+    return stores.get(key);
+  }
+
+  async getFileMtime() {
+    try {
+      return (await fs.stat(this.dbFile)).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async readLock() {
+    try {
+      return JSON.parse(await fs.readFile(this.lockFile, 'utf-8'));
+    } catch (error) {
+      // Lock vanished or was only half written
+      return null;
+    }
+  }
+
+  async isStaleLock() {
+    // Only a lock whose process is gone is stale, a slow writer keeps its lock however long it takes
+    const lock = await this.readLock();
+    if (!lock) {
+      try {
+        const stats = await fs.stat(this.lockFile);
+        return Date.now() - stats.mtimeMs > UNREADABLE_LOCK_MS;
+      } catch (error) {
+        // Lock vanished, the next attempt takes it
+        return false;
+      }
+    }
+
+    // Our PID but not our token: left by an earlier process with the same PID, e.g. PID 1 in a container
+    if (lock.pid === process.pid) {
+      return lock.token !== this.lockToken;
+    }
+
+    try {
+      process.kill(lock.pid, 0);
+      return false;
+    } catch (error) {
+      // EPERM means the process exists but belongs to another user
+      return error.code === 'ESRCH';
+    }
+  }
+
+  async withLock(callback) {
+    // The web server and CLI checks are separate processes writing the same file
+    const deadline = Date.now() + this.lockTimeoutMs;
+    await fs.mkdir(path.dirname(path.resolve(this.lockFile)), { recursive: true });
+
+    while (true) {
+      try {
+        const handle = await fs.open(this.lockFile, 'wx');
+        this.lockToken = crypto.randomUUID();
+        await handle.writeFile(JSON.stringify({ pid: process.pid, token: this.lockToken, acquiredAt: new Date().toISOString() }));
+        await handle.close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        if (await this.isStaleLock()) {
+          Logger.get('metadata').warn(`⚠️ Verwaiste Sperre ${this.lockFile} wird entfernt`);
+          await fs.rm(this.lockFile, { force: true });
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Metadaten-Datenbank ist seit ${this.lockTimeoutMs / 1000} Sekunden gesperrt (${this.lockFile})`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 50 + Math.random() * 100));
+      }
+    }
+
+    try {
+      return await callback();
+    } finally {
+      // Another process may have taken over a lock it wrongly considered stale, never remove its lock
+      const lock = await this.readLock();
+      if (lock?.pid === process.pid && lock.token === this.lockToken) {
+        await fs.rm(this.lockFile, { force: true });
+      }
+    }
+  }
+
+  async open() {
+    if (!sqlPromise) {
+      sqlPromise = initSqlJs();
+    }
+    const SQL = await sqlPromise;
+
+    // sql.js works in memory, reload when another process (e.g. a CLI check) has written the file
+    const mtime = await this.getFileMtime();
+    if (this.db && mtime === this.loadedMtime) {
+      return this.db;
+    }
+
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+
+    let created = false;
+    if (mtime !== null) {
+      this.db = this.loadDatabase(SQL, await fs.readFile(this.dbFile));
+      await this.backup();
+    } else {
+      // A missing database next to a backup means it was lost, starting empty would re-download everything
+      if (await this.fileExists(this.backupFile)) {
+        throw new Error(`Metadaten-Datenbank ${this.dbFile} fehlt, es existiert aber ein Backup. Bitte ${this.backupFile} nach ${this.dbFile} kopieren`);
+      }
+      this.db = new SQL.Database();
+      created = true;
+    }
+    this.loadedMtime = mtime;
+
+    try {
+      const applied = await this.migrate();
+      if (created) {
+        await this.importJson();
+      }
+      if (created || applied) {
+        await this.persist();
+      }
+    } catch (error) {
+      // Never keep working on a half migrated or half imported state
+      this.db.close();
+      this.db = null;
+      throw error;
+    }
+
+    return this.db;
+  }
+
+  async backup() {
+    // The file has just passed the integrity check, keep it as the last good copy.
+    // Once per process and again before a migration, not on every write
+    const pending = this.db.exec('PRAGMA user_version')[0].values[0][0] < MIGRATIONS.length;
+    if (this.backupTaken && !pending) {
+      return;
+    }
+
+    await fs.copyFile(this.dbFile, this.backupFile);
+    this.backupTaken = true;
+  }
+
+  async fileExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  loadDatabase(SQL, buffer) {
+    // Fail loudly, an empty state would make every provider download everything again
+    let db;
+    try {
+      db = new SQL.Database(buffer);
+      const result = db.exec('PRAGMA quick_check')[0].values[0][0];
+      if (result !== 'ok') {
+        throw new Error(result);
+      }
+      return db;
+    } catch (error) {
+      db?.close();
+      throw new Error(`Metadaten-Datenbank ${this.dbFile} ist beschädigt (${error.message}). Letzte funktionierende Kopie: ${this.backupFile}`);
+    }
+  }
+
+  async migrate() {
+    const currentVersion = this.db.exec('PRAGMA user_version')[0].values[0][0];
+    
+    if (currentVersion > MIGRATIONS.length) {
+      throw new Error(`Metadaten-Datenbank hat Schema-Version ${currentVersion}, diese Version unterstützt nur bis ${MIGRATIONS.length}`);
+    }
+
+    for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+      this.db.exec('BEGIN');
+      try {
+        this.db.exec(MIGRATIONS[version]);
+        this.db.exec(`PRAGMA user_version = ${version + 1}`);
+        this.db.exec('COMMIT');
+      } catch (error) {
+        this.db.exec('ROLLBACK');
+        throw new Error(`Migration ${version + 1} der Metadaten-Datenbank fehlgeschlagen: ${error.message}`);
+      }
+    }
+
+    return currentVersion < MIGRATIONS.length;
+  }
+
+  async readJson(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      return null;
+    }
+
+    // A damaged file must stop the import, skipping it would lose its metadata
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`${filePath} kann nicht gelesen werden (${error.message}), Import abgebrochen`);
+    }
+  }
+
+  async importJson() {
+    // One-time import of the JSON files used before the database existed
+    const globalPath = path.join(this.baseDir, 'global_metadata.json');
+    const global = await this.readJson(globalPath);
+    const providers = { ...(global?.providers || {}) };
+    const importedFiles = global ? [globalPath] : [];
+
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.baseDir, { withFileTypes: true });
+    } catch (error) {
+      // Download directory does not exist yet
+    }
+
+    // The per-provider files were written together with the global one, but are the source the providers read
+    for (const entry of entries.filter(entry => entry.isDirectory())) {
+      const providerPath = path.join(this.baseDir, entry.name, `${entry.name}_metadata.json`);
+      const providerData = await this.readJson(providerPath);
+      if (providerData) {
+        providers[entry.name] = { ...providers[entry.name], ...providerData };
+        importedFiles.push(providerPath);
+      }
+    }
+
+    const runsPath = process.env.RUN_HISTORY_FILE || path.join(this.baseDir, 'run_history.json');
+    const runHistory = await this.readJson(runsPath);
+    if (runHistory) {
+      importedFiles.push(runsPath);
+    }
+
+    if (importedFiles.length === 0) {
+      return;
+    }
+
+    this.db.exec('BEGIN');
+    try {
+      for (const [name, { downloads, lastUpdate, version, history, ...extra }] of Object.entries(providers)) {
+        this.upsertProvider(name, lastUpdate || null, extra);
+        for (const [category, download] of Object.entries(downloads || {})) {
+          this.upsertArtifact(name, category, download);
+        }
+        // The retention history was stored newest first
+        for (const [category, entries] of Object.entries(history || {})) {
+          for (const entry of [...entries].reverse()) {
+            this.upsertArchivedVersion(name, category, entry);
+          }
+        }
+      }
+      if (global?.lastGlobalUpdate) {
+        this.setSetting('lastGlobalUpdate', global.lastGlobalUpdate);
+      }
+      for (const run of runHistory?.runs || []) {
+        this.upsertRun(run);
+      }
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw new Error(`Import der JSON-Metadaten fehlgeschlagen: ${error.message}`);
+    }
+
+    // Keep the old files for reference, but make sure they are never imported twice
+    for (const filePath of importedFiles) {
+      await fs.rename(filePath, `${filePath}.migrated`);
+    }
+    Logger.get('metadata').info(`📦 ${importedFiles.length} JSON-Metadatendatei(en) nach ${this.dbFile} importiert`);
+  }
+
+  async persist() {
+    // Write to a temp file first, a crash while writing must not destroy the database
+    const tempFile = `${this.dbFile}.tmp`;
+    await fs.mkdir(path.dirname(path.resolve(this.dbFile)), { recursive: true });
+    
+    const handle = await fs.open(tempFile, 'w');
+    try {
+      await handle.writeFile(Buffer.from(this.db.export()));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    
+    await fs.rename(tempFile, this.dbFile);
+    this.loadedMtime = await this.getFileMtime();
+  }
+
+  async transaction(callback) {
+    // Providers run in parallel, every change is serialized and written as one unit
+    const run = this.queue.then(() => this.withLock(async () => {
+      await this.open();
+      this.db.exec('BEGIN');
+
+      let result;
+      try {
+        result = callback();
+        this.db.exec('COMMIT');
+      } catch (error) {
+        this.db.exec('ROLLBACK');
+        throw error;
+      }
+
+      await this.persist();
+      return result;
+    }));
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async read(callback) {
+    const run = this.queue.then(() => this.withLock(async () => {
+      await this.open();
+      return callback();
+    }));
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  query(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    const rows = [];
+    try {
+      statement.bind(params);
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+    } finally {
+      statement.free();
+    }
+    return rows;
+  }
+
+  setSetting(key, value) {
+    this.db.run('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value', [key, value]);
+  }
+
+  getSetting(key) {
+    return this.query('SELECT value FROM settings WHERE key = ?', [key])[0]?.value ?? null;
+  }
+
+  upsertProvider(name, lastUpdate, extra = null) {
+    // extra holds provider level state like anomalies, null keeps the stored value
+    this.db.run(
+      `INSERT INTO providers (name, last_update, data) VALUES (?, ?, ?)
+       ON CONFLICT (name) DO UPDATE SET last_update = excluded.last_update, data = COALESCE(excluded.data, providers.data)`,
+      [name, lastUpdate, extra ? JSON.stringify(extra) : null]
+    );
+  }
+
+  upsertArtifact(provider, category, download) {
+    this.db.run(
+      `INSERT INTO artifacts (provider, category, display_name, version, file_name, file_size, sha256, downloaded_at, data)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (provider, category) DO UPDATE SET
+         display_name = excluded.display_name, version = excluded.version, file_name = excluded.file_name,
+         file_size = excluded.file_size, sha256 = excluded.sha256, downloaded_at = excluded.downloaded_at, data = excluded.data`,
+      [
+        provider,
+        category,
+        download.displayName || null,
+        download.version || null,
+        download.fileName || null,
+        download.fileSize || null,
+        download.sha256 || null,
+        download.downloadedAt || null,
+        JSON.stringify(download)
+      ]
+    );
+
+    // Version history: a new file supersedes the previous one of the category
+    const latest = this.query(
+      'SELECT id, file_name FROM versions WHERE provider = ? AND category = ? AND superseded_at IS NULL ORDER BY id DESC LIMIT 1',
+      [provider, category]
+    )[0];
+    if (latest && latest.file_name === (download.fileName || null)) {
+      return;
+    }
+    if (latest) {
+      this.db.run('UPDATE versions SET superseded_at = ? WHERE id = ?', [new Date().toISOString(), latest.id]);
+    }
+    this.db.run(
+      'INSERT INTO versions (provider, category, version, file_name, file_size, sha256, downloaded_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [provider, category, download.version || null, download.fileName || null, download.fileSize || null, download.sha256 || null, download.downloadedAt || null]
+    );
+  }
+
+  upsertArchivedVersion(provider, category, entry) {
+    // The archived file is usually the version that was just superseded, otherwise it gets its own row
+    const archivedAt = entry.archivedAt || new Date().toISOString();
+    const existing = this.query(
+      'SELECT id FROM versions WHERE provider = ? AND category = ? AND file_name = ? ORDER BY id DESC LIMIT 1',
+      [provider, category, entry.fileName]
+    )[0];
+
+    if (existing) {
+      this.db.run(
+        'UPDATE versions SET archive_path = ?, archived_at = ?, superseded_at = COALESCE(superseded_at, ?) WHERE id = ?',
+        [entry.archivePath, archivedAt, archivedAt, existing.id]
+      );
+      return;
+    }
+
+    this.db.run(
+      `INSERT INTO versions (provider, category, version, file_name, file_size, sha256, downloaded_at, superseded_at, archive_path, archived_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [provider, category, entry.version || null, entry.fileName, entry.fileSize || null, entry.sha256 || null, entry.downloadedAt || null, archivedAt, entry.archivePath, archivedAt]
+    );
+  }
+
+  upsertRun(run) {
+    this.db.run(
+      `INSERT INTO runs (id, provider, trigger, started_at, finished_at, duration_ms, login, outcome, bytes, data)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (id) DO UPDATE SET
+         finished_at = excluded.finished_at, duration_ms = excluded.duration_ms, login = excluded.login,
+         outcome = excluded.outcome, bytes = excluded.bytes, data = excluded.data`,
+      [run.id, run.provider, run.trigger, run.startedAt, run.finishedAt, run.durationMs, run.login, run.outcome, run.bytes || 0, JSON.stringify(run)]
+    );
+  }
+
+  getProviders() {
+    const providers = {};
+
+    for (const row of this.query('SELECT name, last_update, version, data FROM providers ORDER BY name')) {
+      providers[row.name] = { ...JSON.parse(row.data || '{}'), lastUpdate: row.last_update, version: row.version, downloads: {} };
+    }
+    for (const row of this.query('SELECT provider, category, data FROM artifacts ORDER BY provider, category')) {
+      if (!providers[row.provider]) {
+        providers[row.provider] = { lastUpdate: null, version: '1.0.0', downloads: {} };
+      }
+      providers[row.provider].downloads[row.category] = JSON.parse(row.data);
+    }
+
+    return providers;
+  }
+}
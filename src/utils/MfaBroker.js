@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+
+export class MfaBroker {
+  constructor() {
+    this.pending = new Map();
+  }
+
+  requestCode(providerName, options = {}) {
+    const timeoutMs = options.timeoutMs || 5 * 60 * 1000;
+    const id = crypto.randomUUID();
+
+    // The provider waits on this promise until an operator submits the code in the dashboard
+    return new Promise((resolve, reject) => {
+      if (options.signal?.aborted) {
+        reject(new Error('MFA-Anfrage abgebrochen'));
+        return;
+      }
+
+      const onAbort = () => this.cancel(id);
+      const settle = () => {
+        clearTimeout(timer);
+        options.signal?.removeEventListener('abort', onAbort);
+        this.pending.delete(id);
+      };
+      const timer = setTimeout(() => {
+        settle();
+        reject(new Error(`Kein MFA-Code innerhalb von ${Math.round(timeoutMs / 1000)} Sekunden eingegeben`));
+      }, timeoutMs);
+
+      this.pending.set(id, {
+        id,
+        provider: providerName,
+        message: options.message || 'Bitte den Bestätigungscode eingeben',
+        requestedAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + timeoutMs).toISOString(),
+        resolve: code => {
+          settle();
+          resolve(code);
+        },
+        reject: error => {
+          settle();
+          reject(error);
+        }
+      });
+      options.signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  getPending() {
+    return Array.from(this.pending.values()).map(({ resolve, reject, ...request }) => request);
+  }
+
+  submitCode(id, code) {
+    const request = this.pending.get(id);
+    if (!request) {
+      return false;
+    }
+
+    request.resolve(String(code).trim());
+    return true;
+  }
+
+  cancel(id) {
+    const request = this.pending.get(id);
+    if (!request) {
+      return false;
+    }
+
+    request.reject(new Error('MFA-Anfrage abgebrochen'));
+    return true;
+  }
+}
+
+// Shared instance, providers and the web server run in the same process
+export const mfaBroker = new MfaBroker();
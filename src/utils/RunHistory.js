@@ -0,0 +1,82 @@
+import dotenv from 'dotenv';
+import { MetadataStore } from './MetadataStore.js';
+
+// Load environment variables
+dotenv.config();
+
+export class RunHistory {
+  constructor(options = {}) {
+    this.store = options.store || MetadataStore.forDirectory(process.env.DOWNLOAD_DIR || '/mnt/storagebox/providers');
+    this.maxRuns = parseInt(process.env.RUN_HISTORY_MAX_RUNS) || 1000;
+  }
+
+  async save(run) {
+    await this.store.transaction(() => {
+      this.store.upsertRun(run);
+
+      // Only the newest runs are kept
+      this.store.db.run(
+        'DELETE FROM runs WHERE id NOT IN (SELECT id FROM runs ORDER BY started_at DESC LIMIT ?)',
+        [this.maxRuns]
+      );
+    });
+  }
+
+  static summarize(run) {
+    // The list only carries counts, the details are available per run
+    const { discovered, downloaded, errors, interruptions, deferred, ...summary } = run;
+    return {
+      ...summary,
+      discoveredCount: discovered?.length || 0,
+      downloadedCount: downloaded?.length || 0,
+      errorCount: errors?.length || 0,
+      interruptionCount: interruptions?.length || 0,
+      deferredCount: deferred?.length || 0
+    };
+  }
+
+  async list(filter = {}) {
+    const conditions = [];
+    const params = [];
+
+    for (const [key, column] of [['provider', 'provider'], ['trigger', 'trigger'], ['outcome', 'outcome']]) {
+      if (filter[key]) {
+        conditions.push(`${column} = ?`);
+        params.push(filter[key]);
+      }
+    }
+    if (filter.since) {
+      conditions.push('started_at >= ?');
+      params.push(filter.since);
+    }
+    if (filter.until) {
+      conditions.push('started_at <= ?');
+      params.push(filter.until);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = parseInt(filter.offset) || 0;
+    const limit = parseInt(filter.limit) || 50;
+
+    return await this.store.read(() => {
+      const total = this.store.query(`SELECT COUNT(*) AS total FROM runs ${where}`, params)[0].total;
+      const rows = this.store.query(
+        `SELECT data FROM runs ${where} ORDER BY started_at DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      return {
+        total,
+        runs: rows.map(row => RunHistory.summarize(JSON.parse(row.data)))
+      };
+    });
+  }
+
+  async get(id) {
+    const rows = await this.store.read(() => this.store.query('SELECT data FROM runs WHERE id = ?', [id]));
+    return rows.length > 0 ? JSON.parse(rows[0].data) : null;
+  }
+}
+
+// Shared instance, providers and the web server write to the same database
+export const runHistory = new RunHistory();
@@ -0,0 +1,74 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Cipher } from './Cipher.js';
+
+export class SessionStore {
+  constructor(providerName) {
+    this.providerName = providerName;
+    this.sessionDir = process.env.SESSION_DIR || './sessions';
+    this.maxAgeHours = parseInt(process.env.SESSION_MAX_AGE_HOURS) || 72;
+
+    // Cookies are as good as a password, so sessions are only stored encrypted
+    this.cipher = process.env.SESSION_ENCRYPTION_KEY ? new Cipher(process.env.SESSION_ENCRYPTION_KEY) : null;
+  }
+
+  isEnabled() {
+    return this.cipher !== null;
+  }
+
+  getSessionPath() {
+    return path.join(this.sessionDir, `${this.providerName}.session`);
+  }
+
+  async load() {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = await fs.readFile(this.getSessionPath(), 'utf-8');
+    } catch (error) {
+      return null;
+    }
+
+    try {
+      const session = JSON.parse(this.cipher.decrypt(payload));
+      const ageHours = (Date.now() - new Date(session.savedAt).getTime()) / (60 * 60 * 1000);
+
+      if (!(ageHours <= this.maxAgeHours)) {
+        await this.clear();
+        return null;
+      }
+
+      return session.storageState;
+    } catch (error) {
+      // Wrong key or damaged file - the session is useless either way
+      await this.clear();
+      return null;
+    }
+  }
+
+  async save(storageState) {
+    if (!this.isEnabled()) {
+      return false;
+    }
+
+    const payload = this.cipher.encrypt(JSON.stringify({
+      savedAt: new Date().toISOString(),
+      storageState
+    }));
+
+    await fs.mkdir(this.sessionDir, { recursive: true, mode: 0o700 });
+    await fs.writeFile(this.getSessionPath(), payload, { mode: 0o600 });
+    return true;
+  }
+
+  async clear() {
+    try {
+      await fs.unlink(this.getSessionPath());
+    } catch (error) {
+      // No stored session - nothing to do
+    }
+  }
+}
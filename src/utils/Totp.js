@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+
+export class Totp {
+  constructor(secret, options = {}) {
+    this.key = Totp.decodeBase32(secret);
+    this.digits = options.digits || 6;
+    this.period = options.period || 30;
+    this.algorithm = options.algorithm || 'sha1';
+  }
+
+  static decodeBase32(secret) {
+    // Authenticator apps show the secret in groups and sometimes lowercase
+    const value = String(secret || '').replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+    if (!value) {
+      throw new Error('TOTP-Secret ist leer');
+    }
+
+    let bits = '';
+    for (const char of value) {
+      const index = alphabet.indexOf(char);
+      if (index === -1) {
+        throw new Error(`Ungültiges Zeichen im TOTP-Secret: ${char}`);
+      }
+      bits += index.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  generate(timestamp = Date.now()) {
+    // RFC 6238: HOTP over the number of periods since the epoch
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(timestamp / 1000 / this.period)));
+
+    const hmac = crypto.createHmac(this.algorithm, this.key).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** this.digits);
+
+    return String(code).padStart(this.digits, '0');
+  }
+
+  getRemainingSeconds(timestamp = Date.now()) {
+    return this.period - Math.floor(timestamp / 1000) % this.period;
+  }
+}
@@ -0,0 +1,79 @@
+export class VersionComparator {
+  constructor() {
+    // Order matters: the more specific formats have to be checked first
+    this.formats = [
+      {
+        // VW/ODIS: 25_1_0_20250820 or 25_1_0-EU_20250820
+        name: 'odis',
+        pattern: /^(\d+)_(\d+)_(\d+)([A-Z-]*)_(\d{8})$/i,
+        parse: match => ({ parts: [match[1], match[2], match[3], match[5]].map(Number), variant: match[4] || '' })
+      },
+      {
+        // ISO date: 2025-02-03
+        name: 'date',
+        pattern: /^(\d{4})-(\d{2})-(\d{2})$/,
+        parse: match => ({ parts: [match[1], match[2], match[3]].map(Number), variant: '' })
+      },
+      {
+        // Dashed: 04-25-10
+        name: 'dashed',
+        pattern: /^\d+(-\d+)+$/,
+        parse: match => ({ parts: match[0].split('-').map(Number), variant: '' })
+      },
+      {
+        // Dotted: 3.74.0.930, 4.53.30
+        name: 'dotted',
+        pattern: /^\d+(\.\d+)+$/,
+        parse: match => ({ parts: match[0].split('.').map(Number), variant: '' })
+      }
+    ];
+  }
+
+  parse(version) {
+    if (!version || version === 'unknown') {
+      return null;
+    }
+
+    const value = String(version).trim();
+
+    for (const format of this.formats) {
+      const match = value.match(format.pattern);
+      if (match) {
+        return { format: format.name, ...format.parse(match) };
+      }
+    }
+
+    return null;
+  }
+
+  isKnown(version) {
+    return this.parse(version) !== null;
+  }
+
+  // Returns -1, 0 or 1 like a sort comparator, or null if the versions can't be compared
+  compare(a, b) {
+    const versionA = this.parse(a);
+    const versionB = this.parse(b);
+
+    if (!versionA || !versionB) {
+      return null;
+    }
+
+    // Different formats (e.g. a date vs. a build number) say nothing about the order
+    if (versionA.format !== versionB.format || versionA.variant !== versionB.variant) {
+      return null;
+    }
+
+    const length = Math.max(versionA.parts.length, versionB.parts.length);
+    for (let i = 0; i < length; i++) {
+      const partA = versionA.parts[i] || 0;
+      const partB = versionB.parts[i] || 0;
+
+      if (partA !== partB) {
+        return partA > partB ? 1 : -1;
+      }
+    }
+
+    return 0;
+  }
+}
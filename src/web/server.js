@@ -5,6 +5,13 @@ import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { MetadataManager } from '../utils/MetadataManager.js';
+import { IntegrityChecker } from '../utils/IntegrityChecker.js';
+import { providerRegistry } from '../base/ProviderRegistry.js';
+import { mfaBroker } from '../utils/MfaBroker.js';
+import { credentialVault, CredentialVault } from '../utils/CredentialVault.js';
+import { DiagnosticsStore } from '../utils/DiagnosticsStore.js';
+import { runHistory } from '../utils/RunHistory.js';
+import { eventBus } from '../utils/EventBus.js';
 import cron from 'node-cron';
 import dotenv from 'dotenv';
 
@@ -21,9 +28,12 @@ class WebServer {
     this.downloadDir = process.env.DOWNLOAD_DIR || '/mnt/storagebox/providers';
     this.baseUrl = process.env.BASE_URL || `http://localhost:${this.port}`;
     this.metadataManager = new MetadataManager(this.downloadDir);
+    this.integrityChecker = new IntegrityChecker(this.downloadDir);
+    this.diagnosticsStore = new DiagnosticsStore();
     this.checkIntervalHours = parseInt(process.env.CHECK_INTERVAL_HOURS) || 6;
     this.nextCheckTime = null;
     this.cronJob = null;
+    this.lastScheduledRuns = new Map();
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -46,9 +56,10 @@ class WebServer {
         return next();
       }
       
+      // Bei jedem Request neu lesen, damit ein rotiertes Passwort sofort gilt
       const auth = basicAuth({
         users: { 
-          [process.env.WEB_USERNAME || 'admin']: process.env.WEB_PASSWORD || 'admin123'
+          [credentialVault.get('WEB_USERNAME') || 'admin']: credentialVault.get('WEB_PASSWORD') || 'admin123'
         },
         challenge: true,
         realm: 'IAM-NET GmbH Fileserver'
@@ -59,63 +70,109 @@ class WebServer {
   }
 
   setupCronJob() {
-    // Berechne nächste Check-Zeit
-    this.updateNextCheckTime();
-    
-    // Cron-Job alle 6 Stunden (0 */6 * * *)
-    const cronExpression = `0 */${this.checkIntervalHours} * * *`;
+    // Cron-Job jede volle Stunde, jeder Provider/Account läuft nach seinem eigenen Intervall
+    const cronExpression = '0 * * * *';
     this.cronJob = cron.schedule(cronExpression, async () => {
       console.log(`🔄 Automatischer Check gestartet um ${new Date().toLocaleString('de-DE')}`);
-      await this.runScheduledCheck();
-      this.updateNextCheckTime();
+      await this.runScheduledCheck(new Date());
+      await this.updateNextCheckTime();
+      eventBus.publish('next_check', {
+        nextCheckTime: this.nextCheckTime?.toISOString(),
+        nextCheckTimeFormatted: this.nextCheckTime?.toLocaleString('de-DE')
+      });
     }, {
       scheduled: false
     });
     
-    console.log(`⏰ Cron-Job konfiguriert: Alle ${this.checkIntervalHours} Stunden`);
-    console.log(`📅 Nächster Check: ${this.nextCheckTime?.toLocaleString('de-DE')}`);
+    console.log(`⏰ Cron-Job konfiguriert: Standard-Intervall ${this.checkIntervalHours} Stunden`);
+    
+    // Berechne nächste Check-Zeit
+    this.updateNextCheckTime()
+      .then(() => console.log(`📅 Nächster Check: ${this.nextCheckTime?.toLocaleString('de-DE')}`))
+      .catch(error => console.error(`❌ Fehler beim Berechnen des nächsten Checks: ${error.message}`));
+  }
+
+  async getLastScheduledRun(name) {
+    if (this.lastScheduledRuns.has(name)) {
+      return this.lastScheduledRuns.get(name);
+    }
+    
+    // Nach einem Neustart gilt die letzte Aktualisierung aus den Metadaten
+    const status = await this.metadataManager.getProviderStatus(name);
+    return status?.lastUpdate ? new Date(status.lastUpdate) : null;
+  }
+
+  async getNextScheduledRun(name) {
+    const lastRun = await this.getLastScheduledRun(name);
+    if (!lastRun) {
+      return null;
+    }
+    
+    return new Date(lastRun.getTime() + providerRegistry.getCheckIntervalHours(name) * 60 * 60 * 1000);
   }
 
-  updateNextCheckTime() {
-    const now = new Date();
-    const nextCheck = new Date(now.getTime() + (this.checkIntervalHours * 60 * 60 * 1000));
-    this.nextCheckTime = nextCheck;
+  async updateNextCheckTime() {
+    await providerRegistry.load();
+    
+    // Frühestens zur nächsten vollen Stunde, dann läuft der Cron-Job wieder
+    const nextTick = new Date();
+    nextTick.setMinutes(0, 0, 0);
+    nextTick.setHours(nextTick.getHours() + 1);
+    
+    let nextCheck = null;
+    for (const definition of providerRegistry.getConfigured()) {
+      const nextRun = await this.getNextScheduledRun(definition.name);
+      const due = !nextRun || nextRun < nextTick ? nextTick : nextRun;
+      if (!nextCheck || due < nextCheck) {
+        nextCheck = due;
+      }
+    }
+    
+    this.nextCheckTime = nextCheck || new Date(Date.now() + (this.checkIntervalHours * 60 * 60 * 1000));
   }
 
-  async runScheduledCheck() {
+  async runScheduledCheck(tickTime = new Date()) {
+    if (!this.manager) {
+      console.error('❌ Manager nicht verfügbar, automatischer Check übersprungen');
+      return;
+    }
+    
     try {
-      // Importiere die Provider dynamisch
-      const { BMWProvider } = await import('../providers/BMWProvider.js');
-      const { VWProvider } = await import('../providers/VWProvider.js');
-      
-      const providers = [];
+      // Alle fälligen Provider aus der Registry einplanen
+      await providerRegistry.load();
       
-      // Initialisiere Provider basierend auf Umgebungsvariablen
-      if (process.env.BMW_USERNAME && process.env.BMW_PASSWORD) {
-        const bmwProvider = new BMWProvider();
-        providers.push({ name: 'bmw', provider: bmwProvider });
+      const jobs = [];
+      for (const definition of providerRegistry.getConfigured()) {
+        const nextRun = await this.getNextScheduledRun(definition.name);
+        
+        // Eine Minute Toleranz, der Cron-Job startet nicht auf die Millisekunde genau
+        if (nextRun && nextRun.getTime() - tickTime.getTime() > 60 * 1000) {
+          continue;
+        }
+        
+        // Läuft der Provider noch (z.B. manueller Check), wartet der Zeitplan auf den nächsten Tick
+        if (this.manager.jobQueue.getActive(definition.name)) {
+          console.log(`⏭️ ${definition.name.toUpperCase()} läuft bereits, automatischer Check übersprungen`);
+          continue;
+        }
+        
+        // Zeitpunkt des Ticks merken, damit spätere Provider im selben Lauf nicht verrutschen
+        this.lastScheduledRuns.set(definition.name, tickTime);
+        console.log(`🔍 Plane automatischen Check für ${definition.name.toUpperCase()} ein...`);
+        jobs.push(this.manager.submitCheck(definition.name, { trigger: 'scheduled' }));
       }
       
-      if (process.env.VW_USERNAME && process.env.VW_PASSWORD) {
-        const vwProvider = new VWProvider();
-        providers.push({ name: 'vw', provider: vwProvider });
+      if (jobs.length === 0) {
+        console.log('⏭️ Kein Provider fällig');
+        return;
       }
       
-      // Führe Check für alle Provider durch
-      for (const { name, provider } of providers) {
-        try {
-          console.log(`🔍 Führe automatischen Check für ${name.toUpperCase()} durch...`);
-          await provider.initialize();
-          await provider.checkForUpdates();
-          await provider.cleanup();
-          console.log(`✅ Automatischer Check für ${name.toUpperCase()} abgeschlossen`);
-        } catch (error) {
-          console.error(`❌ Fehler beim automatischen Check von ${name.toUpperCase()}: ${error.message}`);
-          try {
-            await provider.cleanup();
-          } catch (cleanupError) {
-            console.error(`❌ Fehler beim Aufräumen von ${name.toUpperCase()}: ${cleanupError.message}`);
-          }
+      // Die Job-Queue führt die Checks aus, hier wird nur auf das Ende gewartet
+      for (const job of await Promise.all(jobs.map(job => this.manager.jobQueue.wait(job.id)))) {
+        if (job.state === 'finished') {
+          console.log(`✅ Automatischer Check für ${job.provider.toUpperCase()} abgeschlossen`);
+        } else {
+          console.error(`❌ Automatischer Check von ${job.provider.toUpperCase()}: ${job.error || job.state}`);
         }
       }
       
@@ -158,12 +215,29 @@ class WebServer {
       }
     });
 
-    this.app.get('/api/next-check', (req, res) => {
+    this.app.get('/api/next-check', async (req, res) => {
+      // Fälligkeit pro Provider/Account, die Intervalle können sich unterscheiden
+      const providers = {};
+      try {
+        await providerRegistry.load();
+        for (const definition of providerRegistry.getConfigured()) {
+          const nextRun = await this.getNextScheduledRun(definition.name);
+          providers[definition.name] = {
+            displayName: definition.displayName,
+            checkIntervalHours: providerRegistry.getCheckIntervalHours(definition.name),
+            nextCheckTime: nextRun?.toISOString() || null
+          };
+        }
+      } catch (error) {
+        console.warn('Fehler beim Ermitteln der Provider-Intervalle:', error.message);
+      }
+      
       res.json({
         nextCheckTime: this.nextCheckTime?.toISOString(),
         nextCheckTimeFormatted: this.nextCheckTime?.toLocaleString('de-DE'),
         checkIntervalHours: this.checkIntervalHours,
-        cronJobRunning: this.cronJob?.running || false
+        cronJobRunning: this.cronJob?.running || false,
+        providers
       });
     });
 
@@ -223,7 +297,9 @@ class WebServer {
             totalSize: files.reduce((sum, file) => sum + file.size, 0),
             actualFiles: actualFileCount,
             actualTotalSize: actualTotalSize,
-            actualTotalSizeFormatted: this.formatFileSize(actualTotalSize)
+            actualTotalSizeFormatted: this.formatFileSize(actualTotalSize),
+            // Außerhalb des Download-Fensters gefunden, wird beim Öffnen des Fensters geladen
+            pendingDownloads: Object.entries(providerData.pendingDownloads || {}).map(([category, pending]) => ({ category, ...pending }))
           };
           
           totalFiles += files.length;
@@ -252,12 +328,27 @@ class WebServer {
 
     this.app.get('/api/providers', async (req, res) => {
       try {
-        const providers = await this.metadataManager.getAllProvidersStatus();
+        const providers = { ...await this.metadataManager.getAllProvidersStatus() };
+        
+        // Konfigurierte Provider/Accounts ohne bisherigen Lauf trotzdem anzeigen
+        await providerRegistry.load();
+        for (const definition of providerRegistry.getConfigured()) {
+          if (!providers[definition.name]) {
+            providers[definition.name] = { lastUpdate: null, downloads: {}, status: 'Inaktiv' };
+          }
+        }
         
         // Erweitere Provider-Daten mit tatsächlichen Datei-Informationen
         const enhancedProviders = {};
         
         for (const [providerName, providerData] of Object.entries(providers)) {
+          const definition = providerRegistry.get(providerName);
+          const registryData = {
+            displayName: definition?.displayName || providerName.toUpperCase(),
+            account: definition?.account || null,
+            baseProvider: definition?.ProviderClass.providerName || providerName
+          };
+          
           try {
             const providerDir = path.join(this.downloadDir, providerName);
             
@@ -266,6 +357,7 @@ class WebServer {
             
             enhancedProviders[providerName] = {
               ...providerData,
+              ...registryData,
               downloadCount: result.fileCount,
               totalSize: this.formatFileSize(result.totalSize),
               actualFiles: result.fileCount,
@@ -277,6 +369,7 @@ class WebServer {
             console.warn(`Fehler beim Verarbeiten von Provider ${providerName}:`, error.message);
             enhancedProviders[providerName] = {
               ...providerData,
+              ...registryData,
               downloadCount: 0,
               totalSize: '0 GB',
               actualFiles: 0,
@@ -293,10 +386,23 @@ class WebServer {
       }
     });
 
+    // Alle registrierten Provider (auch nicht konfigurierte)
+    this.app.get('/api/registry', async (req, res) => {
+      try {
+        await providerRegistry.load();
+        res.json(providerRegistry.describe());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     this.app.get('/api/files/:provider', async (req, res) => {
       try {
         const provider = req.params.provider;
-        const providerDir = path.join(this.downloadDir, provider);
+        const providerDir = this.resolveProviderPath(provider);
+        if (!providerDir) {
+          return res.status(400).json({ error: 'Ungültiger Provider' });
+        }
         
         // Prüfe ob Provider-Verzeichnis existiert
         try {
@@ -313,8 +419,8 @@ class WebServer {
           const filePath = path.join(providerDir, file);
           const stats = await fs.stat(filePath);
           
-          // Überspringe Verzeichnisse und JSON-Dateien
-          if (stats.isDirectory() || file.endsWith('.json')) {
+          // Überspringe Verzeichnisse, JSON-Dateien, Prüfsummen-Dateien und unvollständige Downloads
+          if (stats.isDirectory() || file.endsWith('.json') || this.integrityChecker.isSidecarFile(file) || file.endsWith('.part')) {
             continue;
           }
 
@@ -323,6 +429,7 @@ class WebServer {
             size: stats.size,
             sizeFormatted: this.formatFileSize(stats.size),
             modified: stats.mtime,
+            sha256: await this.integrityChecker.readSidecar(filePath),
             downloadUrl: `${this.baseUrl}/api/download/${provider}/${encodeURIComponent(file)}`
           });
         }
@@ -330,9 +437,14 @@ class WebServer {
         // Sortiere nach Änderungsdatum (neueste zuerst)
         fileList.sort((a, b) => new Date(b.modified) - new Date(a.modified));
 
+        // Archivierte Versionen (archive/<kategorie>/) ebenfalls auflisten
+        const archivedFiles = await this.listArchivedFiles(provider);
+        fileList.push(...archivedFiles);
+
         res.json({
           provider,
           files: fileList,
+          archivedFiles: archivedFiles.length,
           totalFiles: fileList.length,
           totalSize: fileList.reduce((sum, file) => sum + file.size, 0)
         });
@@ -345,45 +457,227 @@ class WebServer {
       try {
         const provider = req.params.provider;
         const filename = decodeURIComponent(req.params.filename);
-        const filePath = path.join(this.downloadDir, provider, filename);
+        const filePath = this.resolveProviderPath(provider, filename);
 
-        // Prüfe ob Datei existiert
-        try {
-          await fs.access(filePath);
-        } catch {
-          return res.status(404).json({ error: 'Datei nicht gefunden' });
+        // Nur Dateien innerhalb des Provider-Verzeichnisses zulassen
+        if (!filePath || filePath === this.resolveProviderPath(provider)) {
+          return res.status(400).json({ error: 'Ungültiger Dateipfad' });
         }
 
-        // Setze Download-Header
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.setHeader('Content-Type', 'application/octet-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        
-        // Stream die Datei mit createReadStream für bessere Performance
-        const { createReadStream } = await import('fs');
-        const fileStream = createReadStream(filePath);
+        await this.sendDownload(res, filePath, path.basename(filePath));
+      } catch (error) {
+        console.error('Download-Fehler:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/download/:provider/archive/:category/:filename', async (req, res) => {
+      try {
+        const provider = req.params.provider;
+        const category = decodeURIComponent(req.params.category);
+        const filename = decodeURIComponent(req.params.filename);
+        const archiveDir = this.resolveProviderPath(provider, 'archive');
+        const filePath = archiveDir && path.resolve(archiveDir, category, filename);
+
+        // Nur Dateien innerhalb des Archivs zulassen
+        if (!filePath || !filePath.startsWith(archiveDir + path.sep)) {
+          return res.status(400).json({ error: 'Ungültiger Dateipfad' });
+        }
+
+        await this.sendDownload(res, filePath, path.basename(filePath));
+      } catch (error) {
+        console.error('Download-Fehler:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Integritätsprüfung: Berechnet die SHA-256 Prüfsummen aller Dateien neu
+    this.app.post('/api/verify/:provider', async (req, res) => {
+      try {
+        const provider = req.params.provider;
+        if (!this.manager) {
+          return res.status(500).json({ error: 'Manager nicht verfügbar' });
+        }
+        if (!this.manager.providers.has(provider)) {
+          return res.status(404).json({ error: 'Provider nicht gefunden oder nicht konfiguriert' });
+        }
         
-        fileStream.on('error', (error) => {
-          console.error('Fehler beim Lesen der Datei:', error);
-          if (!res.headersSent) {
-            res.status(500).json({ error: 'Fehler beim Lesen der Datei' });
-          }
+        // Das Hashen großer Dateien dauert, als Job läuft es nie parallel zu einem Check desselben Providers.
+        // Das Ergebnis steht im Job (/api/jobs/:id) und kommt per SSE als job-Event
+        const job = this.manager.submitVerify(provider, { trigger: 'manual' });
+        res.status(202).json({
+          success: true,
+          job: { ...this.redactValues(job), url: `/api/jobs/${job.id}` },
+          message: `Prüfung für ${provider} eingeplant`
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // MFA: Provider warten auf einen Code, den ein Operator im Dashboard eingibt
+    this.app.get('/api/mfa', (req, res) => {
+      res.json(mfaBroker.getPending());
+    });
+
+    this.app.post('/api/mfa/:id', (req, res) => {
+      const code = String(req.body?.code || '').trim();
+      
+      if (!/^[0-9A-Za-z]{4,10}$/.test(code)) {
+        return res.status(400).json({ error: 'Ungültiger Code' });
+      }
+      
+      if (!mfaBroker.submitCode(req.params.id, code)) {
+        return res.status(404).json({ error: 'MFA-Anfrage nicht gefunden oder abgelaufen' });
+      }
+      
+      res.json({ success: true });
+    });
+
+    this.app.delete('/api/mfa/:id', (req, res) => {
+      if (!mfaBroker.cancel(req.params.id)) {
+        return res.status(404).json({ error: 'MFA-Anfrage nicht gefunden oder abgelaufen' });
+      }
+      
+      res.json({ success: true });
+    });
+
+    // Zugangsdaten der Portale: nur Namen und Herkunft, niemals die Werte
+    this.app.get('/api/credentials', async (req, res) => {
+      try {
+        res.json({
+          vaultEnabled: credentialVault.isEnabled(),
+          credentials: await this.getPortalCredentials()
         });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/credentials/:name', async (req, res) => {
+      try {
+        const name = req.params.name;
+        const value = req.body?.value;
         
-        fileStream.pipe(res);
+        if (!credentialVault.isEnabled()) {
+          return res.status(400).json({ error: 'Credential-Vault ist deaktiviert (VAULT_MASTER_KEY oder VAULT_KEY_FILE fehlt)' });
+        }
+        
+        const credentials = await this.getPortalCredentials();
+        if (!credentials.some(credential => credential.name === name)) {
+          return res.status(404).json({ error: `Unbekannte Zugangsdaten: ${name}` });
+        }
+        
+        if (typeof value !== 'string' || !value.trim()) {
+          return res.status(400).json({ error: 'Kein Wert angegeben' });
+        }
+        
+        credentialVault.set(name, value.trim());
+        console.log(`🔑 Zugangsdaten ${name} über das Dashboard aktualisiert`);
+        
+        res.json({ success: true, name });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Run-Historie: jeder Check (Cron, Dashboard/API, CLI) mit Ergebnis
+    this.app.get('/api/runs', async (req, res) => {
+      try {
+        const { provider, trigger, outcome, since, until, limit, offset } = req.query;
+        res.json(await runHistory.list({ provider, trigger, outcome, since, until, limit, offset }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/runs/:id', async (req, res) => {
+      try {
+        const run = await runHistory.get(req.params.id);
+        if (!run) {
+          return res.status(404).json({ error: 'Run nicht gefunden' });
+        }
+        res.json(run);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Diagnosedaten fehlgeschlagener Logins (Screenshot, HTML, Konsolenfehler, Trace)
+    this.app.get('/api/diagnostics', async (req, res) => {
+      try {
+        const providers = {};
+        for (const providerName of await this.diagnosticsStore.listProviders()) {
+          const entries = await this.diagnosticsStore.list(providerName);
+          providers[providerName] = {
+            count: entries.length,
+            lastCapturedAt: entries[0]?.capturedAt || null
+          };
+        }
+        res.json(providers);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/diagnostics/:provider', async (req, res) => {
+      try {
+        if (!DiagnosticsStore.isValidName(req.params.provider)) {
+          return res.status(400).json({ error: 'Ungültiger Provider' });
+        }
+        
+        const entries = await this.diagnosticsStore.list(req.params.provider);
+        res.json(entries.map(entry => ({
+          ...entry,
+          urls: Object.fromEntries(entry.files.map(file => [
+            file,
+            `${this.baseUrl}/api/diagnostics/${req.params.provider}/${entry.id}/${file}`
+          ]))
+        })));
       } catch (error) {
-        console.error('Download-Fehler:', error);
         res.status(500).json({ error: error.message });
       }
     });
 
+    this.app.get('/api/diagnostics/:provider/:id/:file', async (req, res) => {
+      const filePath = this.diagnosticsStore.getFilePath(req.params.provider, req.params.id, req.params.file);
+      if (!filePath) {
+        return res.status(400).json({ error: 'Ungültiger Pfad' });
+      }
+      
+      try {
+        await fs.access(filePath);
+      } catch (error) {
+        return res.status(404).json({ error: 'Datei nicht gefunden' });
+      }
+      
+      // Das HTML stammt vom Portal und darf nicht im Kontext des Dashboards ausgeführt werden
+      if (req.params.file.endsWith('.png') || req.params.file.endsWith('.json')) {
+        res.sendFile(path.resolve(filePath));
+      } else {
+        res.download(path.resolve(filePath), `${req.params.provider}-${req.params.id}-${req.params.file}`);
+      }
+    });
+
     // Control API Routes
     this.app.post('/api/control/check/:provider?', async (req, res) => {
       try {
         const provider = req.params.provider;
+        // Trace-Modus zeichnet den gesamten Lauf auf, abrufbar unter /api/diagnostics
+        const trace = req.body?.trace === true || req.query.trace === 'true';
         if (this.manager) {
-          await this.manager.triggerProviderCheck(provider);
-          res.json({ success: true, message: `Check für ${provider || 'alle Provider'} gestartet` });
+          if (provider && !this.manager.providers.has(provider)) {
+            return res.status(404).json({ error: 'Provider nicht gefunden oder nicht konfiguriert' });
+          }
+          
+          // Sofort antworten, der Fortschritt ist unter /api/jobs/:id abrufbar
+          const jobs = this.manager.triggerProviderCheck(provider, { trace, trigger: 'manual' });
+          res.status(202).json({
+            success: true,
+            trace,
+            jobs: jobs.map(job => ({ ...job, url: `/api/jobs/${job.id}` })),
+            message: `Check für ${provider || 'alle Provider'} eingeplant`
+          });
         } else {
           res.status(500).json({ error: 'Manager nicht verfügbar' });
         }
@@ -396,7 +690,9 @@ class WebServer {
       try {
         const provider = req.params.provider;
         if (this.manager) {
-          await this.manager.triggerProviderStart(provider);
+          // Der Dauerbetrieb endet nie, daher nicht auf ihn warten
+          this.manager.triggerProviderStart(provider)
+            .catch(error => console.error(`❌ Fehler beim Starten von ${provider || 'allen Providern'}: ${error.message}`));
           res.json({ success: true, message: `Provider ${provider || 'alle Provider'} gestartet` });
         } else {
           res.status(500).json({ error: 'Manager nicht verfügbar' });
@@ -406,6 +702,83 @@ class WebServer {
       }
     });
 
+    this.app.post('/api/control/stop/:provider?', async (req, res) => {
+      try {
+        const provider = req.params.provider;
+        if (this.manager) {
+          const cancelled = this.manager.stopProvider(provider);
+          res.json({ success: true, cancelled, message: `Provider ${provider || 'alle Provider'} gestoppt` });
+        } else {
+          res.status(500).json({ error: 'Manager nicht verfügbar' });
+        }
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Job-Queue: alle Checks aus Zeitplan, Dashboard/API und CLI
+    this.app.get('/api/jobs', async (req, res) => {
+      if (!this.manager) {
+        return res.status(500).json({ error: 'Manager nicht verfügbar' });
+      }
+      
+      const { provider, state } = req.query;
+      res.json(this.redactValues({
+        concurrency: this.manager.jobQueue.concurrency,
+        jobs: this.manager.jobQueue.list({ provider, state })
+      }));
+    });
+
+    this.app.get('/api/jobs/:id', async (req, res) => {
+      if (!this.manager) {
+        return res.status(500).json({ error: 'Manager nicht verfügbar' });
+      }
+      
+      const job = this.manager.jobQueue.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Job nicht gefunden' });
+      }
+      res.json(this.redactValues(job));
+    });
+
+    this.app.delete('/api/jobs/:id', async (req, res) => {
+      if (!this.manager) {
+        return res.status(500).json({ error: 'Manager nicht verfügbar' });
+      }
+      
+      const job = this.manager.cancelJob(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Job nicht gefunden oder bereits beendet' });
+      }
+      res.json({ success: true, job: this.redactValues(job) });
+    });
+
+    // Live-Updates für das Dashboard: Runs, Job-Fortschritt, neue Versionen, Login-Fehler und Log-Zeilen
+    this.app.get('/api/events', (req, res) => {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Reverse-Proxys (nginx) dürfen den Stream nicht puffern
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.write('retry: 5000\n\n');
+      
+      // Job-Fehler und Phasen-Details können Benutzernamen oder Tokens aus URLs enthalten
+      const unsubscribe = eventBus.subscribe(event => {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(this.redactValues({ ...event.data, timestamp: event.timestamp }))}\n\n`);
+      });
+      
+      // Kommentarzeilen halten die Verbindung offen, sonst schließt der Proxy sie nach einer Minute
+      const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+      
+      req.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+      });
+    });
+
     this.app.get('/api/control/status', async (req, res) => {
       try {
         if (this.manager) {
@@ -425,10 +798,10 @@ class WebServer {
         const path = await import('path');
         
         const allLogs = [];
+        await providerRegistry.load();
         const logFiles = [
           'main-downloader.log',
-          'bmw-downloader.log',
-          'vw-downloader.log'
+          ...providerRegistry.getNames().map(name => `${name}-downloader.log`)
         ];
         
         // Lade alle verfügbaren Log-Dateien
@@ -534,7 +907,7 @@ class WebServer {
           }
         }
         
-        res.json(enhancedMetadata);
+        this.sendRedactedJson(res, enhancedMetadata);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
@@ -563,7 +936,7 @@ class WebServer {
           }
         }
         
-        res.json({
+        this.sendRedactedJson(res, {
           provider,
           ...providerData,
           metadataUrl: `${this.baseUrl}/api/metadata/${provider}`,
@@ -619,6 +992,144 @@ class WebServer {
     });
   }
 
+  redactValues(value) {
+    // Jeder String einzeln, im serialisierten JSON wären Anführungszeichen im Passwort escaped und würden nicht gefunden
+    if (typeof value === 'string') {
+      return credentialVault.redact(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValues(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactValues(item)]));
+    }
+    return value;
+  }
+
+  sendRedactedJson(res, data) {
+    // Original-URLs können Tokens oder Zugangsdaten enthalten
+    res.type('application/json').send(credentialVault.redact(JSON.stringify(data)));
+  }
+
+  async getPortalCredentials() {
+    await providerRegistry.load();
+    const credentials = [];
+    
+    for (const definition of providerRegistry.getAll()) {
+      const providerKey = definition.name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+      
+      for (const name of [...definition.requiredEnv, `${providerKey}_TOTP_SECRET`]) {
+        const stored = credentialVault.list().find(secret => secret.name === name);
+        credentials.push({
+          name,
+          provider: definition.name,
+          secret: CredentialVault.isSecretName(name),
+          source: stored ? 'vault' : (process.env[name] ? 'env' : 'missing'),
+          updatedAt: stored?.updatedAt || null
+        });
+      }
+    }
+    
+    return credentials;
+  }
+
+  resolveProviderPath(provider, ...segments) {
+    // Provider und Dateinamen kommen aus der URL, der Pfad muss im Verzeichnis des Providers bleiben
+    const downloadDir = path.resolve(this.downloadDir);
+    const providerDir = path.resolve(downloadDir, provider);
+    if (path.dirname(providerDir) !== downloadDir) {
+      return null;
+    }
+    
+    const filePath = path.resolve(providerDir, ...segments);
+    if (filePath !== providerDir && !filePath.startsWith(providerDir + path.sep)) {
+      return null;
+    }
+    return filePath;
+  }
+
+  async sendDownload(res, filePath, filename) {
+    // Prüfe ob Datei existiert
+    try {
+      await fs.access(filePath);
+    } catch {
+      return res.status(404).json({ error: 'Datei nicht gefunden' });
+    }
+
+    // Setze Download-Header
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    
+    // Stream die Datei mit createReadStream für bessere Performance
+    const { createReadStream } = await import('fs');
+    const fileStream = createReadStream(filePath);
+    
+    fileStream.on('error', (error) => {
+      console.error('Fehler beim Lesen der Datei:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Fehler beim Lesen der Datei' });
+      }
+    });
+    
+    fileStream.pipe(res);
+  }
+
+  async listArchivedFiles(provider) {
+    const archiveDir = this.resolveProviderPath(provider, 'archive');
+    const archivedFiles = [];
+    if (!archiveDir) {
+      return archivedFiles;
+    }
+    
+    let categories = [];
+    try {
+      categories = await fs.readdir(archiveDir);
+    } catch {
+      // Kein Archiv vorhanden
+      return archivedFiles;
+    }
+    
+    for (const category of categories) {
+      const categoryDir = path.join(archiveDir, category);
+      
+      let files = [];
+      try {
+        files = await fs.readdir(categoryDir);
+      } catch {
+        continue;
+      }
+      
+      for (const file of files) {
+        if (this.integrityChecker.isSidecarFile(file)) {
+          continue;
+        }
+        
+        const filePath = path.join(categoryDir, file);
+        const stats = await fs.stat(filePath);
+        if (!stats.isFile()) {
+          continue;
+        }
+        
+        archivedFiles.push({
+          name: file,
+          category,
+          archived: true,
+          size: stats.size,
+          sizeFormatted: this.formatFileSize(stats.size),
+          modified: stats.mtime,
+          sha256: await this.integrityChecker.readSidecar(filePath),
+          downloadUrl: `${this.baseUrl}/api/download/${provider}/archive/${encodeURIComponent(category)}/${encodeURIComponent(file)}`
+        });
+      }
+    }
+    
+    // Neueste Versionen zuerst
+    archivedFiles.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+    
+    return archivedFiles;
+  }
+
   formatFileSize(bytes) {
     if (bytes === 0) return '0 GB';
     const gb = bytes / (1024 * 1024 * 1024);
@@ -670,8 +1181,8 @@ class WebServer {
           const subResult = await this.countFilesRecursively(itemPath);
           fileCount += subResult.fileCount;
           totalSize += subResult.totalSize;
-        } else if (stats.isFile() && !item.endsWith('.json')) {
-          // Nur echte Dateien zählen (keine JSON-Metadaten)
+        } else if (stats.isFile() && !item.endsWith('.json') && !this.integrityChecker.isSidecarFile(item) && !item.endsWith('.part')) {
+          // Nur echte Dateien zählen (keine JSON-Metadaten oder Prüfsummen)
           fileCount++;
           totalSize += stats.size;
         }
@@ -914,6 +1425,25 @@ class WebServer {
             color: #6c757d;
         }
         
+        .provider-progress {
+            margin-top: 12px;
+            font-size: 0.8rem;
+            color: #2c3e50;
+        }
+        
+        .provider-pending {
+            margin-top: 6px;
+            color: #6f42c1;
+        }
+        
+        .provider-progress:empty {
+            display: none;
+        }
+        
+        .provider-progress .job-bar {
+            margin-top: 6px;
+        }
+        
         .files-section {
             background: rgba(255, 255, 255, 0.95);
             backdrop-filter: blur(10px);
@@ -948,17 +1478,76 @@ class WebServer {
             color: white;
         }
         
-        .files-table {
-            width: 100%;
-            border-collapse: collapse;
-            margin-top: 20px;
+        .credentials-section {
+            margin-top: 30px;
         }
         
-        .files-table th,
-        .files-table td {
-            padding: 12px;
-            text-align: left;
-            border-bottom: 1px solid #dee2e6;
+        .runs-filter select {
+            padding: 6px 10px;
+            border: 1px solid #ced4da;
+            border-radius: 6px;
+            margin-right: 8px;
+        }
+        
+        .runs-table tr.run-row {
+            cursor: pointer;
+        }
+        
+        .run-details {
+            background: #f8f9fa;
+            font-size: 0.9rem;
+        }
+        
+        .run-details ul {
+            margin: 4px 0 10px 20px;
+        }
+        
+        .diagnostics-entry {
+            display: flex;
+            gap: 20px;
+            padding: 15px 0;
+            border-bottom: 1px solid #dee2e6;
+        }
+        
+        .diagnostics-entry img {
+            width: 240px;
+            max-height: 180px;
+            object-fit: cover;
+            object-position: top;
+            border: 1px solid #dee2e6;
+            border-radius: 6px;
+        }
+        
+        .diagnostics-error {
+            font-family: 'Courier New', monospace;
+            font-size: 0.9rem;
+            color: #721c24;
+            word-break: break-word;
+            margin: 8px 0;
+        }
+        
+        .diagnostics-entry a {
+            margin-right: 12px;
+        }
+        
+        .credentials-section input {
+            padding: 6px 10px;
+            border: 1px solid #ced4da;
+            border-radius: 6px;
+            margin-right: 8px;
+        }
+        
+        .files-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 20px;
+        }
+        
+        .files-table th,
+        .files-table td {
+            padding: 12px;
+            text-align: left;
+            border-bottom: 1px solid #dee2e6;
         }
         
         .files-table th {
@@ -984,6 +1573,16 @@ class WebServer {
             background: #218838;
         }
         
+        .archive-badge {
+            display: inline-block;
+            margin-left: 8px;
+            padding: 2px 8px;
+            background: #6c757d;
+            color: white;
+            border-radius: 10px;
+            font-size: 0.75rem;
+        }
+        
         .loading {
             text-align: center;
             padding: 40px;
@@ -998,6 +1597,36 @@ class WebServer {
             margin: 20px 0;
         }
         
+        .mfa-section {
+            display: none;
+            background: #fff3cd;
+            border: 2px solid #ffc107;
+            border-radius: 16px;
+            padding: 20px 24px;
+            margin-bottom: 30px;
+        }
+        
+        .mfa-section.show {
+            display: block;
+        }
+        
+        .mfa-request {
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            flex-wrap: wrap;
+            margin-top: 12px;
+        }
+        
+        .mfa-request input {
+            padding: 8px 12px;
+            border: 1px solid #ced4da;
+            border-radius: 6px;
+            font-size: 1.1rem;
+            letter-spacing: 4px;
+            width: 140px;
+        }
+        
         .control-panel {
             background: rgba(255, 255, 255, 0.95);
             backdrop-filter: blur(10px);
@@ -1042,6 +1671,60 @@ class WebServer {
             box-shadow: 0 4px 12px rgba(40, 167, 69, 0.3);
         }
         
+        .trace-toggle {
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
+            font-weight: 600;
+            color: #2c3e50;
+            cursor: pointer;
+        }
+        
+        .job-progress {
+            margin-top: 16px;
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+        }
+        
+        .job-progress:empty {
+            display: none;
+        }
+        
+        .job-row {
+            display: grid;
+            grid-template-columns: 160px 1fr auto;
+            gap: 12px;
+            align-items: center;
+            font-size: 0.9rem;
+            color: #2c3e50;
+        }
+        
+        .job-phase {
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        
+        .job-bar {
+            grid-column: 1 / -1;
+            height: 6px;
+            background: #e9ecef;
+            border-radius: 3px;
+            overflow: hidden;
+        }
+        
+        .job-bar div {
+            height: 100%;
+            background: linear-gradient(90deg, #17a2b8, #28a745);
+            transition: width 0.5s ease;
+        }
+        
+        .job-cancel {
+            padding: 6px 12px;
+            font-size: 0.75rem;
+        }
+        
         .control-btn.primary {
             background: linear-gradient(135deg, #17a2b8, #20c997);
             box-shadow: 0 4px 12px rgba(23, 162, 184, 0.3);
@@ -1238,6 +1921,11 @@ class WebServer {
             color: #856404;
         }
         
+        .method.delete {
+            background: #f8d7da;
+            color: #721c24;
+        }
+        
         .url {
             font-family: 'Courier New', monospace;
             background: #f8f9fa;
@@ -1415,10 +2103,18 @@ class WebServer {
             <div class="control-buttons">
                 <button class="control-btn primary" onclick="loadData()">🔄 Aktualisieren</button>
                 <button class="control-btn" onclick="triggerCheck()">🔍 Alle Provider Checken</button>
-                <button class="control-btn" onclick="triggerCheck('bmw')">🚗 BMW Checken</button>
-                <button class="control-btn" onclick="triggerCheck('vw')">🚙 VW Checken</button>
+                <span id="providerButtons"></span>
                 <button class="control-btn" onclick="testEmail()">📧 E-Mail Test</button>
+                <label class="trace-toggle" title="Playwright-Trace des gesamten Checks aufzeichnen">
+                    <input type="checkbox" id="traceToggle"> 🎞️ Trace aufzeichnen
+                </label>
             </div>
+            <div class="job-progress" id="jobProgress"></div>
+        </div>
+        
+        <div class="mfa-section" id="mfaSection">
+            <h2>🔐 Bestätigungscode erforderlich</h2>
+            <div id="mfaRequests"></div>
         </div>
         
         <div class="stats-grid" id="statsGrid">
@@ -1470,6 +2166,50 @@ class WebServer {
             </div>
         </div>
         
+        <div class="files-section credentials-section" id="runs">
+            <h2>🕘 Check-Historie</h2>
+            <div class="runs-filter">
+                <select id="runsProvider" onchange="loadRuns()">
+                    <option value="">Alle Provider</option>
+                </select>
+                <select id="runsTrigger" onchange="loadRuns()">
+                    <option value="">Alle Auslöser</option>
+                    <option value="scheduled">Zeitplan</option>
+                    <option value="manual">Dashboard/API</option>
+                    <option value="cli">CLI</option>
+                    <option value="window">Download-Fenster</option>
+                </select>
+                <select id="runsOutcome" onchange="loadRuns()">
+                    <option value="">Alle Ergebnisse</option>
+                    <option value="updated">Aktualisiert</option>
+                    <option value="no_updates">Keine Updates</option>
+                    <option value="partial">Teilweise fehlgeschlagen</option>
+                    <option value="login_failed">Login fehlgeschlagen</option>
+                    <option value="failed">Fehlgeschlagen</option>
+                    <option value="cancelled">Abgebrochen</option>
+                    <option value="deferred">Download eingeplant</option>
+                </select>
+            </div>
+            <div id="runsContent">
+                <div class="loading">Lade Historie...</div>
+            </div>
+        </div>
+        
+        <div class="files-section credentials-section" id="diagnostics">
+            <h2>🩺 Diagnose & Traces</h2>
+            <div class="provider-tabs" id="diagnosticsTabs"></div>
+            <div id="diagnosticsContent">
+                <div class="loading">Lade Diagnosedaten...</div>
+            </div>
+        </div>
+        
+        <div class="files-section credentials-section">
+            <h2>🔑 Zugangsdaten</h2>
+            <div id="credentialsContent">
+                <div class="loading">Lade Zugangsdaten...</div>
+            </div>
+        </div>
+        
         <div class="api-section">
             <h2>🔌 API Endpunkte</h2>
             <p>Diese Endpunkte können von Drittanbieter-Tools mit Basic Authentication verwendet werden:</p>
@@ -1487,6 +2227,11 @@ class WebServer {
                         <span class="url">/api/providers</span>
                         <span class="description">Detaillierte Provider-Informationen mit tatsächlichen Dateien</span>
                     </div>
+                    <div class="endpoint-item">
+                        <span class="method get">GET</span>
+                        <span class="url">/api/registry</span>
+                        <span class="description">Alle registrierten Provider mit Kategorien und Konfigurationsstatus</span>
+                    </div>
                 </div>
                 
                 <div class="api-endpoint">
@@ -1501,11 +2246,21 @@ class WebServer {
                         <span class="url">/api/download/{provider}/{filename}</span>
                         <span class="description">Direkter Download einer Datei (z.B. ${this.baseUrl}/api/download/bmw/file.exe)</span>
                     </div>
+                    <div class="endpoint-item">
+                        <span class="method get">GET</span>
+                        <span class="url">/api/download/{provider}/archive/{category}/{filename}</span>
+                        <span class="description">Download einer archivierten älteren Version</span>
+                    </div>
                     <div class="endpoint-item">
                         <span class="method get">GET</span>
                         <span class="url">/api/metadata/{provider}</span>
                         <span class="description">Metadaten eines Providers mit Download-URLs</span>
                     </div>
+                    <div class="endpoint-item">
+                        <span class="method post">POST</span>
+                        <span class="url">/api/verify/{provider}</span>
+                        <span class="description">SHA-256 Prüfsummen aller Dateien eines Providers neu berechnen und vergleichen, antwortet sofort mit 202 und der Job-ID (Ergebnis im Job und per SSE)</span>
+                    </div>
                 </div>
                 
                 <div class="api-endpoint">
@@ -1513,7 +2268,7 @@ class WebServer {
                     <div class="endpoint-item">
                         <span class="method post">POST</span>
                         <span class="url">/api/control/check/{provider?}</span>
-                        <span class="description">Manueller Check für alle Provider oder spezifischen Provider</span>
+                        <span class="description">Manueller Check für alle Provider oder spezifischen Provider, antwortet sofort mit 202 und den Job-IDs (JSON: {"trace": true} zeichnet einen Playwright-Trace auf)</span>
                     </div>
                     <div class="endpoint-item">
                         <span class="method post">POST</span>
@@ -1523,7 +2278,88 @@ class WebServer {
                     <div class="endpoint-item">
                         <span class="method post">POST</span>
                         <span class="url">/api/control/stop/{provider?}</span>
-                        <span class="description">Provider stoppen (alle oder spezifischen)</span>
+                        <span class="description">Provider stoppen (alle oder spezifischen), laufende Checks werden abgebrochen</span>
+                    </div>
+                    <div class="endpoint-item">
+                        <span class="method get">GET</span>
+                        <span class="url">/api/jobs</span>
+                        <span class="description">Job-Queue mit wartenden, laufenden und beendeten Checks (?provider=, state=)</span>
+                    </div>
+                    <div class="endpoint-item">
+                        <span class="method get">GET</span>
+                        <span class="url">/api/jobs/{id}</span>
+                        <span class="description">Status eines Jobs mit aktueller Phase (Login, Navigation, Suche, Download mit Datei und Prozent)</span>
+                    </div>
+                    <div class="endpoint-item">
+                        <span class="method get">GET</span>
+                        <span class="url">/api/events</span>
+                        <span class="description">Server-Sent Events: run_started, run_finished, job, download_progress, new_version, downloads_deferred, login_failure, log, next_check</span>
+                    </div>
+                    <div class="endpoint-item">
+                        <span class="method delete">DELETE</span>
+                        <span class="url">/api/jobs/{id}</span>
+                        <span class="description">Wartenden oder laufenden Job abbrechen</span>
+                    </div>
+                </div>
+                
+                <div class="api-endpoint">
+                    <h3>🔑 Zugangsdaten</h3>
+                    <div class="endpoint-item">
+                        <span class="method get">GET</span>
+                        <span class="url">/api/credentials</span>
+                        <span class="description">Zugangsdaten der Portale mit Quelle (Vault/.env), ohne Werte</span>
+                    </div>
+                    <div class="endpoint-item">
+                        <span class="method post">PUT</span>
+                        <span class="url">/api/credentials/{name}</span>
+                        <span class="description">Zugangsdaten im Vault ändern (JSON: {"value": "..."}), gilt ab dem nächsten Login</span>
+                    </div>
+                </div>
+                
+                <div class="api-endpoint">
+                    <h3>🕘 Check-Historie</h3>
+                    <div class="endpoint-item">
+                        <span class="method get">GET</span>
+                        <span class="url">/api/runs</span>
+                        <span class="description">Vergangene Checks, filterbar mit ?provider=, trigger=, outcome=, since=, until=, limit=, offset=</span>
+                    </div>
+                    <div class="endpoint-item">
+                        <span class="method get">GET</span>
+                        <span class="url">/api/runs/{id}</span>
+                        <span class="description">Details eines Checks mit gefundenen und geladenen Dateien und Fehlern</span>
+                    </div>
+                </div>
+                
+                <div class="api-endpoint">
+                    <h3>🩺 Diagnose & Traces</h3>
+                    <div class="endpoint-item">
+                        <span class="method get">GET</span>
+                        <span class="url">/api/diagnostics</span>
+                        <span class="description">Provider mit gespeicherten Diagnosedaten</span>
+                    </div>
+                    <div class="endpoint-item">
+                        <span class="method get">GET</span>
+                        <span class="url">/api/diagnostics/{provider}</span>
+                        <span class="description">Fehlgeschlagene Logins (Screenshot, HTML, Konsolenfehler) und aufgezeichnete Traces</span>
+                    </div>
+                    <div class="endpoint-item">
+                        <span class="method get">GET</span>
+                        <span class="url">/api/diagnostics/{provider}/{id}/{datei}</span>
+                        <span class="description">Einzelne Datei, der Trace öffnet sich mit npx playwright show-trace</span>
+                    </div>
+                </div>
+                
+                <div class="api-endpoint">
+                    <h3>🔐 MFA</h3>
+                    <div class="endpoint-item">
+                        <span class="method get">GET</span>
+                        <span class="url">/api/mfa</span>
+                        <span class="description">Offene MFA-Abfragen, die auf einen Code warten</span>
+                    </div>
+                    <div class="endpoint-item">
+                        <span class="method post">POST</span>
+                        <span class="url">/api/mfa/{id}</span>
+                        <span class="description">Bestätigungscode übermitteln (JSON: {"code": "123456"})</span>
                     </div>
                 </div>
                 
@@ -1568,6 +2404,10 @@ class WebServer {
                         <strong>Check auslösen:</strong><br>
                         <code>curl -u admin:admin123 -X POST ${this.baseUrl}/api/control/check</code>
                     </div>
+                    <div class="curl-example">
+                        <strong>Fortschritt eines Checks abrufen:</strong><br>
+                        <code>curl -u admin:admin123 ${this.baseUrl}/api/jobs/{id}</code>
+                    </div>
                 </div>
             </div>
         </div>
@@ -1576,27 +2416,46 @@ class WebServer {
     <script>
         let currentProvider = null;
         let allFiles = {};
+        let registeredProviders = [];
 
-        async function loadData() {
+        async function loadRegistry() {
             try {
-                // Lade Status-Daten
-                const statusResponse = await fetch('/api/status');
-                
-                // Prüfe HTTP-Status
-                if (!statusResponse.ok) {
-                    throw new Error('HTTP ' + statusResponse.status + ': ' + statusResponse.statusText);
-                }
+                const response = await fetch('/api/registry');
                 
-                // Prüfe Content-Type
-                const contentType = statusResponse.headers.get('content-type');
-                if (!contentType || !contentType.includes('application/json')) {
-                    throw new Error('Unerwarteter Content-Type: ' + (contentType || 'unbekannt'));
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status + ': ' + response.statusText);
                 }
                 
-                const statusData = await statusResponse.json();
-                
-                updateStats(statusData);
-                updateProviders(statusData.providers);
+                registeredProviders = (await response.json()).filter(provider => provider.configured);
+            } catch (error) {
+                console.error('Fehler beim Laden der Provider-Registry:', error);
+                registeredProviders = [];
+            }
+            
+            // Check-Buttons für alle konfigurierten Provider
+            const container = document.getElementById('providerButtons');
+            container.innerHTML = '';
+            registeredProviders.forEach(provider => {
+                const button = document.createElement('button');
+                button.className = 'control-btn';
+                button.textContent = '🚗 ' + provider.displayName + ' Checken';
+                button.onclick = () => triggerCheck(provider.name);
+                container.appendChild(button);
+            });
+            
+            // Provider-Filter der Check-Historie
+            const select = document.getElementById('runsProvider');
+            registeredProviders.forEach(provider => {
+                const option = document.createElement('option');
+                option.value = provider.name;
+                option.textContent = provider.displayName;
+                select.appendChild(option);
+            });
+        }
+
+        async function loadData() {
+            try {
+                await loadStatus();
                 
                 // Lade Speicherplatz-Informationen
                 await loadDiskUsage();
@@ -1613,6 +2472,86 @@ class WebServer {
             }
         }
 
+        async function loadStatus() {
+            // Lade Status-Daten
+            const statusResponse = await fetch('/api/status');
+            
+            // Prüfe HTTP-Status
+            if (!statusResponse.ok) {
+                throw new Error('HTTP ' + statusResponse.status + ': ' + statusResponse.statusText);
+            }
+            
+            // Prüfe Content-Type
+            const contentType = statusResponse.headers.get('content-type');
+            if (!contentType || !contentType.includes('application/json')) {
+                throw new Error('Unerwarteter Content-Type: ' + (contentType || 'unbekannt'));
+            }
+            
+            const statusData = await statusResponse.json();
+            
+            updateStats(statusData);
+            updateProviders(statusData.providers);
+            
+            // Laufende Downloads nach dem Neuaufbau der Karten wieder einblenden
+            await loadDownloadProgress();
+        }
+
+        async function loadDownloadProgress() {
+            try {
+                const response = await fetch('/api/control/status');
+                if (!response.ok) {
+                    return;
+                }
+                
+                const status = await response.json();
+                for (const [provider, providerStatus] of Object.entries(status)) {
+                    renderDownloadProgress(provider, providerStatus.progress);
+                }
+            } catch (error) {
+                console.warn('Fehler beim Laden des Download-Fortschritts:', error);
+            }
+        }
+
+        function describeTransfer(progress) {
+            let text = formatBytes(progress.bytes || 0);
+            if (progress.totalBytes) {
+                text += ' / ' + formatBytes(progress.totalBytes) + ' (' + progress.percent + '%)';
+            }
+            if (progress.bytesPerSecond) {
+                text += ', ' + formatBytes(progress.bytesPerSecond) + '/s';
+            }
+            if (progress.etaSeconds !== null && progress.etaSeconds !== undefined) {
+                text += ', noch ca. ' + formatDuration(progress.etaSeconds * 1000);
+            }
+            return text;
+        }
+
+        function renderDownloadProgress(provider, progress) {
+            const card = Array.from(document.querySelectorAll('.provider-card')).find(element => element.dataset.provider === provider);
+            if (!card) {
+                return;
+            }
+            
+            const container = card.querySelector('.provider-progress');
+            container.innerHTML = '';
+            if (!progress || progress.phase !== 'download' || progress.bytes === null) {
+                return;
+            }
+            
+            const label = document.createElement('div');
+            label.textContent = '⬇️ ' + (progress.file || progress.detail) + ': ' + describeTransfer(progress);
+            container.appendChild(label);
+            
+            if (progress.percent !== null) {
+                const bar = document.createElement('div');
+                bar.className = 'job-bar';
+                const fill = document.createElement('div');
+                fill.style.width = progress.percent + '%';
+                bar.appendChild(fill);
+                container.appendChild(bar);
+            }
+        }
+
         function updateStats(data) {
             document.getElementById('totalProviders').textContent = data.totalProviders || 0;
             
@@ -1675,7 +2614,8 @@ class WebServer {
             
             for (const [providerName, providerData] of Object.entries(providers)) {
                 const card = document.createElement('div');
-                card.className = 'provider-card ' + providerName;
+                card.className = 'provider-card ' + (providerData.baseProvider || providerName);
+                card.dataset.provider = providerName;
                 
                 const statusClass = providerData.status === 'Aktiv' ? 'status-aktiv' : 'status-inaktiv';
                 
@@ -1686,14 +2626,24 @@ class WebServer {
                 const totalSize = providerData.actualTotalSizeFormatted || providerData.totalSize || '0 GB';
                 
                 card.innerHTML = 
-                    '<div class="provider-name">' + providerName.toUpperCase() + '</div>' +
+                    '<div class="provider-name">' + (providerData.displayName || providerName.toUpperCase()) + '</div>' +
                     '<div class="provider-status ' + statusClass + '">' + providerData.status + '</div>' +
                     '<div class="provider-info">' +
                         '<div>Downloads: ' + fileCount + '</div>' +
                         '<div>Größe: ' + totalSize + '</div>' +
                         '<div>Letzte Aktualisierung: ' + (providerData.lastUpdate ? 
                             new Date(providerData.lastUpdate).toLocaleString('de-DE') : 'Nie') + '</div>' +
-                    '</div>';
+                    '</div>' +
+                    '<div class="provider-progress"></div>';
+                
+                // Updates, die auf das Download-Fenster warten
+                if (providerData.pendingDownloads && providerData.pendingDownloads.length > 0) {
+                    const pending = document.createElement('div');
+                    pending.className = 'provider-pending';
+                    pending.textContent = '🌙 Eingeplant ab ' + new Date(providerData.pendingDownloads[0].deferredUntil).toLocaleString('de-DE') + ': ' +
+                        providerData.pendingDownloads.map(item => item.displayName + ' (' + item.version + ')').join(', ');
+                    card.querySelector('.provider-info').appendChild(pending);
+                }
                 
                 grid.appendChild(card);
             }
@@ -1701,30 +2651,11 @@ class WebServer {
 
         async function loadAllFiles() {
             try {
-                const providers = ['bmw', 'vw'];
+                const providers = registeredProviders.map(provider => provider.name);
                 allFiles = {};
                 
                 for (const provider of providers) {
-                    try {
-                        const response = await fetch('/api/files/' + provider);
-                        
-                        // Prüfe HTTP-Status
-                        if (!response.ok) {
-                            throw new Error('HTTP ' + response.status + ': ' + response.statusText);
-                        }
-                        
-                        // Prüfe Content-Type
-                        const contentType = response.headers.get('content-type');
-                        if (!contentType || !contentType.includes('application/json')) {
-                            throw new Error('Unerwarteter Content-Type: ' + (contentType || 'unbekannt'));
-                        }
-                        
-                        const data = await response.json();
-                        allFiles[provider] = data.files || [];
-                    } catch (error) {
-                        console.warn('Fehler beim Laden der Dateien für ' + provider + ':', error);
-                        allFiles[provider] = [];
-                    }
+                    await loadProviderFiles(provider);
                 }
                 
                 updateProviderTabs();
@@ -1738,6 +2669,29 @@ class WebServer {
             }
         }
 
+        async function loadProviderFiles(provider) {
+            try {
+                const response = await fetch('/api/files/' + provider);
+                
+                // Prüfe HTTP-Status
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+                }
+                
+                // Prüfe Content-Type
+                const contentType = response.headers.get('content-type');
+                if (!contentType || !contentType.includes('application/json')) {
+                    throw new Error('Unerwarteter Content-Type: ' + (contentType || 'unbekannt'));
+                }
+                
+                const data = await response.json();
+                allFiles[provider] = data.files || [];
+            } catch (error) {
+                console.warn('Fehler beim Laden der Dateien für ' + provider + ':', error);
+                allFiles[provider] = [];
+            }
+        }
+
         function updateProviderTabs() {
             const tabsContainer = document.getElementById('providerTabs');
             tabsContainer.innerHTML = '';
@@ -1745,6 +2699,7 @@ class WebServer {
             for (const provider of Object.keys(allFiles)) {
                 const button = document.createElement('button');
                 button.className = 'tab-button';
+                button.dataset.provider = provider;
                 button.textContent = provider.toUpperCase() + ' (' + allFiles[provider].length + ')';
                 button.onclick = () => showProviderFiles(provider);
                 tabsContainer.appendChild(button);
@@ -1757,7 +2712,8 @@ class WebServer {
             // Aktualisiere aktive Tab
             document.querySelectorAll('.tab-button').forEach(btn => {
                 btn.classList.remove('active');
-                if (btn.textContent.includes(provider.toUpperCase())) {
+                // bmw darf nicht zusätzlich den Tab von bmw-dealer1 markieren
+                if (btn.dataset.provider === provider) {
                     btn.classList.add('active');
                 }
             });
@@ -1783,7 +2739,8 @@ class WebServer {
             
             files.forEach(file => {
                 tableHTML += '<tr>' +
-                    '<td>' + file.name + '</td>' +
+                    '<td' + (file.sha256 ? ' title="SHA-256: ' + file.sha256 + '"' : '') + '>' + file.name +
+                        (file.archived ? ' <span class="archive-badge">📦 Archiv: ' + file.category + '</span>' : '') + '</td>' +
                     '<td>' + file.sizeFormatted + '</td>' +
                     '<td>' + new Date(file.modified).toLocaleString('de-DE') + '</td>' +
                     '<td>' +
@@ -1803,58 +2760,195 @@ class WebServer {
             content.innerHTML = '<div class="error">' + message + '</div>';
         }
 
+        const jobPhases = {
+            start: 'Starte',
+            login: 'Login',
+            navigate: 'Navigation',
+            discover: 'Suche Downloads',
+            download: 'Download',
+            verify: 'Prüfe'
+        };
+        const jobStates = {
+            queued: '⏳ Wartet',
+            running: '🔄 Läuft',
+            finished: '✅ Abgeschlossen',
+            failed: '❌ Fehlgeschlagen',
+            cancelled: '⏹️ Abgebrochen'
+        };
+        const watchedJobs = new Map();
+
         async function triggerCheck(provider = null) {
             try {
                 // Zeige sofortiges Feedback
                 const providerName = provider ? provider.toUpperCase() : 'alle Provider';
                 showNotification('🔄 Starte Check für ' + providerName + '...', 'info');
                 
-                // Deaktiviere alle Control-Buttons
-                const buttons = document.querySelectorAll('.control-btn');
-                buttons.forEach(btn => btn.disabled = true);
-                
                 const url = provider ? '/api/control/check/' + provider : '/api/control/check';
+                const trace = document.getElementById('traceToggle').checked;
                 
-                // Starte Check im Hintergrund (nicht await)
-                fetch(url, { method: 'POST' })
-                    .then(response => {
-                        // Prüfe HTTP-Status
-                        if (!response.ok) {
-                            throw new Error('HTTP ' + response.status + ': ' + response.statusText);
-                        }
-                        
-                        // Prüfe Content-Type
-                        const contentType = response.headers.get('content-type');
-                        if (!contentType || !contentType.includes('application/json')) {
-                            throw new Error('Unerwarteter Content-Type: ' + (contentType || 'unbekannt'));
-                        }
-                        
-                        return response.json();
-                    })
-                    .then(result => {
-                        if (result.success) {
-                            showNotification('✅ Check für ' + providerName + ' abgeschlossen', 'success');
-                            // Lade Daten nach 2 Sekunden neu
-                            setTimeout(loadData, 2000);
-                        } else {
-                            showNotification('❌ Fehler: ' + result.error, 'error');
-                        }
-                    })
-                    .catch(error => {
-                        console.error('Fehler beim Auslösen des Checks:', error);
-                        showNotification('❌ Fehler: ' + error.message, 'error');
-                    })
-                    .finally(() => {
-                        // Reaktiviere alle Control-Buttons nach 3 Sekunden
-                        setTimeout(() => {
-                            const buttons = document.querySelectorAll('.control-btn');
-                            buttons.forEach(btn => btn.disabled = false);
-                        }, 3000);
-                    });
+                // Der Server antwortet sofort mit 202 und den Job-IDs, der Check läuft im Hintergrund
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ trace: trace })
+                });
+                const result = await response.json();
                 
+                if (!response.ok || !result.success) {
+                    throw new Error(result.error || 'HTTP ' + response.status + ': ' + response.statusText);
+                }
+                
+                result.jobs.forEach(job => watchedJobs.set(job.id, job));
+                renderJobs();
+                
+                // Mit verbundenem Event-Stream kommen die Updates von selbst
+                if (!eventsConnected) {
+                    pollJobs();
+                }
             } catch (error) {
                 console.error('Fehler beim Auslösen des Checks:', error);
-                                        showNotification('❌ Fehler: ' + error.message, 'error');
+                showNotification('❌ Fehler: ' + error.message, 'error');
+            }
+        }
+
+        let jobPollTimer = null;
+
+        async function pollJobs() {
+            clearTimeout(jobPollTimer);
+            
+            for (const id of Array.from(watchedJobs.keys())) {
+                try {
+                    const response = await fetch('/api/jobs/' + id);
+                    if (!response.ok) {
+                        watchedJobs.delete(id);
+                        continue;
+                    }
+                    
+                    const job = await response.json();
+                    const previous = watchedJobs.get(id);
+                    watchedJobs.set(id, job);
+                    
+                    if (previous.state !== job.state && ['finished', 'failed', 'cancelled'].includes(job.state)) {
+                        onJobFinished(job);
+                    }
+                } catch (error) {
+                    console.error('Fehler beim Abrufen des Jobs:', error);
+                }
+            }
+            
+            renderJobs();
+            
+            const active = Array.from(watchedJobs.values()).some(job => job.state === 'queued' || job.state === 'running');
+            if (active) {
+                jobPollTimer = setTimeout(pollJobs, 2000);
+            }
+        }
+
+        function onJobFinished(job) {
+            const providerName = job.provider.toUpperCase();
+            const label = job.type === 'verify' ? 'Prüfung' : 'Check';
+            if (job.state === 'finished' && job.type === 'verify' && job.result && !job.result.success) {
+                showNotification('❌ Prüfung für ' + providerName + ': ' + job.result.mismatches + ' fehlerhaft, ' + job.result.missing + ' fehlend', 'error');
+            } else if (job.state === 'finished') {
+                showNotification('✅ ' + label + ' für ' + providerName + ' abgeschlossen', 'success');
+            } else if (job.state === 'cancelled') {
+                showNotification('⏹️ ' + label + ' für ' + providerName + ' abgebrochen', 'info');
+            } else {
+                showNotification('❌ ' + label + ' für ' + providerName + ' fehlgeschlagen: ' + job.error, 'error');
+            }
+            
+            // Mit Event-Stream aktualisiert run_finished die Daten
+            if (!eventsConnected) {
+                loadData();
+                loadRuns();
+            }
+            if (job.options && job.options.trace) {
+                loadDiagnostics(job.provider);
+            }
+            
+            // Beendete Jobs noch kurz anzeigen
+            setTimeout(() => {
+                watchedJobs.delete(job.id);
+                renderJobs();
+            }, 10000);
+        }
+
+        function describeJob(job) {
+            if (job.state !== 'running' || !job.progress) {
+                return jobStates[job.state] || job.state;
+            }
+            
+            const progress = job.progress;
+            let text = jobPhases[progress.phase] || progress.phase;
+            if (progress.phase === 'download' || progress.phase === 'verify') {
+                text += ' ' + progress.index + '/' + progress.total + ': ' + (progress.file || progress.detail);
+                if (progress.bytes !== null) {
+                    text += ' - ' + describeTransfer(progress);
+                }
+            } else if (progress.detail) {
+                text += ': ' + progress.detail;
+            }
+            return text;
+        }
+
+        function renderJobs() {
+            const container = document.getElementById('jobProgress');
+            container.innerHTML = '';
+            
+            watchedJobs.forEach(job => {
+                const row = document.createElement('div');
+                row.className = 'job-row';
+                
+                const name = document.createElement('strong');
+                name.textContent = job.provider.toUpperCase();
+                
+                const phase = document.createElement('span');
+                phase.className = 'job-phase';
+                phase.textContent = describeJob(job);
+                phase.title = phase.textContent;
+                
+                row.appendChild(name);
+                row.appendChild(phase);
+                
+                if (job.state === 'queued' || job.state === 'running') {
+                    const cancel = document.createElement('button');
+                    cancel.className = 'control-btn job-cancel';
+                    cancel.textContent = '⏹️ Abbrechen';
+                    cancel.disabled = job.cancelRequested;
+                    cancel.onclick = () => cancelJob(job.id);
+                    row.appendChild(cancel);
+                } else {
+                    row.appendChild(document.createElement('span'));
+                }
+                
+                if (job.progress && job.progress.percent !== null && job.state === 'running') {
+                    const bar = document.createElement('div');
+                    bar.className = 'job-bar';
+                    const fill = document.createElement('div');
+                    fill.style.width = job.progress.percent + '%';
+                    bar.appendChild(fill);
+                    row.appendChild(bar);
+                }
+                
+                container.appendChild(row);
+            });
+        }
+
+        async function cancelJob(id) {
+            try {
+                const response = await fetch('/api/jobs/' + id, { method: 'DELETE' });
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.error);
+                }
+                
+                watchedJobs.set(id, result.job);
+                renderJobs();
+                if (!eventsConnected) {
+                    pollJobs();
+                }
+            } catch (error) {
+                showNotification('❌ Fehler: ' + error.message, 'error');
             }
         }
 
@@ -1886,6 +2980,380 @@ class WebServer {
             }, 5000);
         }
 
+        async function loadMfaRequests() {
+            try {
+                const response = await fetch('/api/mfa');
+                if (!response.ok) {
+                    return;
+                }
+                
+                const requests = await response.json();
+                const section = document.getElementById('mfaSection');
+                const container = document.getElementById('mfaRequests');
+                section.classList.toggle('show', requests.length > 0);
+                
+                // Bereits angezeigte Abfragen nicht neu rendern, sonst geht die Eingabe verloren
+                const shownIds = Array.from(container.children).map(element => element.dataset.id);
+                const requestIds = requests.map(request => request.id);
+                if (shownIds.join(',') === requestIds.join(',')) {
+                    return;
+                }
+                
+                container.innerHTML = '';
+                requests.forEach(request => {
+                    const row = document.createElement('div');
+                    row.className = 'mfa-request';
+                    row.dataset.id = request.id;
+                    
+                    const label = document.createElement('span');
+                    label.textContent = request.message + ' (gültig bis ' + new Date(request.expiresAt).toLocaleTimeString('de-DE') + ')';
+                    
+                    const input = document.createElement('input');
+                    input.type = 'text';
+                    input.inputMode = 'numeric';
+                    input.autocomplete = 'one-time-code';
+                    input.placeholder = '123456';
+                    
+                    const button = document.createElement('button');
+                    button.className = 'control-btn primary';
+                    button.textContent = '✅ Code senden';
+                    button.onclick = () => submitMfaCode(request.id, input.value);
+                    input.onkeydown = event => {
+                        if (event.key === 'Enter') {
+                            submitMfaCode(request.id, input.value);
+                        }
+                    };
+                    
+                    row.append(label, input, button);
+                    container.appendChild(row);
+                });
+            } catch (error) {
+                console.error('Fehler beim Laden der MFA-Abfragen:', error);
+            }
+        }
+
+        async function submitMfaCode(id, code) {
+            try {
+                const response = await fetch('/api/mfa/' + id, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ code })
+                });
+                const result = await response.json();
+                
+                if (result.success) {
+                    showNotification('✅ Code übermittelt', 'success');
+                } else {
+                    showNotification('❌ Fehler: ' + result.error, 'error');
+                }
+            } catch (error) {
+                showNotification('❌ Fehler: ' + error.message, 'error');
+            }
+            
+            loadMfaRequests();
+        }
+
+        async function loadCredentials() {
+            const content = document.getElementById('credentialsContent');
+            
+            try {
+                const response = await fetch('/api/credentials');
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+                }
+                
+                const data = await response.json();
+                const sources = { vault: '🔒 Vault', env: '📄 .env', missing: '❌ Fehlt' };
+                
+                const table = document.createElement('table');
+                table.className = 'files-table';
+                table.innerHTML = '<thead><tr><th>Name</th><th>Provider</th><th>Quelle</th><th>Geändert</th><th>Neuer Wert</th></tr></thead>';
+                const body = document.createElement('tbody');
+                
+                data.credentials.forEach(credential => {
+                    const row = document.createElement('tr');
+                    [
+                        credential.name,
+                        credential.provider,
+                        sources[credential.source],
+                        credential.updatedAt ? new Date(credential.updatedAt).toLocaleString('de-DE') : '-'
+                    ].forEach(text => {
+                        const cell = document.createElement('td');
+                        cell.textContent = text;
+                        row.appendChild(cell);
+                    });
+                    
+                    const actionCell = document.createElement('td');
+                    if (data.vaultEnabled) {
+                        const input = document.createElement('input');
+                        input.type = credential.secret ? 'password' : 'text';
+                        input.autocomplete = 'off';
+                        
+                        const button = document.createElement('button');
+                        button.className = 'download-btn';
+                        button.textContent = '💾 Speichern';
+                        button.onclick = () => rotateCredential(credential.name, input);
+                        
+                        actionCell.append(input, button);
+                    } else {
+                        actionCell.textContent = 'Vault deaktiviert';
+                    }
+                    row.appendChild(actionCell);
+                    body.appendChild(row);
+                });
+                
+                table.appendChild(body);
+                content.innerHTML = '';
+                content.appendChild(table);
+            } catch (error) {
+                console.error('Fehler beim Laden der Zugangsdaten:', error);
+                content.innerHTML = '<div class="error">Fehler beim Laden der Zugangsdaten</div>';
+            }
+        }
+
+        const runOutcomes = {
+            running: '⏳ Läuft',
+            updated: '🆕 Aktualisiert',
+            no_updates: '✅ Keine Updates',
+            partial: '⚠️ Teilweise',
+            login_failed: '🔐 Login fehlgeschlagen',
+            failed: '❌ Fehlgeschlagen',
+            cancelled: '⏹️ Abgebrochen',
+            deferred: '🌙 Eingeplant'
+        };
+        const runTriggers = { scheduled: 'Zeitplan', manual: 'Dashboard/API', cli: 'CLI', window: 'Download-Fenster' };
+        const downloadInterruptions = {
+            stall: 'Stillstand',
+            slow: 'zu langsam',
+            connect_timeout: 'Verbindungsaufbau',
+            cancelled: 'abgebrochen',
+            error: 'Fehler'
+        };
+
+        function formatBytes(bytes) {
+            if (!bytes) return '0 Bytes';
+            const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+            const i = Math.floor(Math.log(bytes) / Math.log(1024));
+            return parseFloat((bytes / Math.pow(1024, i)).toFixed(2)) + ' ' + sizes[i];
+        }
+
+        function formatDuration(ms) {
+            if (!ms && ms !== 0) return '-';
+            const seconds = Math.round(ms / 1000);
+            return seconds < 60 ? seconds + ' s' : Math.floor(seconds / 60) + ' min ' + (seconds % 60) + ' s';
+        }
+
+        async function loadRuns() {
+            const content = document.getElementById('runsContent');
+            const params = new URLSearchParams({ limit: '100' });
+            ['Provider', 'Trigger', 'Outcome'].forEach(name => {
+                const value = document.getElementById('runs' + name).value;
+                if (value) {
+                    params.set(name.toLowerCase(), value);
+                }
+            });
+            
+            try {
+                const response = await fetch('/api/runs?' + params.toString());
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+                }
+                
+                const data = await response.json();
+                if (data.runs.length === 0) {
+                    content.innerHTML = '<div class="loading">Keine Checks gefunden</div>';
+                    return;
+                }
+                
+                const table = document.createElement('table');
+                table.className = 'files-table runs-table';
+                table.innerHTML = '<thead><tr><th>Start</th><th>Provider</th><th>Auslöser</th><th>Ergebnis</th><th>Gefunden</th><th>Geladen</th><th>Größe</th><th>Dauer</th><th>Fehler</th></tr></thead>';
+                const body = document.createElement('tbody');
+                
+                data.runs.forEach(run => {
+                    const row = document.createElement('tr');
+                    row.className = 'run-row';
+                    [
+                        new Date(run.startedAt).toLocaleString('de-DE'),
+                        run.provider.toUpperCase(),
+                        runTriggers[run.trigger] || run.trigger,
+                        runOutcomes[run.outcome] || run.outcome,
+                        run.discoveredCount,
+                        run.downloadedCount,
+                        formatBytes(run.bytes),
+                        formatDuration(run.durationMs),
+                        run.errorCount
+                    ].forEach(text => {
+                        const cell = document.createElement('td');
+                        cell.textContent = text;
+                        row.appendChild(cell);
+                    });
+                    row.onclick = () => toggleRunDetails(row, run.id);
+                    body.appendChild(row);
+                });
+                
+                table.appendChild(body);
+                content.innerHTML = '';
+                const total = document.createElement('div');
+                total.textContent = data.runs.length + ' von ' + data.total + ' Checks';
+                content.append(total, table);
+            } catch (error) {
+                console.error('Fehler beim Laden der Historie:', error);
+                content.innerHTML = '<div class="error">Fehler beim Laden der Historie</div>';
+            }
+        }
+
+        async function toggleRunDetails(row, id) {
+            if (row.nextSibling && row.nextSibling.classList.contains('run-details')) {
+                row.nextSibling.remove();
+                return;
+            }
+            
+            try {
+                const response = await fetch('/api/runs/' + encodeURIComponent(id));
+                const run = await response.json();
+                
+                const detailsRow = document.createElement('tr');
+                detailsRow.className = 'run-details';
+                const cell = document.createElement('td');
+                cell.colSpan = 9;
+                
+                const addList = (title, items) => {
+                    const heading = document.createElement('strong');
+                    heading.textContent = title + ' (' + items.length + ')';
+                    const list = document.createElement('ul');
+                    items.forEach(text => {
+                        const item = document.createElement('li');
+                        item.textContent = text;
+                        list.appendChild(item);
+                    });
+                    cell.append(heading, list);
+                };
+                
+                const login = document.createElement('div');
+                login.textContent = 'Login: ' + (run.login || '-') + (run.traceId ? ' | Trace: ' + run.traceId : '');
+                cell.appendChild(login);
+                addList('Gefunden', run.discovered.map(item => item.displayName + ' (' + item.version + ')' + (item.isNew ? ' - neu' : '')));
+                addList('Geladen', run.downloaded.map(item => item.fileName + ' - ' + formatBytes(item.bytes)));
+                addList('Fehler', run.errors);
+                // Ältere Runs haben noch keine Abbrüche gespeichert
+                addList('Download-Abbrüche', (run.interruptions || []).map(item =>
+                    item.displayName + ' (Versuch ' + item.attempt + ', ' + (downloadInterruptions[item.reason] || item.reason) + '): ' + item.message));
+                addList('Für das Download-Fenster eingeplant', (run.deferred || []).map(item => item.displayName + ' (' + item.version + ')'));
+                
+                detailsRow.appendChild(cell);
+                row.after(detailsRow);
+            } catch (error) {
+                showNotification('❌ Fehler: ' + error.message, 'error');
+            }
+        }
+
+        async function loadDiagnostics(provider) {
+            const tabs = document.getElementById('diagnosticsTabs');
+            const content = document.getElementById('diagnosticsContent');
+            
+            try {
+                const response = await fetch('/api/diagnostics');
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+                }
+                
+                const providers = Object.keys(await response.json());
+                if (providers.length === 0) {
+                    tabs.innerHTML = '';
+                    content.innerHTML = '<div class="loading">Keine Diagnosedaten oder Traces vorhanden</div>';
+                    return;
+                }
+                
+                const selected = provider && providers.includes(provider) ? provider : providers[0];
+                tabs.innerHTML = '';
+                providers.forEach(name => {
+                    const button = document.createElement('button');
+                    button.className = 'tab-button' + (name === selected ? ' active' : '');
+                    button.textContent = name.toUpperCase();
+                    button.onclick = () => loadDiagnostics(name);
+                    tabs.appendChild(button);
+                });
+                
+                const entriesResponse = await fetch('/api/diagnostics/' + encodeURIComponent(selected));
+                const entries = await entriesResponse.json();
+                const labels = { 'screenshot.png': '🖼️ Screenshot', 'page.html': '📄 HTML', 'console.json': '🧾 Konsole', 'trace.zip': '🎞️ Trace' };
+                
+                content.innerHTML = '';
+                entries.forEach(entry => {
+                    const item = document.createElement('div');
+                    item.className = 'diagnostics-entry';
+                    
+                    if (entry.urls['screenshot.png']) {
+                        const link = document.createElement('a');
+                        link.href = entry.urls['screenshot.png'];
+                        link.target = '_blank';
+                        const image = document.createElement('img');
+                        image.src = entry.urls['screenshot.png'];
+                        image.alt = 'Screenshot';
+                        image.loading = 'lazy';
+                        link.appendChild(image);
+                        item.appendChild(link);
+                    }
+                    
+                    const details = document.createElement('div');
+                    const title = document.createElement('strong');
+                    title.textContent = new Date(entry.capturedAt).toLocaleString('de-DE') + ' - ' +
+                        (entry.step === 'trace' ? 'Trace-Aufzeichnung' : entry.step);
+                    const error = document.createElement('div');
+                    error.className = 'diagnostics-error';
+                    if (entry.step === 'trace') {
+                        error.textContent = entry.error || 'Check ohne Fehler abgeschlossen';
+                    } else {
+                        error.textContent = entry.error || 'Unbekannter Fehler';
+                    }
+                    const url = document.createElement('div');
+                    url.textContent = entry.url || '';
+                    details.append(title, error, url);
+                    
+                    Object.keys(entry.urls).forEach(file => {
+                        const link = document.createElement('a');
+                        link.href = entry.urls[file];
+                        link.target = '_blank';
+                        link.textContent = labels[file] || file;
+                        details.appendChild(link);
+                    });
+                    
+                    item.appendChild(details);
+                    content.appendChild(item);
+                });
+            } catch (error) {
+                console.error('Fehler beim Laden der Diagnosedaten:', error);
+                content.innerHTML = '<div class="error">Fehler beim Laden der Diagnosedaten</div>';
+            }
+        }
+
+        async function rotateCredential(name, input) {
+            if (!input.value) {
+                showNotification('❌ Bitte einen neuen Wert eingeben', 'error');
+                return;
+            }
+            
+            try {
+                const response = await fetch('/api/credentials/' + encodeURIComponent(name), {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ value: input.value })
+                });
+                const result = await response.json();
+                
+                if (result.success) {
+                    input.value = '';
+                    showNotification('✅ ' + name + ' aktualisiert', 'success');
+                    loadCredentials();
+                } else {
+                    showNotification('❌ Fehler: ' + result.error, 'error');
+                }
+            } catch (error) {
+                showNotification('❌ Fehler: ' + error.message, 'error');
+            }
+        }
+
         async function testEmail() {
             try {
                 showNotification('📧 Teste E-Mail-Verbindung...', 'info');
@@ -2013,17 +3481,145 @@ class WebServer {
             }
         }
 
+        // Live-Updates über Server-Sent Events, das Polling läuft nur ohne verbundenen Stream
+        let eventsConnected = false;
+
+        function connectEvents() {
+            const events = new EventSource('/api/events');
+            
+            events.onopen = () => {
+                eventsConnected = true;
+            };
+            events.onerror = () => {
+                // EventSource verbindet sich selbst neu, bis dahin wird wieder gepollt
+                eventsConnected = false;
+                pollJobs();
+            };
+            
+            events.addEventListener('log', event => appendLogLine(JSON.parse(event.data).line));
+            events.addEventListener('job', event => onJobEvent(JSON.parse(event.data)));
+            events.addEventListener('download_progress', event => {
+                const data = JSON.parse(event.data);
+                renderDownloadProgress(data.provider, data);
+            });
+            
+            events.addEventListener('run_started', () => loadRuns());
+            events.addEventListener('run_finished', event => onRunFinished(JSON.parse(event.data)));
+            
+            events.addEventListener('new_version', event => {
+                const data = JSON.parse(event.data);
+                showNotification('🆕 ' + data.provider.toUpperCase() + ': ' + data.displayName + ' ' + data.version, 'info');
+            });
+            
+            events.addEventListener('downloads_deferred', event => {
+                const data = JSON.parse(event.data);
+                showNotification('🌙 ' + data.provider.toUpperCase() + ': ' + data.updates.length + ' Update(s) ab ' + new Date(data.opensAt).toLocaleString('de-DE') + ' eingeplant', 'info');
+            });
+            
+            events.addEventListener('login_failure', event => {
+                const data = JSON.parse(event.data);
+                showNotification('🔐 Login bei ' + data.provider.toUpperCase() + ' fehlgeschlagen: ' + data.error, 'error');
+                if (data.diagnosticsId) {
+                    loadDiagnostics(data.provider);
+                }
+            });
+            
+            events.addEventListener('next_check', event => {
+                const data = JSON.parse(event.data);
+                document.getElementById('nextCheckTime').textContent = data.nextCheckTimeFormatted || 'Nicht verfügbar';
+            });
+        }
+
+        function onJobEvent(job) {
+            // Auch Checks aus dem Zeitplan oder der CLI anzeigen
+            const previous = watchedJobs.get(job.id);
+            const finished = ['finished', 'failed', 'cancelled'].includes(job.state);
+            watchedJobs.set(job.id, job);
+            
+            if (finished && (!previous || previous.state !== job.state)) {
+                onJobFinished(job);
+            }
+            renderJobs();
+        }
+
+        async function onRunFinished(run) {
+            loadRuns();
+            
+            try {
+                // Nur die betroffenen Daten neu laden
+                await loadStatus();
+                if (run.downloadedCount > 0) {
+                    await loadProviderFiles(run.provider);
+                    updateProviderTabs();
+                    showProviderFiles(currentProvider || run.provider);
+                    await loadDiskUsage();
+                }
+            } catch (error) {
+                console.error('Fehler beim Aktualisieren nach dem Check:', error);
+            }
+        }
+
+        function appendLogLine(line) {
+            const logsContent = document.getElementById('logsContent');
+            const wasAtBottom = logsContent.scrollTop + logsContent.clientHeight >= logsContent.scrollHeight - 10;
+            
+            // Platzhalter wie "Keine Logs verfügbar" entfernen
+            logsContent.querySelectorAll('.loading').forEach(element => element.remove());
+            
+            const row = document.createElement('div');
+            row.className = 'log-line';
+            if (line.includes('[ERROR]')) {
+                row.classList.add('log-error');
+            } else if (line.includes('[WARN]')) {
+                row.classList.add('log-warn');
+            } else if (line.includes('[INFO]')) {
+                row.classList.add('log-info');
+            } else if (line.includes('[DEBUG]')) {
+                row.classList.add('log-debug');
+            }
+            row.textContent = line;
+            logsContent.appendChild(row);
+            
+            // Wie /api/logs nur die letzten 200 Zeilen behalten
+            while (logsContent.children.length > 200) {
+                logsContent.removeChild(logsContent.firstChild);
+            }
+            
+            if (wasAtBottom) {
+                logsContent.scrollTop = logsContent.scrollHeight;
+            }
+        }
+
         // Lade Daten beim Start
-        document.addEventListener('DOMContentLoaded', () => {
+        document.addEventListener('DOMContentLoaded', async () => {
+            await loadRegistry();
             loadData();
+            loadCredentials();
+            loadRuns();
+            loadDiagnostics();
             loadLogs(); // Lade Logs automatisch beim Start
+            connectEvents();
         });
         
-        // Auto-Refresh alle 30 Sekunden
-        setInterval(loadData, 30000);
+        // Auto-Refresh alle 30 Sekunden, mit Event-Stream nur noch alle 5 Minuten (Speicherplatz, Dateien anderer Prozesse)
+        let lastFullRefresh = Date.now();
+        setInterval(() => {
+            if (!eventsConnected || Date.now() - lastFullRefresh >= 5 * 60 * 1000) {
+                lastFullRefresh = Date.now();
+                loadData();
+            }
+        }, 30000);
+        
+        // Auto-Refresh Logs alle 2 Sekunden, solange kein Event-Stream verbunden ist
+        setInterval(() => {
+            if (!eventsConnected) {
+                loadLogs();
+            }
+        }, 2000);
         
-        // Auto-Refresh Logs alle 2 Sekunden für bessere Echtzeit-Anzeige
-        setInterval(loadLogs, 2000);
+        // Offene MFA-Abfragen prüfen, ein wartender Login läuft sonst in den Timeout
+        loadMfaRequests();
+        setInterval(loadMfaRequests, 3000);
     </script>
 </body>
 </html>
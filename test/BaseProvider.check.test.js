@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { chromium } from 'playwright';
+import { BaseProvider } from '../src/base/BaseProvider.js';
+import { runHistory } from '../src/utils/RunHistory.js';
+import { createProvider } from './helpers/provider.js';
+
+class PortalProvider extends BaseProvider {
+  static providerName = 'portal';
+
+  async login() {
+    this.logins.push(this.browser.id);
+    this.isLoggedIn = true;
+    return true;
+  }
+
+  async checkForUpdates() {
+    // Same pattern as the portal providers, a logged in instance skips the login
+    if (!this.isLoggedIn) {
+      await this.login();
+    }
+    return [];
+  }
+}
+
+function createFakeBrowser(id) {
+  const page = { on: () => {} };
+  const context = { newPage: async () => page, storageState: async () => ({}) };
+  return { id, newContext: async () => context, close: async () => {} };
+}
+
+test('logs in again when the manager reuses the instance for the next check', async (t) => {
+  const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'caros-check-'));
+  let launched = 0;
+  t.mock.method(chromium, 'launch', async () => createFakeBrowser(++launched));
+  const runs = [];
+  t.mock.method(runHistory, 'save', async run => runs.push(run));
+
+  const provider = createProvider(PortalProvider, {
+    downloadDir,
+    logins: [],
+    isLoggedIn: false,
+    metadataManager: { getProviderStatus: async () => null },
+    sessionStore: { load: async () => null, isEnabled: () => false },
+    diagnosticsStore: { isEnabled: () => false },
+    browser: null,
+    context: null,
+    page: null
+  });
+
+  // Same sequence as ProviderManager.executeCheck for two jobs
+  for (let job = 0; job < 2; job++) {
+    await provider.initialize();
+    await provider.runCheck({ trigger: 'api' });
+    await provider.cleanup();
+  }
+
+  assert.deepEqual(provider.logins, [1, 2]);
+  assert.deepEqual(runs.map(run => run.login), ['success', 'success']);
+  assert.equal(provider.browser, null);
+  assert.equal(provider.page, null);
+  assert.equal(provider.isLoggedIn, false);
+
+  fs.rmSync(downloadDir, { recursive: true, force: true });
+});
+
+test('does not start a check that was cancelled while the browser was starting', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const provider = createProvider(PortalProvider, { logins: [], isLoggedIn: false });
+
+  await assert.rejects(provider.runCheck({ signal: controller.signal }), /abgebrochen/);
+  assert.deepEqual(provider.logins, []);
+});
+
+test('aborts a transfer of a job that is already cancelled', () => {
+  const controller = new AbortController();
+  controller.abort();
+  const provider = createProvider(BaseProvider, { abortSignal: controller.signal });
+
+  const watchdog = provider.createTransferWatchdog({ connectTimeoutMs: 0, stallTimeoutMs: 0, minBytesPerSecond: 0 });
+  assert.equal(watchdog.signal.aborted, true);
+  watchdog.stop();
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseProvider } from '../src/base/BaseProvider.js';
+import { createProvider } from './helpers/provider.js';
+
+function errorWith(fields, message = 'Fehler') {
+  return Object.assign(new Error(message), fields);
+}
+
+function createRetryProvider(attempts, fields = {}) {
+  return createProvider(BaseProvider, {
+    getRetryPolicy: kind => ({ kind, attempts, baseDelayMs: 1, maxDelayMs: 1 }),
+    ...fields
+  });
+}
+
+test('retries network and server errors but not client errors or bad credentials', () => {
+  assert.equal(BaseProvider.isRetryableError(errorWith({ code: 'ECONNRESET' })), true);
+  assert.equal(BaseProvider.isRetryableError(errorWith({ name: 'TimeoutError' })), true);
+  assert.equal(BaseProvider.isRetryableError(errorWith({ status: 503 })), true);
+  assert.equal(BaseProvider.isRetryableError(errorWith({ response: { status: 429 } })), true);
+  assert.equal(BaseProvider.isRetryableError(errorWith({ reason: 'stall' })), true);
+  assert.equal(BaseProvider.isRetryableError(errorWith({}, 'net::ERR_CONNECTION_CLOSED')), true);
+
+  assert.equal(BaseProvider.isRetryableError(errorWith({ status: 404 })), false);
+  assert.equal(BaseProvider.isRetryableError(errorWith({ response: { status: 401 } })), false);
+  assert.equal(BaseProvider.isRetryableError(errorWith({ fatal: true, code: 'ECONNRESET' })), false);
+  assert.equal(BaseProvider.isRetryableError(errorWith({}, 'Benutzername oder Passwort falsch')), false);
+});
+
+test('treats unknown errors as retryable unless the step opts out', () => {
+  const error = new Error('Element nicht gefunden');
+  assert.equal(BaseProvider.isRetryableError(error), true);
+  assert.equal(BaseProvider.isRetryableError(error, { retryUnknown: false }), false);
+});
+
+test('doubles the backoff per attempt, caps it and randomizes the upper half', (t) => {
+  const provider = createProvider(BaseProvider);
+  const policy = { baseDelayMs: 10000, maxDelayMs: 60000 };
+
+  t.mock.method(Math, 'random', () => 0);
+  assert.deepEqual([1, 2, 3, 4, 5].map(attempt => provider.getRetryDelay(policy, attempt)), [5000, 10000, 20000, 30000, 30000]);
+
+  Math.random.mock.mockImplementation(() => 1);
+  assert.deepEqual([1, 2, 3, 4, 5].map(attempt => provider.getRetryDelay(policy, attempt)), [10000, 20000, 40000, 60000, 60000]);
+});
+
+test('reads the policy from the provider and global settings', () => {
+  const provider = createProvider(BaseProvider);
+  process.env.RETRY_NAVIGATION_BASE_DELAY_SECONDS = '2';
+  process.env.TEST_RETRY_NAVIGATION_ATTEMPTS = '5';
+
+  try {
+    assert.deepEqual(provider.getRetryPolicy('navigation'), { kind: 'navigation', attempts: 5, baseDelayMs: 2000, maxDelayMs: 120000 });
+    assert.deepEqual(provider.getRetryPolicy('login'), { kind: 'login', attempts: 2, baseDelayMs: 30000, maxDelayMs: 300000 });
+  } finally {
+    delete process.env.RETRY_NAVIGATION_BASE_DELAY_SECONDS;
+    delete process.env.TEST_RETRY_NAVIGATION_ATTEMPTS;
+  }
+});
+
+test('repeats a failing operation up to the configured attempts', async () => {
+  const provider = createRetryProvider(3);
+  const attempts = [];
+
+  await assert.rejects(provider.withRetry('download', 'Download', async attempt => {
+    attempts.push(attempt);
+    throw errorWith({ code: 'ETIMEDOUT' });
+  }), { code: 'ETIMEDOUT' });
+  assert.deepEqual(attempts, [1, 2, 3]);
+
+  const result = await provider.withRetry('download', 'Download', async attempt => {
+    if (attempt < 2) {
+      throw errorWith({ status: 502 });
+    }
+    return 'ok';
+  });
+  assert.equal(result, 'ok');
+  assert.equal(provider.retryContext, null);
+});
+
+test('gives up right away on errors that will not change', async () => {
+  const provider = createRetryProvider(3);
+  let calls = 0;
+
+  await assert.rejects(provider.withRetry('download', 'Download', async () => {
+    calls++;
+    throw errorWith({ status: 403 });
+  }), { status: 403 });
+  assert.equal(calls, 1);
+});
+
+test('stops retrying once the job is cancelled', async () => {
+  const controller = new AbortController();
+  const provider = createRetryProvider(5, { abortSignal: controller.signal });
+  let calls = 0;
+
+  await assert.rejects(provider.withRetry('download', 'Download', async () => {
+    calls++;
+    controller.abort();
+    throw errorWith({ code: 'ECONNRESET' });
+  }), { code: 'ECONNRESET' });
+  assert.equal(calls, 1);
+});
+
+test('skips the backoff of a job that is already cancelled', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const provider = createProvider(BaseProvider, { abortSignal: controller.signal });
+
+  const startedAt = Date.now();
+  await provider.waitForRetry(60000);
+  assert.ok(Date.now() - startedAt < 1000);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { BaseProvider } from '../src/base/BaseProvider.js';
+import { createProvider } from './helpers/provider.js';
+
+async function transfer(throttle, chunks) {
+  const received = [];
+  const startedAt = Date.now();
+
+  await pipeline(
+    Readable.from(chunks),
+    throttle,
+    new Writable({
+      write(chunk, encoding, callback) {
+        received.push(chunk);
+        callback();
+      }
+    })
+  );
+
+  return { received, elapsedMs: Date.now() - startedAt };
+}
+
+test('slows a transfer down to the configured rate', async () => {
+  const provider = createProvider(BaseProvider);
+  const chunks = Array.from({ length: 10 }, () => Buffer.alloc(10 * 1024));
+
+  // 100 KiB at 200 KiB/s
+  const { received, elapsedMs } = await transfer(provider.createThrottle(200 * 1024), chunks);
+
+  assert.equal(Buffer.concat(received).length, 100 * 1024);
+  assert.ok(elapsedMs >= 450, `${elapsedMs} ms`);
+  assert.ok(elapsedMs < 1500, `${elapsedMs} ms`);
+});
+
+test('passes data through without delay when it arrives slower than the limit', async () => {
+  const provider = createProvider(BaseProvider);
+  const { received, elapsedMs } = await transfer(provider.createThrottle(10 * 1024 * 1024), [Buffer.alloc(1024), Buffer.alloc(1024)]);
+
+  assert.equal(received.length, 2);
+  assert.ok(elapsedMs < 100, `${elapsedMs} ms`);
+});
+
+test('keeps the minimum throughput below the bandwidth limit', () => {
+  const warnings = [];
+  const provider = createProvider(BaseProvider, {
+    logger: { warn: (message) => warnings.push(message) }
+  });
+  const config = { DOWNLOAD_MAX_KBPS: '500', DOWNLOAD_MIN_THROUGHPUT_KBPS: '1024' };
+  provider.getConfig = (key) => config[key];
+
+  const limits = provider.getDownloadLimits(null);
+
+  assert.equal(limits.maxBytesPerSecond, 500 * 1024);
+  assert.equal(limits.minBytesPerSecond, 250 * 1024);
+  assert.equal(warnings.length, 1);
+});
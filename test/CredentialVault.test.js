@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CredentialVault } from '../src/utils/CredentialVault.js';
+
+function createVaultFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'caros-vault-'));
+  return path.join(dir, 'credentials.vault');
+}
+
+test('picks up a rotation written by another process', () => {
+  const vaultFile = createVaultFile();
+  const server = new CredentialVault({ vaultFile, masterKey: 'master-key' });
+  const tool = new CredentialVault({ vaultFile, masterKey: 'master-key' });
+
+  tool.set('BMW_PASSWORD', 'first-secret');
+  assert.equal(server.get('BMW_PASSWORD'), 'first-secret');
+
+  tool.set('BMW_PASSWORD', 'second-secret');
+  assert.equal(server.get('BMW_PASSWORD'), 'second-secret');
+  assert.equal(server.redact('login with second-secret'), 'login with ***');
+
+  fs.rmSync(path.dirname(vaultFile), { recursive: true, force: true });
+});
+
+test('redacts without throwing when the vault cannot be decrypted', () => {
+  const vaultFile = createVaultFile();
+  new CredentialVault({ vaultFile, masterKey: 'master-key' }).set('BMW_PASSWORD', 'vault-secret');
+
+  const vault = new CredentialVault({ vaultFile, masterKey: 'wrong-key' });
+  assert.throws(() => vault.get('BMW_PASSWORD'), /konnte nicht entschlüsselt werden/);
+  assert.equal(vault.redact('nothing to hide'), 'nothing to hide');
+
+  fs.rmSync(path.dirname(vaultFile), { recursive: true, force: true });
+});
+
+test('keeps redacting known secrets after the vault becomes unreadable', () => {
+  const vaultFile = createVaultFile();
+  const vault = new CredentialVault({ vaultFile, masterKey: 'master-key' });
+  vault.set('BMW_PASSWORD', 'vault-secret');
+  assert.equal(vault.get('BMW_PASSWORD'), 'vault-secret');
+
+  fs.writeFileSync(vaultFile, 'garbage');
+  assert.equal(vault.redact('password vault-secret'), 'password ***');
+
+  fs.rmSync(path.dirname(vaultFile), { recursive: true, force: true });
+});
+
+test('decrypts an unreadable vault again only after the file has changed', (t) => {
+  const vaultFile = createVaultFile();
+  new CredentialVault({ vaultFile, masterKey: 'master-key' }).set('BMW_PASSWORD', 'vault-secret');
+
+  const vault = new CredentialVault({ vaultFile, masterKey: 'wrong-key' });
+  const decrypt = t.mock.method(vault.cipher, 'decrypt');
+
+  assert.throws(() => vault.get('BMW_PASSWORD'), /konnte nicht entschlüsselt werden/);
+  assert.throws(() => vault.get('BMW_PASSWORD'), /konnte nicht entschlüsselt werden/);
+  vault.redact('line one');
+  vault.redact('line two');
+  assert.equal(decrypt.mock.callCount(), 1);
+
+  fs.utimesSync(vaultFile, new Date(), new Date(Date.now() + 5000));
+  assert.throws(() => vault.get('BMW_PASSWORD'), /konnte nicht entschlüsselt werden/);
+  assert.equal(decrypt.mock.callCount(), 2);
+
+  fs.rmSync(path.dirname(vaultFile), { recursive: true, force: true });
+});
+
+test('builds the list of values to redact once instead of for every line', (t) => {
+  const vaultFile = createVaultFile();
+  const vault = new CredentialVault({ vaultFile, masterKey: 'master-key' });
+  vault.set('BMW_PASSWORD', 'vault-secret');
+  const readMtime = t.mock.method(vault, 'readMtime');
+
+  for (let line = 0; line < 100; line++) {
+    assert.equal(vault.redact(`line ${line} vault-secret`), `line ${line} ***`);
+  }
+  assert.ok(readMtime.mock.callCount() <= 2);
+
+  // A rotation through the same instance applies to the next line
+  vault.set('BMW_PASSWORD', 'rotated-secret');
+  assert.equal(vault.redact('rotated-secret'), '***');
+
+  fs.rmSync(path.dirname(vaultFile), { recursive: true, force: true });
+});
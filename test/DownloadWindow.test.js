@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DownloadWindow } from '../src/utils/DownloadWindow.js';
+
+// Local time, like the window itself
+const at = (hours, minutes = 0, day = 1) => new Date(2025, 2, day, hours, minutes);
+
+test('parses single and multiple ranges into minutes of the day', () => {
+  assert.deepEqual(DownloadWindow.parse('20:00-06:00'), [{ start: 1200, end: 360 }]);
+  assert.deepEqual(DownloadWindow.parse('12:00 - 13:30, 0:00-24:00'), [{ start: 720, end: 810 }, { start: 0, end: 0 }]);
+  assert.deepEqual(DownloadWindow.parse(''), []);
+});
+
+test('rejects malformed ranges and times', () => {
+  assert.throws(() => DownloadWindow.parse('nachts'), /Ungültiges Download-Fenster/);
+  assert.throws(() => DownloadWindow.parse('20-06'), /Ungültiges Download-Fenster/);
+  assert.throws(() => DownloadWindow.parse('25:00-06:00'), /Ungültige Uhrzeit/);
+  assert.throws(() => DownloadWindow.parse('20:60-06:00'), /Ungültige Uhrzeit/);
+});
+
+test('is always open without a configured window', () => {
+  const window = new DownloadWindow(null);
+  assert.equal(window.isRestricted(), false);
+  assert.equal(window.isOpen(at(14)), true);
+  assert.equal(window.openedAt(at(14)), null);
+  assert.equal(window.toString(), 'ganztägig');
+});
+
+test('handles a window running over midnight', () => {
+  const window = new DownloadWindow('20:00-06:00');
+
+  assert.equal(window.isOpen(at(19, 59)), false);
+  assert.equal(window.isOpen(at(20)), true);
+  assert.equal(window.isOpen(at(3)), true);
+  assert.equal(window.isOpen(at(6)), false);
+
+  assert.deepEqual(window.openedAt(at(23)), at(20));
+  assert.deepEqual(window.openedAt(at(3, 0, 2)), at(20, 0, 1));
+  assert.equal(window.openedAt(at(12)), null);
+});
+
+test('finds the next opening of the closest range', () => {
+  const window = new DownloadWindow('12:00-13:00, 20:00-06:00');
+
+  assert.deepEqual(window.nextOpening(at(7, 30)), at(12));
+  assert.deepEqual(window.nextOpening(at(13, 15)), at(20));
+  assert.deepEqual(window.nextOpening(at(21)), at(21));
+});
+
+test('treats equal start and end as the whole day', () => {
+  const window = new DownloadWindow('00:00-24:00');
+  assert.equal(window.isOpen(at(0)), true);
+  assert.equal(window.isOpen(at(23, 59)), true);
+});
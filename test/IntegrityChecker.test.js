@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { IntegrityChecker } from '../src/utils/IntegrityChecker.js';
+
+async function createProviderFiles() {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'caros-verify-'));
+  fs.mkdirSync(path.join(baseDir, 'bmw'));
+  fs.writeFileSync(path.join(baseDir, 'bmw', 'ISTA_4.53.30.zip'), 'ista');
+  fs.writeFileSync(path.join(baseDir, 'bmw', 'ISTA-P_3.74.0.zip'), 'changed on disk');
+
+  const checker = new IntegrityChecker(baseDir);
+  await checker.metadataManager.updateArtifact('bmw', 'ista_next', {
+    fileName: 'ISTA_4.53.30.zip',
+    sha256: crypto.createHash('sha256').update('ista').digest('hex')
+  });
+  await checker.metadataManager.updateArtifact('bmw', 'ista_p', {
+    fileName: 'ISTA-P_3.74.0.zip',
+    sha256: crypto.createHash('sha256').update('ista-p').digest('hex')
+  });
+  await checker.metadataManager.updateArtifact('bmw', 'ista_p_data', { fileName: 'ISTA-P_data.istapdata' });
+
+  return { baseDir, checker };
+}
+
+test('verifies every file of a provider and reports the progress per file', async () => {
+  const { baseDir, checker } = await createProviderFiles();
+  const progress = [];
+
+  const result = await checker.verifyProvider('bmw', { onFile: (fileName, index, total) => progress.push([fileName, index, total]) });
+
+  assert.deepEqual(result.files.map(file => [file.fileName, file.status]), [
+    ['ISTA_4.53.30.zip', 'ok'],
+    ['ISTA-P_3.74.0.zip', 'mismatch'],
+    ['ISTA-P_data.istapdata', 'missing']
+  ]);
+  assert.deepEqual(progress.map(([, index, total]) => [index, total]), [[0, 3], [1, 3], [2, 3]]);
+
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+test('stops when the verify job is cancelled', async () => {
+  const { baseDir, checker } = await createProviderFiles();
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(checker.verifyProvider('bmw', { signal: controller.signal }), { name: 'AbortError' });
+
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
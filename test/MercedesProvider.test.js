@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { MercedesProvider } from '../src/providers/MercedesProvider.js';
+import { BaseProvider } from '../src/base/BaseProvider.js';
+import { createProvider } from './helpers/provider.js';
+
+const html = fs.readFileSync(new URL('./fixtures/mercedes/xentry-releases.html', import.meta.url), 'utf-8');
+const baseUrl = 'https://b2bconnect.mercedes-benz.com/xentry/downloads';
+
+test('parses the release table of the portal', () => {
+  const provider = createProvider(MercedesProvider);
+  const downloads = provider.parseDownloadLinks(html, baseUrl);
+
+  // Release notes and navigation links are skipped, the row text replaces the "Download" label
+  assert.deepEqual(downloads.map(download => download.url), [
+    'https://b2bconnect.mercedes-benz.com/xentry/downloads/file?id=88213',
+    'https://b2bconnect.mercedes-benz.com/xentry/downloads/file?id=88220',
+    'https://b2bconnect.mercedes-benz.com/xentry/downloads/file?id=88231',
+    'https://b2bconnect.mercedes-benz.com/xentry/downloads/file?id=86102'
+  ]);
+  assert.equal(downloads[0].title, 'Download');
+  assert.match(downloads[0].releaseText, /XENTRY Diagnosis DVD-Image 03\/2025/);
+});
+
+test('checks add-on before pass thru before diagnosis DVD', () => {
+  const provider = createProvider(MercedesProvider);
+  const categorized = provider.categorizeDownloads(provider.parseDownloadLinks(html, baseUrl), 'xentry');
+
+  // "Diagnosis Pass Thru Add-On" matches all three, the add-on wins
+  assert.equal(categorized.addon.url, `${baseUrl}/file?id=88231`);
+  assert.equal(categorized.passthru_client.url, `${baseUrl}/file?id=88220`);
+  // The first diagnosis row is the newest release
+  assert.equal(categorized.diagnosis_dvd.url, `${baseUrl}/file?id=88213`);
+  assert.equal(categorized.diagnosis_dvd.displayName, 'XENTRY Diagnosis DVD-Image');
+});
+
+test('maps the release month to a comparable date', () => {
+  const provider = createProvider(MercedesProvider);
+  const categorized = provider.categorizeDownloads(provider.parseDownloadLinks(html, baseUrl), 'xentry');
+
+  assert.equal(categorized.diagnosis_dvd.version, '2025-03-01');
+  assert.equal(categorized.passthru_client.version, '2025-03-01');
+  assert.equal(categorized.addon.version, '2025-02-01');
+  assert.equal(provider.extractVersion('XENTRY 03/2025'), '2025-03-01');
+  assert.equal(provider.extractVersion('XENTRY 03.2025'), '2025-03-01');
+  assert.equal(provider.extractVersion('XENTRY 2025-03'), '2025-03-01');
+});
+
+test('honours the download filter', () => {
+  const provider = createProvider(MercedesProvider, { downloadFilter: ['Pass Thru Client'] });
+  const categorized = provider.categorizeDownloads(provider.parseDownloadLinks(html, baseUrl), 'xentry');
+
+  assert.deepEqual(Object.keys(categorized), ['passthru_client']);
+});
+
+test('names the files after the portal instead of the opaque download ids', async () => {
+  const headers = {
+    [`${baseUrl}/file?id=88213`]: 'attachment; filename="XENTRY_Diagnosis_DVD_03_2025.iso"',
+    [`${baseUrl}/file?id=88220`]: "attachment; filename*=UTF-8''XENTRY%20PassThru%20Client%202025-03.exe"
+  };
+  const requested = [];
+  const provider = createProvider(MercedesProvider, {
+    fetchRemoteFileInfo: async url => {
+      requested.push(url);
+      return { fileName: BaseProvider.parseContentDisposition(headers[url]) };
+    }
+  });
+
+  const categorized = provider.categorizeDownloads(provider.parseDownloadLinks(html, baseUrl), 'xentry');
+  await provider.resolveRemoteFileNames(categorized);
+
+  // The add-on row names its file, no request needed
+  assert.equal(provider.resolveFileName(categorized.addon), 'XENTRY_PassThru_AddOn_2502.zip');
+  assert.equal(provider.resolveFileName(categorized.diagnosis_dvd), 'XENTRY_Diagnosis_DVD_03_2025.iso');
+  assert.equal(provider.resolveFileName(categorized.passthru_client), 'XENTRY PassThru Client 2025-03.exe');
+  assert.deepEqual(requested.sort(), [`${baseUrl}/file?id=88213`, `${baseUrl}/file?id=88220`]);
+});
+
+test('reads and sanitizes the file name of a Content-Disposition header', () => {
+  assert.equal(BaseProvider.parseContentDisposition('attachment; filename=XENTRY.iso'), 'XENTRY.iso');
+  assert.equal(BaseProvider.parseContentDisposition('attachment; filename="a.iso"; filename*=UTF-8\'\'b%C3%A4.iso'), 'bä.iso');
+  assert.equal(BaseProvider.parseContentDisposition('attachment; filename="../../etc/passwd"'), 'passwd');
+  assert.equal(BaseProvider.parseContentDisposition('attachment; filename="..\\evil.exe"'), 'evil.exe');
+  assert.equal(BaseProvider.parseContentDisposition('attachment'), null);
+  assert.equal(BaseProvider.parseContentDisposition(undefined), null);
+});
@@ -0,0 +1,237 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import initSqlJs from 'sql.js';
+import winston from 'winston';
+import { MetadataStore } from '../src/utils/MetadataStore.js';
+import { MetadataManager } from '../src/utils/MetadataManager.js';
+import { Logger } from '../src/utils/Logger.js';
+import { BaseProvider } from '../src/base/BaseProvider.js';
+import { createProvider } from './helpers/provider.js';
+
+// No console output or metadata-downloader.log from the store
+Logger.shared.set('metadata', winston.createLogger({ silent: true }));
+
+function createDownloadDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'caros-metadata-'));
+}
+
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data));
+}
+
+test('imports the JSON metadata once and moves the retention history into the versions table', async () => {
+  const baseDir = createDownloadDir();
+  writeJson(path.join(baseDir, 'global_metadata.json'), {
+    lastGlobalUpdate: '2025-03-02T10:00:00.000Z',
+    providers: { bmw: { lastUpdate: '2025-03-01T10:00:00.000Z' } }
+  });
+  writeJson(path.join(baseDir, 'bmw', 'bmw_metadata.json'), {
+    lastUpdate: '2025-03-02T10:00:00.000Z',
+    downloads: {
+      ista: { version: '4.53.30', fileName: 'ISTA_4.53.30.zip', fileSize: 100, downloadedAt: '2025-03-02T10:00:00.000Z' }
+    },
+    anomalies: [{ category: 'ista', type: 'downgrade' }],
+    history: {
+      ista: [
+        { version: '4.52.10', fileName: 'ISTA_4.52.10.zip', archivePath: 'archive/ista/ISTA_4.52.10.zip', archivedAt: '2025-03-02T10:00:00.000Z' },
+        { version: '4.51.20', fileName: 'ISTA_4.51.20.zip', archivePath: 'archive/ista/ISTA_4.51.20.zip', archivedAt: '2025-02-01T10:00:00.000Z' }
+      ]
+    }
+  });
+  writeJson(path.join(baseDir, 'run_history.json'), {
+    runs: [{
+      id: 'run-1',
+      provider: 'bmw',
+      trigger: 'cli',
+      startedAt: '2025-03-02T09:59:00.000Z',
+      finishedAt: '2025-03-02T10:00:00.000Z',
+      durationMs: 60000,
+      login: 'success',
+      outcome: 'success',
+      bytes: 100
+    }]
+  });
+
+  const manager = new MetadataManager(baseDir);
+  const metadata = await manager.loadGlobalMetadata();
+  const bmw = metadata.providers.bmw;
+
+  assert.equal(metadata.lastGlobalUpdate, '2025-03-02T10:00:00.000Z');
+  assert.equal(bmw.lastUpdate, '2025-03-02T10:00:00.000Z');
+  assert.equal(bmw.downloads.ista.fileName, 'ISTA_4.53.30.zip');
+  assert.deepEqual(bmw.anomalies, [{ category: 'ista', type: 'downgrade' }]);
+  assert.equal(bmw.history, undefined);
+
+  const archived = await manager.getArchivedVersions('bmw', 'ista');
+  assert.deepEqual(archived.map(entry => entry.fileName), ['ISTA_4.52.10.zip', 'ISTA_4.51.20.zip']);
+  assert.equal(archived[0].archivePath, 'archive/ista/ISTA_4.52.10.zip');
+
+  const runs = await manager.store.read(() => manager.store.query('SELECT id, outcome FROM runs'));
+  assert.deepEqual(runs, [{ id: 'run-1', outcome: 'success' }]);
+
+  assert.ok(fs.existsSync(path.join(baseDir, 'global_metadata.json.migrated')));
+  assert.ok(fs.existsSync(path.join(baseDir, 'bmw', 'bmw_metadata.json.migrated')));
+  assert.ok(fs.existsSync(path.join(baseDir, 'run_history.json.migrated')));
+  assert.ok(!fs.existsSync(path.join(baseDir, 'bmw', 'bmw_metadata.json')));
+
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+test('stops the import on a damaged JSON file and leaves it in place', async () => {
+  const baseDir = createDownloadDir();
+  fs.writeFileSync(path.join(baseDir, 'global_metadata.json'), '{ "providers": ');
+
+  const store = new MetadataStore(baseDir);
+  await assert.rejects(store.read(() => null), /Import abgebrochen/);
+  assert.ok(fs.existsSync(path.join(baseDir, 'global_metadata.json')));
+  assert.ok(!fs.existsSync(path.join(baseDir, 'metadata.sqlite')));
+
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+test('migrates the retention history stored with the provider data', async () => {
+  const baseDir = createDownloadDir();
+
+  // Schema 1 as far as the migration touches it, with the history still in providers.data
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.exec(`
+    CREATE TABLE providers (name TEXT PRIMARY KEY, last_update TEXT, version TEXT NOT NULL DEFAULT '1.0.0', data TEXT);
+    CREATE TABLE versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, provider TEXT NOT NULL, category TEXT NOT NULL, version TEXT,
+      file_name TEXT, file_size INTEGER, sha256 TEXT, downloaded_at TEXT, superseded_at TEXT
+    );
+    PRAGMA user_version = 1;
+  `);
+  db.run('INSERT INTO versions (provider, category, version, file_name, superseded_at) VALUES (?, ?, ?, ?, ?)',
+    ['vw', 'odis', '25.1.0', 'ODIS_25_1_0.zip', '2025-03-01T10:00:00.000Z']);
+  db.run('INSERT INTO versions (provider, category, version, file_name) VALUES (?, ?, ?, ?)',
+    ['vw', 'odis', '25.2.0', 'ODIS_25_2_0.zip']);
+  db.run('INSERT INTO providers (name, data) VALUES (?, ?)', ['vw', JSON.stringify({
+    anomalies: [],
+    history: {
+      odis: [
+        { version: '25.1.0', fileName: 'ODIS_25_1_0.zip', archivePath: 'archive/odis/ODIS_25_1_0.zip', archivedAt: '2025-03-01T10:00:00.000Z' },
+        { version: '24.4.0', fileName: 'ODIS_24_4_0.zip', archivePath: 'archive/odis/ODIS_24_4_0.zip', archivedAt: '2024-12-01T10:00:00.000Z' }
+      ]
+    }
+  })]);
+  fs.writeFileSync(path.join(baseDir, 'metadata.sqlite'), Buffer.from(db.export()));
+  db.close();
+
+  const store = new MetadataStore(baseDir);
+  const { versions, data } = await store.read(() => ({
+    versions: store.query('SELECT version, file_name, archive_path FROM versions ORDER BY id'),
+    data: JSON.parse(store.query('SELECT data FROM providers WHERE name = ?', ['vw'])[0].data)
+  }));
+
+  assert.deepEqual(versions, [
+    { version: '25.1.0', file_name: 'ODIS_25_1_0.zip', archive_path: 'archive/odis/ODIS_25_1_0.zip' },
+    { version: '25.2.0', file_name: 'ODIS_25_2_0.zip', archive_path: null },
+    { version: '24.4.0', file_name: 'ODIS_24_4_0.zip', archive_path: 'archive/odis/ODIS_24_4_0.zip' }
+  ]);
+  assert.deepEqual(data, { anomalies: [] });
+
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+test('removes the lock of a process that is gone', async () => {
+  const baseDir = createDownloadDir();
+  const store = new MetadataStore(baseDir);
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  fs.writeFileSync(store.lockFile, JSON.stringify({ pid, acquiredAt: '2025-01-01T00:00:00.000Z' }));
+
+  await store.transaction(() => store.setSetting('lastGlobalUpdate', 'now'));
+  assert.ok(!fs.existsSync(store.lockFile));
+
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+test('removes a lock with our PID that an earlier process left behind', async () => {
+  const baseDir = createDownloadDir();
+  const store = new MetadataStore(baseDir);
+  fs.writeFileSync(store.lockFile, JSON.stringify({ pid: process.pid, token: 'earlier-process', acquiredAt: '2025-01-01T00:00:00.000Z' }));
+
+  await store.transaction(() => store.setSetting('lastGlobalUpdate', 'now'));
+  assert.ok(!fs.existsSync(store.lockFile));
+
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+test('removes a half written lock once it is old enough', async () => {
+  const baseDir = createDownloadDir();
+  const store = new MetadataStore(baseDir);
+  store.lockTimeoutMs = 300;
+  fs.writeFileSync(store.lockFile, '');
+
+  await assert.rejects(store.read(() => null), /gesperrt/);
+
+  fs.utimesSync(store.lockFile, new Date('2025-01-01'), new Date('2025-01-01'));
+  await store.read(() => null);
+  assert.ok(!fs.existsSync(store.lockFile));
+
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+test('waits for the lock of a running process however old it is', async () => {
+  const baseDir = createDownloadDir();
+  const store = new MetadataStore(baseDir);
+  store.lockTimeoutMs = 300;
+  fs.writeFileSync(store.lockFile, JSON.stringify({ pid: process.ppid, acquiredAt: '2025-01-01T00:00:00.000Z' }));
+  fs.utimesSync(store.lockFile, new Date('2025-01-01'), new Date('2025-01-01'));
+
+  await assert.rejects(store.read(() => null), /gesperrt/);
+  assert.ok(fs.existsSync(store.lockFile));
+
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+test('leaves a lock alone that another process has taken over', async () => {
+  const baseDir = createDownloadDir();
+  const store = new MetadataStore(baseDir);
+  const foreignLock = JSON.stringify({ pid: process.ppid, acquiredAt: new Date().toISOString() });
+
+  await store.read(() => fs.writeFileSync(store.lockFile, foreignLock));
+  assert.equal(fs.readFileSync(store.lockFile, 'utf-8'), foreignLock);
+
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+test('keeps the backup taken when the database was opened instead of renewing it on every write', async () => {
+  const baseDir = createDownloadDir();
+  await new MetadataStore(baseDir).transaction(() => {});
+  const opened = fs.readFileSync(path.join(baseDir, 'metadata.sqlite'));
+
+  const store = new MetadataStore(baseDir);
+  await store.transaction(() => store.setSetting('lastGlobalUpdate', 'first'));
+  await store.transaction(() => store.setSetting('lastGlobalUpdate', 'second'));
+
+  assert.deepEqual(fs.readFileSync(store.backupFile), opened);
+  assert.notDeepEqual(fs.readFileSync(store.dbFile), opened);
+
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+test('keeps artifacts another process wrote when the provider saves its own state', async () => {
+  const baseDir = createDownloadDir();
+  const manager = new MetadataManager(baseDir);
+  await manager.updateArtifact('bmw', 'ista', { version: '4.52.10', fileName: 'ISTA_4.52.10.zip' });
+
+  const provider = createProvider(BaseProvider, { providerName: 'bmw', metadataManager: manager });
+  await provider.loadMetadata();
+
+  // A verify run or a second process updates the artifact after this instance loaded it
+  await new MetadataManager(baseDir).updateArtifact('bmw', 'ista', { version: '4.53.30', fileName: 'ISTA_4.53.30.zip' });
+  await provider.recordAnomaly({ category: 'ista', offeredVersion: '4.50.00', currentVersion: '4.52.10' });
+
+  const bmw = await manager.getProviderStatus('bmw');
+  assert.equal(bmw.downloads.ista.version, '4.53.30');
+  assert.equal(bmw.anomalies[0].offeredVersion, '4.50.00');
+
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
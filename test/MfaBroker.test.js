@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MfaBroker } from '../src/utils/MfaBroker.js';
+
+test('resolves with the code submitted in the dashboard', async () => {
+  const broker = new MfaBroker();
+  const code = broker.requestCode('bmw', { timeoutMs: 1000 });
+
+  const [request] = broker.getPending();
+  assert.equal(request.provider, 'bmw');
+  assert.equal(broker.submitCode(request.id, ' 123456 '), true);
+  assert.equal(await code, '123456');
+  assert.deepEqual(broker.getPending(), []);
+});
+
+test('withdraws the request when the job is aborted', async () => {
+  const broker = new MfaBroker();
+  const controller = new AbortController();
+  const code = broker.requestCode('bmw', { timeoutMs: 60000, signal: controller.signal });
+
+  assert.equal(broker.getPending().length, 1);
+  controller.abort();
+  await assert.rejects(code, /abgebrochen/);
+  assert.deepEqual(broker.getPending(), []);
+});
+
+test('rejects right away for an already aborted job', async () => {
+  const broker = new MfaBroker();
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(broker.requestCode('bmw', { signal: controller.signal }), /abgebrochen/);
+  assert.deepEqual(broker.getPending(), []);
+});
+
+test('times out without a code', async () => {
+  const broker = new MfaBroker();
+  await assert.rejects(broker.requestCode('bmw', { timeoutMs: 10 }), /Kein MFA-Code/);
+  assert.deepEqual(broker.getPending(), []);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { StellantisProvider } from '../src/providers/StellantisProvider.js';
+import { createProvider } from './helpers/provider.js';
+
+const readFixture = name => fs.readFileSync(new URL(`./fixtures/stellantis/${name}`, import.meta.url), 'utf-8');
+const diagboxUrl = 'https://servicebox.mpsa.com/servicebox/diagbox.do';
+const witechUrl = 'https://witech.example-stellantis.com/downloads';
+
+const categorize = (provider, fixture, baseUrl, appType) =>
+  provider.categorizeDownloads(provider.parseDownloadLinks(readFixture(fixture), baseUrl), appType);
+
+test('parses the DiagBox table with file names from the row', () => {
+  const provider = createProvider(StellantisProvider);
+  const downloads = provider.parseDownloadLinks(readFixture('diagbox.html'), diagboxUrl);
+
+  // Release notes, print and anchor links are skipped
+  assert.equal(downloads.length, 3);
+  assert.equal(downloads[0].url, 'https://servicebox.mpsa.com/servicebox/download.do?fileId=551203');
+  assert.equal(downloads[0].actualFilename, 'DiagBox_Install_09.185.exe');
+  assert.match(downloads[0].title, /^DiagBox Installation 09\.185/);
+});
+
+test('puts updates before the installer regardless of the table order', () => {
+  const provider = createProvider(StellantisProvider);
+  const categorized = categorize(provider, 'diagbox.html', diagboxUrl, 'diagbox');
+
+  assert.equal(categorized.installer.originalFilename, 'DiagBox_Install_09.185.exe');
+  assert.equal(categorized.update.originalFilename, 'DiagBox_Update_09.184_to_09.185.exe');
+  assert.equal(categorized.update.displayName, 'DiagBox Update');
+});
+
+test('uses the target version of "09.184 to 09.185" updates', () => {
+  const provider = createProvider(StellantisProvider);
+  const categorized = categorize(provider, 'diagbox.html', diagboxUrl, 'diagbox');
+
+  assert.equal(categorized.update.version, '09.185');
+  assert.equal(categorized.installer.version, '09.185');
+  assert.equal(provider.extractVersion('', 'DiagBox Update 09.184 to 09.185'), '09.185');
+});
+
+test('parses the wiTECH 2 client with a three part version', () => {
+  const provider = createProvider(StellantisProvider);
+  const categorized = categorize(provider, 'witech.html', witechUrl, 'witech');
+
+  assert.deepEqual(Object.keys(categorized), ['client']);
+  assert.equal(categorized.client.originalFilename, 'wiTECH2_Client_20.04.33.msi');
+  assert.equal(categorized.client.version, '20.04.33');
+});
+
+test('considers every download without a filter', () => {
+  const provider = createProvider(StellantisProvider, { downloadFilter: [] });
+
+  assert.deepEqual(Object.keys(categorize(provider, 'diagbox.html', diagboxUrl, 'diagbox')).sort(), ['installer', 'update']);
+  assert.deepEqual(Object.keys(categorize(provider, 'witech.html', witechUrl, 'witech')), ['client']);
+});
+
+test('honours the download filter', () => {
+  const provider = createProvider(StellantisProvider, { downloadFilter: ['DiagBox Update'] });
+
+  assert.deepEqual(Object.keys(categorize(provider, 'diagbox.html', diagboxUrl, 'diagbox')), ['update']);
+  assert.deepEqual(categorize(provider, 'witech.html', witechUrl, 'witech'), {});
+});
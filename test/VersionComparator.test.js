@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VersionComparator } from '../src/utils/VersionComparator.js';
+
+const comparator = new VersionComparator();
+
+test('detects the version formats of the portals', () => {
+  assert.equal(comparator.parse('25_1_0_20250820').format, 'odis');
+  assert.equal(comparator.parse('25_1_0-EU_20250820').variant, '-EU');
+  assert.equal(comparator.parse('2025-02-03').format, 'date');
+  assert.equal(comparator.parse('04-25-10').format, 'dashed');
+  assert.equal(comparator.parse('4.53.30').format, 'dotted');
+  assert.equal(comparator.parse('unknown'), null);
+  assert.equal(comparator.parse('latest'), null);
+});
+
+test('compares numerically instead of as strings', () => {
+  assert.equal(comparator.compare('4.53.30', '4.9.1'), 1);
+  assert.equal(comparator.compare('3.74.0.930', '3.74.0.1000'), -1);
+  assert.equal(comparator.compare('04-25-10', '04-25-10'), 0);
+  assert.equal(comparator.compare('2025-03-01', '2024-12-01'), 1);
+  assert.equal(comparator.compare('25_1_0_20250820', '25_2_0_20250101'), -1);
+});
+
+test('treats missing trailing parts as zero', () => {
+  assert.equal(comparator.compare('4.53', '4.53.0'), 0);
+  assert.equal(comparator.compare('4.53', '4.53.1'), -1);
+});
+
+test('refuses to order different formats or variants', () => {
+  assert.equal(comparator.compare('2025-03-01', '4.53.30'), null);
+  assert.equal(comparator.compare('25_1_0-EU_20250820', '25_1_0_20250820'), null);
+  assert.equal(comparator.compare('4.53.30', 'unknown'), null);
+});
@@ -0,0 +1,18 @@
+import winston from 'winston';
+
+// Provider instance without running the constructor, no browser, log files or metadata store
+export function createProvider(ProviderClass, fields = {}) {
+  const provider = Object.create(ProviderClass.prototype);
+  return Object.assign(provider, {
+    providerName: ProviderClass.providerName || 'test',
+    baseProviderName: ProviderClass.providerName || 'test',
+    displayName: ProviderClass.displayName || 'Test',
+    downloadCategories: ProviderClass.categories,
+    downloadFilter: [],
+    logger: winston.createLogger({ silent: true }),
+    abortSignal: null,
+    retryContext: null,
+    lastStepError: null,
+    currentRun: null
+  }, fields);
+}